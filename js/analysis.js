@@ -0,0 +1,111 @@
+/**
+ * Indifference-point analysis for the adjusting-delay procedure.
+ *
+ * Pure functions over recorded trial rows, so they work the same on live
+ * sessions, recovered sessions and simulated participants. The delay that
+ * was in effect at each choice (delayAtChoice) is the titrated series; in a
+ * probability condition it is the probability (probabilityAtChoice).
+ *
+ * Estimators:
+ * - lastN:     mean delay over the last N choices
+ * - reversals: mean delay at which the titration reversed direction
+ * - stability: mean delay over the final window, if it is stable
+ *              (max − min within tolerance)
+ * and the same over the probability in a probability condition.
+ * A condition has converged when the final window is stable and the
+ * titration reversed at least minReversals times.
+ */
+
+import CONFIG from './config.js';
+
+function mean(values) {
+  return values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value);
+}
+
+function roundProbability(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * The lastN, reversal and stability estimates over one titrated series.
+ * @param {number[]} values - the titrated value at each choice
+ * @param {number[]} reversalValues - the value at each reversal
+ * @param {number} tolerance - largest max − min of a stable final window
+ * @param {Object} settings - CONFIG.ANALYSIS
+ */
+function estimate(values, reversalValues, tolerance, settings) {
+  const lastN = values.slice(-settings.lastN);
+  const window = values.slice(-settings.stabilityWindow);
+  const windowFull = window.length === settings.stabilityWindow;
+  const range = window.length > 0 ? Math.max(...window) - Math.min(...window) : null;
+  const stable = windowFull && range <= tolerance;
+  return {
+    lastNCount: lastN.length,
+    lastNMean: mean(lastN),
+    reversalMean: mean(reversalValues.slice(settings.discardReversals)),
+    range,
+    stableMean: stable ? mean(window) : null,
+    windowFull,
+    stable,
+  };
+}
+
+/**
+ * Analyze the trials of one condition.
+ * @param {Object[]} trials - trial rows for the condition, in order
+ * @param {Object} [settings] - CONFIG.ANALYSIS
+ * @returns {Object} estimates in ms (or as probabilities in a probability
+ *   condition), preference proportion and convergence
+ */
+export function analyzeCondition(trials, settings = CONFIG.ANALYSIS) {
+  const probabilistic = trials.some(t => t.llMode === 'probability');
+  const llCount = trials.filter(t => t.choice === 'larger-later').length;
+  const reversalTrials = trials.filter(t => t.reversal);
+  const reversalCount = reversalTrials.length;
+
+  const est = probabilistic
+    ? estimate(
+      trials.map(t => t.probabilityAtChoice),
+      reversalTrials.map(t => t.probabilityAtChoice),
+      settings.stabilityToleranceProbability,
+      settings,
+    )
+    : estimate(
+      trials.map(t => t.delayAtChoice),
+      reversalTrials.map(t => t.delayBeforeAdjustMs),
+      settings.stabilityToleranceMs,
+      settings,
+    );
+
+  const notes = [];
+  if (!est.windowFull) notes.push(`fewer than ${settings.stabilityWindow} trials`);
+  else if (!est.stable) {
+    notes.push(probabilistic
+      ? `final probabilities span ${roundProbability(est.range)}`
+      : `final delays span ${est.range}ms`);
+  }
+  if (reversalCount < settings.minReversals) notes.push(`${reversalCount} reversal(s)`);
+
+  const delay = !probabilistic;
+  return {
+    llMode: probabilistic ? 'probability' : 'delay',
+    totalTrials: trials.length,
+    llProportion: trials.length === 0 ? null : Math.round((llCount / trials.length) * 1000) / 1000,
+    lastNCount: est.lastNCount,
+    lastNMeanDelayMs: delay ? round(est.lastNMean) : null,
+    lastNMeanProbability: delay ? null : roundProbability(est.lastNMean),
+    reversalCount,
+    reversalMeanDelayMs: delay ? round(est.reversalMean) : null,
+    reversalMeanProbability: delay ? null : roundProbability(est.reversalMean),
+    stabilityRangeMs: delay ? est.range : null,
+    stabilityRangeProbability: delay ? null : roundProbability(est.range),
+    stableMeanDelayMs: delay ? round(est.stableMean) : null,
+    stableMeanProbability: delay ? null : roundProbability(est.stableMean),
+    converged: est.stable && reversalCount >= settings.minReversals,
+    convergenceNote: notes.join('; '),
+  };
+}
@@ -1,32 +1,29 @@
 /**
- * Promise-based eating animation controller.
+ * Promise-based eating (and missed-reward) animation controller.
  * CSS class toggling drives the actual animation; this module
  * manages timing and returns Promises so trial flow can await completion.
+ * Timing runs on the active clock; the CSS animations are scaled to match
+ * through the --clock-speed custom property.
  */
 
 import CONFIG from './config.js';
+import { getClock } from './clock.js';
 
 /**
- * Play the eating animation on the alligator.
- * @param {HTMLElement} alligatorEl - the alligator element
- * @param {HTMLElement} foodEl - the food animal element inside the choice button
- * @param {number} durationMs - how long the animation lasts
- * @returns {Promise<void>} resolves when animation completes (or is interrupted)
+ * Run a pair of CSS animation classes on the alligator and the food for
+ * `durationMs`, or until interrupted.
  */
-export function playEatingAnimation(alligatorEl, foodEl, durationMs = CONFIG.EATING_ANIMATION_MS) {
+function playAnimation(alligatorEl, foodEl, durationMs, alligatorClass, foodClass) {
   return new Promise((resolve) => {
-    // Start alligator chomp
-    alligatorEl.classList.add('eating');
-
-    // Start food consumed animation
+    alligatorEl.classList.add(alligatorClass);
     if (foodEl) {
-      foodEl.classList.add('consumed');
+      foodEl.classList.add(foodClass);
     }
 
     const cleanup = () => {
-      alligatorEl.classList.remove('eating');
+      alligatorEl.classList.remove(alligatorClass);
       if (foodEl) {
-        foodEl.classList.remove('consumed');
+        foodEl.classList.remove(foodClass);
       }
       resolve();
     };
@@ -34,7 +31,7 @@ export function playEatingAnimation(alligatorEl, foodEl, durationMs = CONFIG.EAT
     // Store cleanup function on element so it can be interrupted
     alligatorEl._animCleanup = cleanup;
 
-    setTimeout(() => {
+    getClock().setTimeout(() => {
       // Only clean up if not already interrupted
       if (alligatorEl._animCleanup === cleanup) {
         alligatorEl._animCleanup = null;
@@ -45,7 +42,30 @@ export function playEatingAnimation(alligatorEl, foodEl, durationMs = CONFIG.EAT
 }
 
 /**
- * Immediately interrupt any running eating animation on the alligator.
+ * Play the eating animation on the alligator.
+ * @param {HTMLElement} alligatorEl - the alligator element
+ * @param {HTMLElement} foodEl - the food animal element inside the choice button
+ * @param {number} durationMs - how long the animation lasts
+ * @returns {Promise<void>} resolves when animation completes (or is interrupted)
+ */
+export function playEatingAnimation(alligatorEl, foodEl, durationMs = CONFIG.EATING_ANIMATION_MS) {
+  return playAnimation(alligatorEl, foodEl, durationMs, 'eating', 'consumed');
+}
+
+/**
+ * Play the "missed" animation: the alligator snaps at a probabilistic
+ * larger-later reward that does not come, and the food gets away.
+ * @param {HTMLElement} alligatorEl
+ * @param {HTMLElement} foodEl
+ * @param {number} durationMs
+ * @returns {Promise<void>} resolves when animation completes (or is interrupted)
+ */
+export function playMissedAnimation(alligatorEl, foodEl, durationMs = CONFIG.EATING_ANIMATION_MS) {
+  return playAnimation(alligatorEl, foodEl, durationMs, 'missing', 'escaped');
+}
+
+/**
+ * Immediately interrupt any running eating or missed animation on the alligator.
  * Used when energy hits 0 mid-animation for game-over.
  */
 export function interruptAnimation(alligatorEl) {
@@ -0,0 +1,90 @@
+/**
+ * Group assignment for the between-subjects design.
+ *
+ * Methods (CONFIG.ASSIGNMENT.method):
+ * - 'block':  shuffled blocks containing every group once; the position in
+ *             the current block is kept in localStorage on the lab machine,
+ *             so consecutive participants fill the block in order.
+ * - 'seeded': the group is derived from the participant ID and the seed, so
+ *             the same ID always maps to the same group.
+ * - 'random': independent uniform draw per participant.
+ * The experimenter can override any method with a manual choice.
+ */
+
+import CONFIG from './config.js';
+import { get, setState } from './state.js';
+import { createRng, shuffle } from './random.js';
+
+export const ASSIGNMENT_METHODS = ['block', 'seeded', 'random'];
+
+const BLOCK_STORAGE_PREFIX = 'gator-game:assignment-block:';
+
+function blockStorageKey() {
+  return BLOCK_STORAGE_PREFIX + (get('protocolId') || 'unknown');
+}
+
+function readBlock(groups) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(blockStorageKey()));
+    const valid = saved
+      && Number.isInteger(saved.blockNumber)
+      && Number.isInteger(saved.position)
+      && Array.isArray(saved.order)
+      && saved.order.length === groups.length
+      && saved.order.every(g => groups.includes(g));
+    return valid ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take the next slot from the persisted block, starting a new block when
+ * the current one is used up. Each block's order is reproducible from the
+ * seed, protocol id and block number.
+ */
+function nextBlockSlot(groups, seed) {
+  let block = readBlock(groups);
+  if (!block || block.position >= block.order.length) {
+    const blockNumber = block ? block.blockNumber + 1 : 1;
+    const rng = createRng(`${seed}:${get('protocolId')}:block-${blockNumber}`);
+    block = { blockNumber, order: shuffle(groups, rng), position: 0 };
+  }
+  const group = block.order[block.position];
+  const slot = { group, blockNumber: block.blockNumber, blockPosition: block.position + 1 };
+  block.position += 1;
+  localStorage.setItem(blockStorageKey(), JSON.stringify(block));
+  return slot;
+}
+
+/**
+ * Assign the current participant to a group and store the result in state.
+ * @param {string|null} [manualGroup] - experimenter override
+ */
+export function assignGroup(manualGroup = null) {
+  const groups = Object.keys(CONFIG.GROUPS);
+  const { method, seed } = CONFIG.ASSIGNMENT;
+  let result;
+
+  if (manualGroup && CONFIG.GROUPS[manualGroup]) {
+    result = { method: 'manual', group: manualGroup };
+  } else if (method === 'block') {
+    result = { method, seed, ...nextBlockSlot(groups, seed) };
+  } else if (method === 'seeded') {
+    const rng = createRng(`${seed}:${get('participantId')}`);
+    result = { method, seed, group: groups[Math.floor(rng() * groups.length)] };
+  } else {
+    result = { method: 'random', group: groups[Math.floor(Math.random() * groups.length)] };
+  }
+
+  const groupConfig = CONFIG.GROUPS[result.group];
+  setState({
+    group: result.group,
+    rewardAmount: groupConfig.rewardAmount,
+    sequence: groupConfig.sequence,
+    assignmentMethod: result.method,
+    assignmentSeed: result.seed ?? '',
+    assignmentBlock: result.blockNumber ?? null,
+    assignmentBlockPosition: result.blockPosition ?? null,
+  });
+}
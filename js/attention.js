@@ -0,0 +1,191 @@
+/**
+ * Attention checks: catch probes shown during the exposure and conditions
+ * (CONFIG.ATTENTION), so a participant who is not paying attention can be
+ * told apart from one who simply prefers the fish.
+ *
+ * Probe times are drawn per phase from a seeded generator, so a resumed
+ * session gets the same schedule. A probe due while a trial is in flight
+ * waits for the next choice point; while it is up, the drain and the phase
+ * clock are held and choices go to the probe instead of the engine.
+ */
+
+import CONFIG from './config.js';
+import { get, setState } from './state.js';
+import { getClock } from './clock.js';
+import { logEvent } from './events.js';
+import { createTimer, createDelay } from './timer.js';
+import { createRng } from './random.js';
+import { holdPhaseClock, releasePhaseClock, enableChoices, phaseDurationMs } from './engine.js';
+import { setChoicesEnabled, setCatchObject, announce } from './ui.js';
+import { recordCatchProbe } from './data.js';
+import { localize } from './i18n.js';
+import { smallerSoonerOption } from './options.js';
+
+export const CATCH_TYPES = ['prompt', 'avoid'];
+
+// How often a due probe checks for a choice point
+const CHECK_INTERVAL_MS = 250;
+
+let schedule = [];     // phase-elapsed times still to come, ascending
+let probeCount = 0;    // probes shown in this phase
+let checkTimer = null;
+let active = null;     // { number, type, optionId, scheduledAtMs, shownAt, shownElapsedMs, window }
+
+/**
+ * Seeded probe times for the phase that is starting: one per equal slot
+ * of the phase after earliestMs, each far enough into its slot to keep
+ * minGapMs from the previous one.
+ */
+function drawSchedule() {
+  const { perPhase, earliestMs, minGapMs, responseWindowMs } = CONFIG.ATTENTION;
+  const phaseKey = `${get('visitNumber')}:${get('conditionId') || 'exposure'}`;
+  const rng = createRng(`${CONFIG.ASSIGNMENT.seed}:catch:${get('participantId')}:${phaseKey}`);
+  const span = phaseDurationMs() - responseWindowMs - earliestMs;
+  const slot = span / perPhase;
+  return Array.from({ length: perPhase }, (_, i) =>
+    Math.round(earliestMs + i * slot + rng() * Math.max(0, slot - minGapMs)));
+}
+
+function atChoicePoint() {
+  return !get('isDead') && !get('isWaitingDelay') && !get('isAnimating') && !get('choicesDisabled') &&
+    !get('experimenterPaused') && !get('interruptionPaused');
+}
+
+function prefix() {
+  return get('phase') === 'exposure' ? 'exposure' : 'condition';
+}
+
+// ===== Probes =====
+
+function checkDue() {
+  if (active || schedule.length === 0 || get('conditionElapsedMs') < schedule[0]) return;
+  if (!atChoicePoint()) return;
+  showProbe(schedule.shift());
+}
+
+function showProbe(scheduledAtMs) {
+  const { types, responseWindowMs } = CONFIG.ATTENTION;
+  probeCount += 1;
+  const type = types[(probeCount - 1) % types.length];
+  holdPhaseClock();
+  active = {
+    number: probeCount,
+    type,
+    // An 'avoid' object takes the place of the fish (or the first option
+    // that does not titrate)
+    optionId: smallerSoonerOption().id,
+    scheduledAtMs,
+    shownAt: getClock().now(),
+    shownElapsedMs: get('conditionElapsedMs'),
+    window: createDelay(responseWindowMs, 'catch-window'),
+  };
+  setState({ catchProbe: { number: probeCount, type } });
+  logEvent('catch-start', { probe: probeCount, type });
+
+  if (type === 'prompt') {
+    setChoicesEnabled(prefix(), false);
+    document.getElementById('catch-prompt-text').textContent = localize(CONFIG.ATTENTION.promptText);
+    document.getElementById('btn-catch-prompt').textContent = localize(CONFIG.ATTENTION.promptButton);
+    document.getElementById('catch-prompt').classList.remove('hidden');
+    document.getElementById('btn-catch-prompt').focus();
+    announce(localize(CONFIG.ATTENTION.promptText), true);
+  } else {
+    setCatchObject(prefix(), active.optionId,
+      { emoji: CONFIG.ATTENTION.avoidEmoji, label: localize(CONFIG.ATTENTION.avoidLabel) });
+  }
+
+  const probe = active;
+  probe.window.promise.then(completed => {
+    // Cancelled: answered in time, or the phase ended
+    if (completed && active === probe) finishProbe({ response: '', method: '', result: 'missed' });
+  });
+}
+
+/**
+ * Close the probe on screen, record it and give the choices back.
+ */
+function finishProbe({ response, method, result }) {
+  const probe = active;
+  active = null;
+  const endedAt = getClock().now();
+  probe.window.cancel();
+  document.getElementById('catch-prompt').classList.add('hidden');
+  if (probe.type === 'avoid') setCatchObject(prefix(), probe.optionId, null);
+  setState({ catchProbe: null });
+
+  recordCatchProbe({
+    probeNumber: probe.number,
+    type: probe.type,
+    scheduledAtMs: probe.scheduledAtMs,
+    shownConditionElapsedMs: probe.shownElapsedMs,
+    shownAtMs: probe.shownAt,
+    response,
+    responseMethod: method,
+    result,
+    latencyMs: result === 'missed' || result === 'phase-end' ? null : endedAt - probe.shownAt,
+  });
+  logEvent('catch-end', { probe: probe.number, type: probe.type, result });
+
+  if (result === 'phase-end') return;
+  releasePhaseClock();
+  enableChoices(prefix());
+}
+
+/**
+ * A choice made while a probe is up. During an 'avoid' probe, picking the
+ * object (in the fish's place) fails it and any other option passes it;
+ * during a 'prompt' the choices are not in play.
+ * @param {string} optionId - the option chosen
+ * @param {{ method: string }} response
+ */
+export function answerCatchChoice(optionId, response) {
+  if (active?.type !== 'avoid') {
+    logEvent('choice-ignored', { option: optionId, reason: 'catch-probe' });
+    return;
+  }
+  const picked = optionId === active.optionId;
+  finishProbe({
+    response: picked ? 'object' : 'other',
+    method: response.method,
+    result: picked ? 'fail' : 'pass',
+  });
+}
+
+function answerPrompt(e) {
+  if (active?.type !== 'prompt') return;
+  finishProbe({ response: 'button', method: e.detail === 0 ? 'keyboard' : 'pointer', result: 'pass' });
+}
+
+// ===== Phases =====
+
+/**
+ * Draw the probe times for an exposure or condition whose timers have
+ * just started, and start watching for them.
+ */
+export function beginAttentionChecks() {
+  const { perPhase, phases } = CONFIG.ATTENTION;
+  active = null;
+  probeCount = 0;
+  schedule = perPhase > 0 && phases.includes(get('phase')) ? drawSchedule() : [];
+  if (schedule.length > 0) {
+    logEvent('catch-schedule', { atMs: schedule });
+    checkTimer = createTimer(checkDue, CHECK_INTERVAL_MS, 'catch-check');
+  }
+}
+
+/**
+ * Close a probe still on screen when its phase ends; probes that were
+ * never reached are dropped.
+ */
+export function endAttentionChecks() {
+  if (active) finishProbe({ response: '', method: '', result: 'phase-end' });
+  if (checkTimer) {
+    checkTimer.stop();
+    checkTimer = null;
+  }
+  schedule = [];
+}
+
+export function initAttentionChecks() {
+  document.getElementById('btn-catch-prompt').addEventListener('click', answerPrompt);
+}
@@ -0,0 +1,187 @@
+/**
+ * Clock abstraction for timing.
+ *
+ * timer.js, animations.js and the engine read time and schedule callbacks
+ * through the active clock instead of calling performance.now()/setTimeout
+ * directly, so a session can run on real time, on a sped-up clock (for
+ * experimenter walkthroughs) or on a virtual clock that is stepped by hand
+ * (used by the headless simulation).
+ *
+ * A clock provides:
+ *   mode          - 'real' | 'scaled' | 'virtual'
+ *   speed         - session ms per real ms (null for virtual: it only
+ *                   moves when stepped)
+ *   now()         - milliseconds, comparable to performance.now()
+ *   date()        - wall-clock Date for the current moment
+ *   setTimeout(fn, ms) / clearTimeout(handle)
+ */
+
+// ===== Real Clock =====
+
+export function createRealClock() {
+  return {
+    mode: 'real',
+    speed: 1,
+    now: () => performance.now(),
+    date: () => new Date(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: handle => clearTimeout(handle),
+  };
+}
+
+// ===== Scaled Clock =====
+
+/**
+ * Create a clock that runs `speed` times faster than real time, starting
+ * from the current moment. Durations requested through it are divided by
+ * `speed` on the real timeline, and wall-clock dates run fast too.
+ * @param {number} speed - e.g. 10 for 10× speed
+ */
+export function createScaledClock(speed) {
+  if (!(speed > 0)) throw new Error(`Clock speed must be positive (got ${speed})`);
+  const startPerf = performance.now();
+  const startEpochMs = Date.now();
+  const now = () => startPerf + (performance.now() - startPerf) * speed;
+
+  return {
+    mode: 'scaled',
+    speed,
+    now,
+    date: () => new Date(startEpochMs + (now() - startPerf)),
+    setTimeout: (fn, ms) => setTimeout(fn, ms / speed),
+    clearTimeout: handle => clearTimeout(handle),
+  };
+}
+
+// ===== Virtual Clock =====
+
+/**
+ * Yield to the event loop so promise continuations triggered by a timer
+ * callback (e.g. an awaited delay resolving) run before the next timer.
+ */
+function yieldToEventLoop() {
+  return new Promise((resolve) => {
+    if (typeof setImmediate === 'function') {
+      setImmediate(resolve);
+    } else {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        resolve();
+      };
+      channel.port2.postMessage(null);
+    }
+  });
+}
+
+/**
+ * Create a clock that only moves when advanced.
+ * @param {Object} [options]
+ * @param {number} [options.startEpochMs] - wall-clock time at virtual 0
+ */
+export function createVirtualClock({ startEpochMs = Date.now() } = {}) {
+  let current = 0;
+  let nextHandle = 0;
+  const pending = new Map();
+
+  function earliest() {
+    let first = null;
+    for (const t of pending.values()) {
+      if (!first || t.due < first.due || (t.due === first.due && t.handle < first.handle)) {
+        first = t;
+      }
+    }
+    return first;
+  }
+
+  return {
+    mode: 'virtual',
+    speed: null,
+    now: () => current,
+    date: () => new Date(startEpochMs + current),
+
+    setTimeout(fn, ms = 0) {
+      const handle = ++nextHandle;
+      pending.set(handle, { handle, due: current + Math.max(0, ms), fn });
+      return handle;
+    },
+
+    clearTimeout(handle) {
+      pending.delete(handle);
+    },
+
+    /**
+     * Let pending promise continuations run without moving time.
+     */
+    flush: yieldToEventLoop,
+
+    /**
+     * Move time forward by `ms`, firing due callbacks in order.
+     * @param {number} ms
+     * @param {Function} [shouldStop] - checked after each callback; when it
+     *   returns true, time stops at that callback
+     */
+    async advance(ms, shouldStop = () => false) {
+      const target = current + ms;
+      await yieldToEventLoop();
+      for (let next = earliest(); next && next.due <= target; next = earliest()) {
+        pending.delete(next.handle);
+        current = next.due;
+        next.fn();
+        await yieldToEventLoop();
+        if (shouldStop()) return;
+      }
+      current = target;
+    },
+
+    /**
+     * Jump to the next scheduled callback and fire it.
+     * @returns {Promise<boolean>} false if nothing is scheduled
+     */
+    async advanceToNext(shouldStop) {
+      const next = earliest();
+      if (!next) return false;
+      await this.advance(next.due - current, shouldStop);
+      return true;
+    },
+  };
+}
+
+// ===== Active Clock =====
+
+let activeClock = createRealClock();
+
+export function getClock() {
+  return activeClock;
+}
+
+export function setClock(clock) {
+  activeClock = clock;
+}
+
+/**
+ * Short description of a clock for data files and the end screen,
+ * e.g. 'real', 'scaled x10', 'virtual'.
+ */
+export function describeClock(mode, speed) {
+  return mode === 'scaled' ? `scaled x${speed}` : mode;
+}
+
+/**
+ * Build the clock requested by URL parameters:
+ *   ?clock=scaled&speed=10 — 10× speed walkthrough
+ * Anything else gives the real clock. The virtual clock needs a driver
+ * that steps it, so it cannot be selected from the URL.
+ * @param {URLSearchParams} params
+ * @returns {{ clock: Object, error: string|null }}
+ */
+export function clockFromParams(params) {
+  const mode = params.get('clock');
+  if (!mode || mode === 'real') return { clock: createRealClock(), error: null };
+  if (mode === 'scaled') {
+    const speed = Number(params.get('speed') ?? 10);
+    if (speed > 0) return { clock: createScaledClock(speed), error: null };
+    return { clock: createRealClock(), error: `invalid clock speed "${params.get('speed')}"` };
+  }
+  return { clock: createRealClock(), error: `unknown clock mode "${mode}"` };
+}
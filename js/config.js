@@ -1,9 +1,13 @@
 /**
  * Experimental configuration — all constants for the Gator Game.
  * Frozen to prevent accidental mutation during a session.
+ *
+ * DEFAULT_CONFIG holds the built-in protocol. A protocol file loaded by
+ * protocol.js replaces the active config via applyConfig(); every module
+ * imports the live default export, so the swap is visible everywhere.
  */
 
-const CONFIG = Object.freeze({
+const DEFAULT_CONFIG = Object.freeze({
   // ===== Timing =====
   CONDITION_DURATION_MS: 5 * 60 * 1000,   // 5 minutes per condition
   EXPOSURE_DURATION_MS: 5 * 60 * 1000,    // 5 minutes max for exposure
@@ -20,8 +24,34 @@ const CONFIG = Object.freeze({
 
   // ===== Adjusting Delay (Larger-Later) =====
   INITIAL_DELAY_MS: 6000,                 // Starting delay: 6s
-  DELAY_STEP_MS: 2000,                    // Adjusts by ±2s
-  MIN_DELAY_MS: 2000,                     // Floor: 2s
+  // Titration rule and its parameters (see titration.js for the rules)
+  TITRATION: Object.freeze({
+    rule: 'fixed-step',                   // Adjusts by ±stepMs per choice
+    stepMs: 2000,                         // ±2s
+    minDelayMs: 2000,                     // Floor: 2s
+    maxDelayMs: null,                     // Ceiling (null = none)
+    proportion: 0.25,                     // 'proportional': step = 25% of delay
+    factor: 1.5,                          // 'multiplicative': ×/÷ 1.5
+    shrinkFactor: 0.5,                    // 'shrinking-step': halve step per reversal
+    minStepMs: 500,                       // 'shrinking-step': smallest step
+    choicesPerAdjustment: 2,              // 'after-n': same choices in a row
+  }),
+
+  // ===== Probabilistic Larger-Later =====
+  // Conditions with llMode 'probability' (see CONDITIONS) deliver the
+  // larger-later reward with a probability instead of after the titrated
+  // delay: it comes after delayMs, or the gator misses it and nothing is
+  // earned. rule 'fixed-step' titrates the probability like the delay: one
+  // step less likely after a smaller-sooner choice, one step more likely
+  // after a larger-later one, within [min, max]. 'fixed' keeps `initial`.
+  PROBABILITY: Object.freeze({
+    rule: 'fixed-step',
+    initial: 0.5,
+    step: 0.1,
+    min: 0.1,
+    max: 1,
+    delayMs: 0,                           // Wait before the outcome
+  }),
 
   // ===== Exposure Phase =====
   EXPOSURE_REWARD: 10,                    // Chicken gives +10 during exposure
@@ -32,6 +62,22 @@ const CONFIG = Object.freeze({
   EXPOSURE_DRAIN_INTERVAL_MS: 3000,       // Greatest-positive drain rate
 
   // ===== Earning Budget Conditions =====
+  // llMode (optional): 'delay' (default) titrates the larger-later delay;
+  // 'probability' makes the larger-later reward uncertain (PROBABILITY)
+  // options (optional): replaces the fish and the condition's animal with
+  // a list of two or more options, each
+  //   { id, emoji, label, reward, delayMs }   fixed delay (0 = straight away)
+  //   { id, emoji, label, titrate: true }     the titrated option (reward
+  //                                           defaults to the group's
+  //                                           rewardAmount)
+  // Exactly one option must titrate: there is one titration (delay or
+  // probability) per condition, so a condition of fixed options only, or
+  // with several titrated options, is rejected (see options.js)
+  // drain (optional): changes the 1 pt per drainIntervalMs schedule —
+  //   { distribution: 'fixed'|'uniform'|'exponential', spread, amount,
+  //     dayFactors: [f1, f2, ...], energyBands: [{ below, factor }],
+  //     shocks: [{ atMs, amount }] }
+  // (see drain.js)
   CONDITIONS: Object.freeze({
     'greatest-positive': Object.freeze({
       id: 'greatest-positive',
@@ -109,8 +155,403 @@ const CONFIG = Object.freeze({
     }),
   }),
 
+  // ===== Indifference-Point Analysis =====
+  // Estimators shown on the end screen and in the analysis export
+  ANALYSIS: Object.freeze({
+    lastN: 6,                             // Mean delay of the last 6 choices
+    discardReversals: 0,                  // Ignore the first k reversals
+    stabilityWindow: 6,                   // Final window checked for stability
+    stabilityToleranceMs: 4000,           // Max − min delay within the window
+    stabilityToleranceProbability: 0.2,   // Same, in probability conditions
+    minReversals: 2,                      // Needed to call it converged
+  }),
+
+  // ===== Responses =====
+  // method: 'pointer' (click/tap), 'keyboard' (keys below) or 'both'. The
+  // keys choose the option on that side of the screen (KeyboardEvent.key
+  // values; letters match either case). counterbalance puts the fish on the
+  // left ('none'), on a side drawn once per participant ('participant') or
+  // drawn afresh for each exposure/condition ('phase'); the side and the way
+  // each choice was made are recorded per trial. With more than two options
+  // (CONDITIONS.options) the same draw sets all their positions: 'rotate'
+  // shifts the protocol order by a drawn offset, so each option takes each
+  // position equally often; 'shuffle' draws any order. positionKeys[i]
+  // chooses the option in position i (from the left) on those screens.
+  RESPONSE: Object.freeze({
+    method: 'both',
+    leftKeys: Object.freeze(['f', 'ArrowLeft']),
+    rightKeys: Object.freeze(['j', 'ArrowRight']),
+    positionKeys: Object.freeze(['1', '2', '3', '4', '5', '6', '7', '8', '9']),
+    counterbalance: 'none',
+    positions: 'rotate',                  // 'rotate' | 'shuffle'
+    showKeyHints: true,                   // Show the key on each choice button
+  }),
+
+  // ===== Display & Accessibility =====
+  // palette 'high-contrast' swaps the energy bar's red/orange/yellow/green
+  // for a color-blind-safe set with outlined empty squares. announce reads
+  // energy, days left, the food countdown and death out to screen readers.
+  DISPLAY: Object.freeze({
+    palette: 'standard',                  // 'standard' | 'high-contrast'
+    announce: true,
+  }),
+
+  // ===== Interruptions =====
+  // The participant leaving the game during the exposure or a condition:
+  // the tab hidden ('hidden'), the window losing focus ('blur') or
+  // fullscreen exited ('fullscreen'). Every source in `track` is recorded
+  // (interruptions.csv, summary totals); `policy` applies to those in
+  // `applyTo`, the rest are only flagged:
+  //   'pause'          pause the game until the participant is back
+  //   'pause-overlay'  pause and cover the game with a "please return"
+  //                    message; the participant resumes with a button
+  //   'flag'           keep the game running
+  //   'invalidate'     as 'pause-overlay', but ending the exposure or
+  //                    condition (endReason 'invalidated') once the
+  //                    participant has been away invalidateAfterMs
+  // requestFullscreen asks for fullscreen when the game starts. Applying a
+  // pausing policy to 'fullscreen' needs the overlay, whose Continue button
+  // goes back into fullscreen.
+  INTERRUPTIONS: Object.freeze({
+    policy: 'pause',
+    applyTo: Object.freeze(['hidden']),
+    track: Object.freeze(['hidden', 'blur', 'fullscreen']),
+    invalidateAfterMs: 30000,
+    requestFullscreen: false,
+  }),
+
+  // ===== Attention Checks =====
+  // Catch probes mixed into each phase listed in `phases`: perPhase of them
+  // at seeded random times, none in the first earliestMs and at least
+  // minGapMs apart. A probe waits for the next choice point (never during a
+  // food delay, while eating or after death) and stops the drain and the
+  // phase clock while it is up. `types` are used in turn:
+  //   'prompt'  promptText with a button to press within responseWindowMs
+  //   'avoid'   the fish is swapped for the avoid object for one choice;
+  //             choosing the object fails, the other option passes
+  // Nothing is earned on a probe; no response within the window is
+  // 'missed'. Results go to catch.csv and the summary. 0 turns them off.
+  ATTENTION: Object.freeze({
+    perPhase: 0,
+    phases: Object.freeze(['condition']),  // 'exposure' and/or 'condition'
+    types: Object.freeze(['prompt', 'avoid']),
+    earliestMs: 30000,
+    minGapMs: 30000,
+    responseWindowMs: 5000,
+    promptText: Object.freeze({
+      en: 'Are you still there? Press the button.',
+      es: '¿Sigue ahí? Pulse el botón.',
+      pt: 'Você ainda está aí? Clique no botão.',
+    }),
+    promptButton: Object.freeze({
+      en: "I'm here",
+      es: 'Aquí estoy',
+      pt: 'Estou aqui',
+    }),
+    avoidEmoji: '👢',
+    avoidLabel: Object.freeze({
+      en: 'Old boot (do not pick)',
+      es: 'Bota vieja (no la elija)',
+      pt: 'Bota velha (não escolha)',
+    }),
+  }),
+
+  // ===== Timing Telemetry =====
+  // How late each timer tick and delay ran during the exposure and each
+  // condition, and (if trackFrames) how long the screen's frames took,
+  // exported in timing.csv. A tick or delay more than lateThresholdMs late
+  // counts as late, a frame longer than longFrameMs as long. A phase is
+  // outside tolerance when more than maxLateShare of any timer's ticks
+  // were late or more than maxLongFrameShare of its frames were long; the
+  // summary and the end screen flag it.
+  TIMING: Object.freeze({
+    lateThresholdMs: 20,
+    maxLateShare: 0.05,
+    trackFrames: true,
+    longFrameMs: 50,
+    maxLongFrameShare: 0.1,
+  }),
+
+  // ===== Consent & Demographics =====
+  // Optional screens shown before the intro, from the protocol the page is
+  // opened with (?protocol=<id>). CONSENT.text null skips consent; declining
+  // ends the visit with nothing saved. DEMOGRAPHICS.fields entries:
+  //   { id, label, type: 'text'|'number'|'select'|'radio', required,
+  //     options (select/radio), min, max, integer (number),
+  //     pattern, patternHint, maxLength (text) }
+  // Answers are exported in responses.csv, apart from the trial data.
+  // Participant-facing text here and under INSTRUCTIONS is either a string
+  // or a { en, es, pt } map (see i18n.js).
+  CONSENT: Object.freeze({
+    text: null,
+    version: '1',                         // Recorded with the decision
+    title: Object.freeze({
+      en: 'Consent to take part',
+      es: 'Consentimiento para participar',
+      pt: 'Consentimento para participar',
+    }),
+    agreeLabel: Object.freeze({
+      en: 'I agree to take part',
+      es: 'Acepto participar',
+      pt: 'Aceito participar',
+    }),
+    declineLabel: Object.freeze({
+      en: 'I do not agree',
+      es: 'No acepto',
+      pt: 'Não aceito',
+    }),
+  }),
+  DEMOGRAPHICS: Object.freeze({
+    fields: Object.freeze([]),
+  }),
+
+  // ===== Instructions & Comprehension Quiz =====
+  // Pages shown after the intro form, then multiple-choice questions; the
+  // exposure starts only once every answer is right. `answer` is the index
+  // of the correct option and `page` the id of the page a participant who
+  // gets it wrong is sent back to. A page may show an `image` (URL, with
+  // `imageAlt`) as well as or instead of the emoji. Empty lists skip this.
+  INSTRUCTIONS: Object.freeze({
+    pages: Object.freeze([
+      Object.freeze({
+        id: 'goal',
+        emoji: '🐊',
+        title: Object.freeze({
+          en: 'Keep the alligator alive',
+          es: 'Mantenga vivo al caimán',
+          pt: 'Mantenha o jacaré vivo',
+        }),
+        text: Object.freeze({
+          en: 'An alligator needs your help. Feed it to keep its energy up, and try to gain as much total energy as you can.',
+          es: 'Un caimán necesita su ayuda. Aliméntelo para mantener alta su energía e intente ganar tanta energía total como pueda.',
+          pt: 'Um jacaré precisa da sua ajuda. Alimente-o para manter a energia dele alta e tente ganhar o máximo de energia total que puder.',
+        }),
+      }),
+      Object.freeze({
+        id: 'food',
+        emoji: '🐟 🐔',
+        title: Object.freeze({
+          en: 'Two kinds of food',
+          es: 'Dos tipos de comida',
+          pt: 'Dois tipos de comida',
+        }),
+        text: Object.freeze({
+          en: 'Each time, you choose one of two foods. The fish arrives right away but gives only a little energy. ' +
+            'The other animal gives more energy, but you have to wait for it, and the wait can change after each choice.',
+          es: 'Cada vez, elige una de dos comidas. El pez llega enseguida, pero da poca energía. ' +
+            'El otro animal da más energía, pero hay que esperarlo, y la espera puede cambiar después de cada elección.',
+          pt: 'A cada vez, você escolhe uma de duas comidas. O peixe chega na hora, mas dá pouca energia. ' +
+            'O outro animal dá mais energia, mas é preciso esperar por ele, e a espera pode mudar depois de cada escolha.',
+        }),
+      }),
+      Object.freeze({
+        id: 'energy',
+        emoji: '🔋',
+        title: Object.freeze({
+          en: 'Energy drains',
+          es: 'La energía se agota',
+          pt: 'A energia se esgota',
+        }),
+        text: Object.freeze({
+          en: "The alligator's energy goes down all the time, even while you are waiting for food. " +
+            'How fast it drains can change from round to round.',
+          es: 'La energía del caimán baja todo el tiempo, incluso mientras espera la comida. ' +
+            'La rapidez con la que se agota puede cambiar de una ronda a otra.',
+          pt: 'A energia do jacaré diminui o tempo todo, mesmo enquanto você espera a comida. ' +
+            'A velocidade com que ela se esgota pode mudar de uma rodada para outra.',
+        }),
+      }),
+      Object.freeze({
+        id: 'death',
+        emoji: '💀',
+        title: Object.freeze({
+          en: 'If energy runs out',
+          es: 'Si se acaba la energía',
+          pt: 'Se a energia acabar',
+        }),
+        text: Object.freeze({
+          en: 'If the energy reaches zero, the alligator dies and you cannot choose any more food ' +
+            'until the round is over. Then the next round starts.',
+          es: 'Si la energía llega a cero, el caimán muere y no podrá elegir más comida ' +
+            'hasta que termine la ronda. Después empieza la siguiente ronda.',
+          pt: 'Se a energia chegar a zero, o jacaré morre e você não pode escolher mais comida ' +
+            'até a rodada terminar. Depois começa a próxima rodada.',
+        }),
+      }),
+    ]),
+    quiz: Object.freeze([
+      Object.freeze({
+        id: 'fast-food',
+        question: Object.freeze({
+          en: 'Which food arrives right away?',
+          es: '¿Qué comida llega enseguida?',
+          pt: 'Qual comida chega na hora?',
+        }),
+        options: Object.freeze([
+          Object.freeze({ en: 'The fish', es: 'El pez', pt: 'O peixe' }),
+          Object.freeze({ en: 'The other animal', es: 'El otro animal', pt: 'O outro animal' }),
+        ]),
+        answer: 0,
+        page: 'food',
+      }),
+      Object.freeze({
+        id: 'drain',
+        question: Object.freeze({
+          en: "What happens to the alligator's energy while you wait for food?",
+          es: '¿Qué le pasa a la energía del caimán mientras espera la comida?',
+          pt: 'O que acontece com a energia do jacaré enquanto você espera a comida?',
+        }),
+        options: Object.freeze([
+          Object.freeze({ en: 'It stays the same', es: 'Se mantiene igual', pt: 'Continua igual' }),
+          Object.freeze({ en: 'It goes down', es: 'Baja', pt: 'Diminui' }),
+          Object.freeze({ en: 'It goes up', es: 'Sube', pt: 'Aumenta' }),
+        ]),
+        answer: 1,
+        page: 'energy',
+      }),
+      Object.freeze({
+        id: 'death',
+        question: Object.freeze({
+          en: "What happens if the alligator's energy reaches zero?",
+          es: '¿Qué pasa si la energía del caimán llega a cero?',
+          pt: 'O que acontece se a energia do jacaré chegar a zero?',
+        }),
+        options: Object.freeze([
+          Object.freeze({
+            en: 'The round starts again with full energy',
+            es: 'La ronda vuelve a empezar con la energía llena',
+            pt: 'A rodada recomeça com a energia cheia',
+          }),
+          Object.freeze({
+            en: 'Nothing, the game goes on as before',
+            es: 'Nada, el juego sigue como antes',
+            pt: 'Nada, o jogo continua como antes',
+          }),
+          Object.freeze({
+            en: 'The alligator dies and you wait until the round is over',
+            es: 'El caimán muere y hay que esperar a que termine la ronda',
+            pt: 'O jacaré morre e é preciso esperar a rodada terminar',
+          }),
+        ]),
+        answer: 2,
+        page: 'death',
+      }),
+    ]),
+  }),
+
+  // ===== Group Assignment =====
+  // method: 'block' (balanced shuffled blocks), 'seeded' (by participant ID)
+  // or 'random'. The seed makes block orders and seeded draws reproducible.
+  ASSIGNMENT: Object.freeze({
+    method: 'block',
+    seed: 'gator-game',
+  }),
+
+  // ===== Multi-Visit Schedule =====
+  // conditionsPerVisit splits each group's conditionOrder over separate
+  // visits, e.g. [2, 2] runs conditions 1–2 at visit 1 and 3–4 at visit 2.
+  // null runs everything in one sitting. Progress is kept on the machine
+  // under the participant ID (see visits.js).
+  VISITS: Object.freeze({
+    conditionsPerVisit: null,
+    exposureEachVisit: true,              // Repeat the exposure at every visit
+    carryOverDelay: false,                // Start a visit at the previous visit's final delay
+    minHoursBetween: 0,                   // Earliest return after the previous visit
+  }),
+
+  // ===== Data Upload =====
+  // When endpoint is set, each trial and the final session bundle are POSTed
+  // to it as JSON while the session runs (see upload.js; tools/receiver.mjs
+  // is a reference receiver). Unsent uploads wait in IndexedDB and are retried.
+  UPLOAD: Object.freeze({
+    endpoint: null,                       // e.g. 'http://localhost:8787/upload'
+    timeoutMs: 10000,                     // Per request
+    retryDelayMs: 2000,                   // First retry; doubles after each failure
+    maxRetryDelayMs: 60000,               // Longest wait between retries
+  }),
+
+  // ===== Online Panel =====
+  // URL parameters carrying the panel's IDs (Prolific names by default; e.g.
+  // participantParam 'id' for SONA). With a participant ID in the URL the
+  // intro form is skipped. On completion the participant is sent to
+  // completionUrl with <codeParam>=completionCode and, if pointsParam is
+  // set, <pointsParam>=total energy gained.
+  PANEL: Object.freeze({
+    participantParam: 'PROLIFIC_PID',
+    studyParam: 'STUDY_ID',
+    sessionParam: 'SESSION_ID',
+    completionUrl: null,                  // e.g. 'https://app.prolific.com/submissions/complete'
+    completionCode: null,
+    codeParam: 'cc',
+    pointsParam: null,                    // e.g. 'points'
+    redirectDelayMs: 3000,                // Time to read the end screen
+    uploadWaitMs: 30000,                  // Longest wait for uploads before redirecting
+  }),
+
+  // ===== Experimenter Panel =====
+  // Opened with Ctrl+Shift+<hotkey>, unlocked with the PIN
+  EXPERIMENTER: Object.freeze({
+    hotkey: 'X',
+    pin: '2468',
+  }),
+
   // ===== Animation =====
   EATING_ANIMATION_MS: 1000,              // Duration of eating animation
 });
 
-export default CONFIG;
+let CONFIG = DEFAULT_CONFIG;
+
+/**
+ * Recursively freeze a plain object/array tree.
+ */
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(obj);
+}
+
+/**
+ * Merge protocol overrides onto the defaults.
+ * - CONDITIONS are merged per condition id (a protocol may tweak one field
+ *   of an existing condition or add a new condition).
+ * - GROUPS replaces the default design outright.
+ * - Other object-valued settings (e.g. ASSIGNMENT) are merged one level deep.
+ * - Every other key replaces the default.
+ * @param {Object} overrides - the protocol's `config` object
+ * @returns {Object} a new, unfrozen config object
+ */
+export function mergeConfig(overrides = {}) {
+  const merged = { ...DEFAULT_CONFIG, ...overrides };
+  for (const [key, value] of Object.entries(overrides)) {
+    const base = DEFAULT_CONFIG[key];
+    const isSection = base && typeof base === 'object' && !Array.isArray(base);
+    if (isSection && key !== 'CONDITIONS' && key !== 'GROUPS' && value && typeof value === 'object') {
+      merged[key] = { ...base, ...value };
+    }
+  }
+  const conditions = { ...DEFAULT_CONFIG.CONDITIONS };
+  for (const [id, cond] of Object.entries(overrides.CONDITIONS || {})) {
+    conditions[id] = { ...(DEFAULT_CONFIG.CONDITIONS[id] || {}), id, ...cond };
+  }
+  merged.CONDITIONS = conditions;
+  return structuredClone(merged);
+}
+
+/**
+ * Make a merged config the active one for the rest of the session.
+ */
+export function applyConfig(config) {
+  CONFIG = deepFreeze(config);
+}
+
+/**
+ * Restore the built-in defaults.
+ */
+export function resetConfig() {
+  CONFIG = DEFAULT_CONFIG;
+}
+
+export { DEFAULT_CONFIG, CONFIG as default };
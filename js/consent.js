@@ -0,0 +1,231 @@
+/**
+ * Consent and demographics screens (CONFIG.CONSENT, CONFIG.DEMOGRAPHICS).
+ *
+ * Shown before the intro for the protocol the page opened with, or when a
+ * protocol that has them is picked at the intro. Answers
+ * are held by data.js until the session starts, then saved with it and
+ * exported as responses.csv, apart from the trial data. Declining consent
+ * ends the visit: nothing is saved and the recorded data is cleared.
+ * Labels and options may be localized ({ <locale>: text } maps); answers are
+ * recorded in the default locale's wording.
+ */
+
+import CONFIG from './config.js';
+import { logEvent } from './events.js';
+import { recordResponse, resetData } from './data.js';
+import { t, localize, canonical, onLocaleChange } from './i18n.js';
+
+const el = {};
+let handlers = { showScreen: () => {}, onDone: () => {} };
+let showing = null;   // 'consent' | 'demographics' while on screen
+
+function cacheElements() {
+  el.consentTitle = document.getElementById('consent-title');
+  el.consentText = document.getElementById('consent-text');
+  el.agree = document.getElementById('btn-consent-agree');
+  el.decline = document.getElementById('btn-consent-decline');
+  el.form = document.getElementById('demographics-form');
+  el.fields = document.getElementById('demographics-fields');
+  el.error = document.getElementById('demographics-error');
+}
+
+/**
+ * Whether the active protocol asks for consent or demographics.
+ */
+export function hasConsentOrDemographics() {
+  return Boolean(CONFIG.CONSENT.text) || CONFIG.DEMOGRAPHICS.fields.length > 0;
+}
+
+// ===== Consent =====
+
+function showConsent() {
+  const { title, text, agreeLabel, declineLabel } = CONFIG.CONSENT;
+  el.consentTitle.textContent = localize(title);
+  el.consentText.textContent = localize(text);
+  el.agree.textContent = localize(agreeLabel);
+  el.decline.textContent = localize(declineLabel);
+  showing = 'consent';
+  handlers.showScreen('consent');
+}
+
+function agree() {
+  recordResponse('consent', 'version', CONFIG.CONSENT.version);
+  recordResponse('consent', 'decision', 'agreed');
+  logEvent('consent', { decision: 'agreed', version: CONFIG.CONSENT.version });
+  showDemographics();
+}
+
+function decline() {
+  showing = null;
+  handlers.showScreen('declined');
+  // Nothing has been saved yet (the session starts after the intro); drop
+  // what is held in memory too
+  resetData();
+}
+
+// ===== Demographics =====
+
+function buildField(field) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'demographics-field';
+  const inputId = `demographics-${field.id}`;
+
+  if (field.type === 'radio') {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = localize(field.label) + (field.required ? ' *' : '');
+    fieldset.appendChild(legend);
+    for (const option of field.options) {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = field.id;
+      input.value = canonical(option);
+      input.required = Boolean(field.required);
+      label.append(input, ` ${localize(option)}`);
+      fieldset.appendChild(label);
+    }
+    wrapper.appendChild(fieldset);
+    return wrapper;
+  }
+
+  const label = document.createElement('label');
+  label.htmlFor = inputId;
+  label.textContent = localize(field.label) + (field.required ? ' *' : '');
+  let input;
+  if (field.type === 'select') {
+    input = document.createElement('select');
+    const blank = document.createElement('option');
+    blank.value = '';
+    blank.textContent = t('demographics.choose');
+    input.appendChild(blank);
+    for (const option of field.options) {
+      const opt = document.createElement('option');
+      opt.value = canonical(option);
+      opt.textContent = localize(option);
+      input.appendChild(opt);
+    }
+  } else {
+    input = document.createElement('input');
+    input.type = field.type;
+    input.autocomplete = 'off';
+    if (field.type === 'number') {
+      if (field.min !== undefined) input.min = field.min;
+      if (field.max !== undefined) input.max = field.max;
+      input.step = field.integer ? '1' : 'any';
+    } else {
+      if (field.pattern) input.pattern = field.pattern;
+      if (field.maxLength) input.maxLength = field.maxLength;
+    }
+  }
+  input.id = inputId;
+  input.name = field.id;
+  input.required = Boolean(field.required);
+  wrapper.append(label, input);
+  return wrapper;
+}
+
+/**
+ * Check one answer against its field definition.
+ * @returns {string|null} the problem, or null if the answer is acceptable
+ */
+export function validateAnswer(field, value) {
+  const label = localize(field.label);
+  if (value === '') return field.required ? t('demographics.required', { label }) : null;
+  if (field.type === 'number') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return t('demographics.notNumber', { label });
+    if (field.integer && !Number.isInteger(n)) return t('demographics.notInteger', { label });
+    if (field.min !== undefined && n < field.min) return t('demographics.tooSmall', { label, min: field.min });
+    if (field.max !== undefined && n > field.max) return t('demographics.tooLarge', { label, max: field.max });
+  } else if (field.type === 'select' || field.type === 'radio') {
+    if (!field.options.some(option => canonical(option) === value)) return t('demographics.notOption', { label });
+  } else {
+    if (field.maxLength && value.length > field.maxLength) {
+      return t('demographics.tooLong', { label, count: field.maxLength });
+    }
+    if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+      return field.patternHint
+        ? t('demographics.hint', { label, hint: localize(field.patternHint) })
+        : t('demographics.badFormat', { label });
+    }
+  }
+  return null;
+}
+
+function showDemographics() {
+  const { fields } = CONFIG.DEMOGRAPHICS;
+  if (fields.length === 0) {
+    showing = null;
+    handlers.onDone();
+    return;
+  }
+  el.fields.replaceChildren(...fields.map(buildField));
+  el.error.textContent = '';
+  showing = 'demographics';
+  handlers.showScreen('demographics');
+}
+
+/**
+ * Redraw the screen being shown in the new locale, keeping what has been
+ * entered so far.
+ */
+function relabel() {
+  if (showing === 'consent') {
+    showConsent();
+  } else if (showing === 'demographics') {
+    const entered = new FormData(el.form);
+    el.fields.replaceChildren(...CONFIG.DEMOGRAPHICS.fields.map(buildField));
+    for (const [name, value] of entered) {
+      const input = el.form.elements[name];
+      if (input) input.value = value;
+    }
+    el.error.textContent = '';
+  }
+}
+
+function submitDemographics(e) {
+  e.preventDefault();
+  const { fields } = CONFIG.DEMOGRAPHICS;
+  const answers = fields.map(field => ({
+    field,
+    value: (el.form.elements[field.id]?.value ?? '').trim(),
+  }));
+  const problems = answers.map(({ field, value }) => validateAnswer(field, value)).filter(Boolean);
+  if (problems.length > 0) {
+    el.error.textContent = problems.join('. ');
+    return;
+  }
+  for (const { field, value } of answers) {
+    recordResponse('demographics', field.id, value);
+  }
+  logEvent('demographics-complete', { fields: fields.length });
+  showing = null;
+  handlers.onDone();
+}
+
+// ===== Public API =====
+
+/**
+ * Run the consent and demographics screens; `onDone` runs once they are
+ * complete (straight away if the protocol has neither).
+ * @param {{ showScreen: Function, onDone: Function }} callbacks
+ */
+export function startConsent(callbacks) {
+  handlers = callbacks;
+  if (!hasConsentOrDemographics()) {
+    handlers.onDone();
+    return;
+  }
+
+  if (!el.form) {
+    cacheElements();
+    el.agree.addEventListener('click', agree);
+    el.decline.addEventListener('click', decline);
+    el.form.addEventListener('submit', submitDemographics);
+    onLocaleChange(relabel);
+  }
+
+  if (CONFIG.CONSENT.text) showConsent();
+  else showDemographics();
+}
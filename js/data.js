@@ -1,13 +1,98 @@
 /**
- * Data collection: trial recording, condition summaries, CSV export.
+ * Data collection: trial recording, condition summaries, CSV formatting.
+ * The export bundle itself is built in export.js.
  */
 
 import CONFIG from './config.js';
 import { get } from './state.js';
+import { persistRecord } from './persistence.js';
+import { queueUpload } from './upload.js';
+import {
+  logEvent, getEvents, restoreEvent, resetEvents,
+} from './events.js';
+import { analyzeCondition } from './analysis.js';
+import { getClock, describeClock } from './clock.js';
+import { llModeFor } from './titration.js';
+
+/**
+ * Round a clock time or duration to 0.1 ms (null stays null).
+ */
+function roundMs(ms) {
+  return ms == null ? null : Math.round(ms * 10) / 10;
+}
+
+/**
+ * Round a 0–1 share to 4 decimals (null stays null).
+ */
+function roundShare(share) {
+  return share == null ? null : Math.round(share * 10000) / 10000;
+}
+
+/**
+ * Mean and median of a list of numbers (null when empty).
+ */
+function meanAndMedian(values) {
+  if (values.length === 0) return { mean: null, median: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return { mean, median };
+}
 
 // ===== Trial-Level Data =====
 const trials = [];
 const conditionSummaries = [];
+const recoveries = [];
+const interventions = [];
+const interruptions = [];
+const catchProbes = [];
+const timing = [];
+const drains = [];
+const quizResponses = [];
+const responses = [];
+
+// Rows from the participant's earlier visits (multi-visit schedules),
+// exported together with this visit's rows
+const linked = {
+  trials: [], summaries: [], recoveries: [], interventions: [], interruptions: [], catch: [],
+  timing: [], drain: [], quiz: [], responses: [], events: [],
+};
+let missingVisits = [];
+
+/**
+ * Session-level columns repeated on every exported row so each row can be
+ * traced back to the exact settings that produced it.
+ */
+function sessionColumns() {
+  return {
+    sessionId: get('sessionId'),
+    recovered: get('recovered'),
+    protocolId: get('protocolId'),
+    protocolHash: get('protocolHash'),
+    assignmentMethod: get('assignmentMethod'),
+    assignmentSeed: get('assignmentSeed'),
+    assignmentBlock: get('assignmentBlock'),
+    assignmentBlockPosition: get('assignmentBlockPosition'),
+    visitNumber: get('visitNumber'),
+    visitCount: get('visitCount'),
+    clockMode: getClock().mode,
+    clockSpeed: getClock().speed,
+    studyId: get('studyId'),
+    panelSessionId: get('panelSessionId'),
+    urlParams: Object.keys(get('urlParams')).length > 0 ? JSON.stringify(get('urlParams')) : '',
+    locale: get('locale'),
+  };
+}
+
+/**
+ * Share of this phase's probabilistic larger-later choices whose reward was
+ * delivered so far (null before the first one).
+ */
+function deliveredRate() {
+  const outcomes = get('llOutcomeCount');
+  return outcomes === 0 ? null : roundShare(get('llDeliveredCount') / outcomes);
+}
 
 /**
  * Record a single trial.
@@ -17,8 +102,9 @@ export function recordTrial(trialData) {
   const group = get('group');
   const groupConfig = CONFIG.GROUPS[group];
 
-  trials.push({
+  const row = {
     participantId: get('participantId'),
+    ...sessionColumns(),
     group,
     rewardAmount: get('rewardAmount'),
     sequence: get('sequence'),
@@ -29,43 +115,396 @@ export function recordTrial(trialData) {
       : CONFIG.CONDITIONS[get('conditionId')]?.animal || '',
     trialNumber: get('trialNumber'),
     choice: trialData.choice,
+    optionId: trialData.optionId,
+    optionPosition: get('optionOrder').indexOf(trialData.optionId) + 1,
+    optionCount: get('optionOrder').length,
+    fishSide: get('fishSide'),
+    responseMethod: trialData.response.method,
+    responseKey: trialData.response.key,
+    llMode: llModeFor(get('phase'), get('conditionId')),
     delayAtChoice: trialData.delayAtChoice,
+    optionDelayMs: trialData.optionDelayMs,
+    choiceOnsetAtMs: roundMs(trialData.choiceOnsetTime),
+    responseAtMs: roundMs(trialData.responseTime),
+    rtMs: trialData.choiceOnsetTime == null
+      ? null
+      : roundMs(trialData.responseTime - trialData.choiceOnsetTime),
+    rewardDeliveredAtMs: roundMs(trialData.rewardTime),
+    measuredDelayMs: roundMs(trialData.measuredDelayMs),
+    titrationRule: trialData.adjustment.rule,
+    delayBeforeAdjustMs: trialData.adjustment.delayBefore,
+    delayAfterAdjustMs: trialData.adjustment.delayAfter,
+    reversal: trialData.adjustment.reversal,
+    probabilityAtChoice: trialData.adjustment.probabilityBefore,
+    probabilityAfterAdjust: trialData.adjustment.probabilityAfter,
+    outcome: trialData.outcome,
+    deliveredRate: deliveredRate(),
     pointsEarned: trialData.pointsEarned,
     energyBefore: Math.round(trialData.energyBefore),
     energyAfter: Math.round(trialData.energyAfter),
     totalEnergyGained: Math.round(get('totalEnergyGained')),
     conditionElapsedMs: get('conditionElapsedMs'),
-    timestamp: new Date().toISOString(),
-  });
+    interrupted: false,
+    timestamp: getClock().date().toISOString(),
+  };
+  trials.push(row);
+  persistRecord('trial', row);
+  queueUpload('trial', row);
+  logEvent('trial', { choice: row.choice, pointsEarned: row.pointsEarned, delayAtChoice: row.delayAtChoice });
 }
 
 /**
  * Record a condition summary when a condition ends.
+ * @param {string} endReason - 'timeout' | 'ready' | 'skipped' | 'aborted' | 'invalidated'
  */
-export function recordConditionSummary() {
+export function recordConditionSummary(endReason) {
   const conditionId = get('conditionId') || 'exposure';
   const phase = get('phase');
+  const llMode = llModeFor(phase, get('conditionId'));
 
   // Count trials for this condition
-  const condTrials = trials.filter(t => t.conditionId === conditionId && t.phase === phase);
+  const condTrials = trials.filter(t =>
+    t.conditionId === conditionId && t.phase === phase && !t.interrupted);
   const ssCount = condTrials.filter(t => t.choice === 'smaller-sooner').length;
   const llCount = condTrials.filter(t => t.choice === 'larger-later').length;
   const totalPoints = condTrials.reduce((sum, t) => sum + t.pointsEarned, 0);
+  const rt = meanAndMedian(condTrials.map(t => t.rtMs).filter(v => v != null));
+  const probes = catchProbes.filter(p =>
+    p.conditionId === conditionId && p.phase === phase && !p.interrupted);
+  const probeLatency = meanAndMedian(probes.map(p => p.latencyMs).filter(v => v != null));
+  const phaseDrains = drains.filter(d =>
+    d.conditionId === conditionId && d.phase === phase && !d.interrupted);
 
-  conditionSummaries.push({
+  const row = {
     participantId: get('participantId'),
+    ...sessionColumns(),
     group: get('group'),
     conditionId,
     phase,
+    llMode,
     finalDelay: get('currentDelayMs'),
+    finalProbability: llMode === 'probability' ? get('currentProbability') : null,
+    deliveredRate: deliveredRate(),
+    titrationRule: llMode === 'probability' ? CONFIG.PROBABILITY.rule : CONFIG.TITRATION.rule,
+    reversalCount: condTrials.filter(t => t.reversal).length,
     totalTrials: condTrials.length,
     smallerSoonerCount: ssCount,
     largerLaterCount: llCount,
     totalPointsEarned: totalPoints,
+    meanRtMs: roundMs(rt.mean),
+    medianRtMs: roundMs(rt.median),
     diedDuringCondition: get('isDead'),
+    interruptionCount: get('phaseInterruptionCount'),
+    interruptedMs: roundMs(get('phaseInterruptedMs')),
+    interruptionPausedMs: roundMs(get('phasePausedMs')),
+    catchProbes: probes.filter(p => p.result !== 'phase-end').length,
+    catchPassed: probes.filter(p => p.result === 'pass').length,
+    catchFailed: probes.filter(p => p.result === 'fail').length,
+    catchMissed: probes.filter(p => p.result === 'missed').length,
+    catchMeanLatencyMs: roundMs(probeLatency.mean),
+    timingLateShare: roundShare(get('phaseLateShare')),
+    timingLongFrameShare: roundShare(get('phaseLongFrameShare')),
+    timingWithinTolerance: get('phaseTimingWithinTolerance'),
+    drainCount: phaseDrains.filter(d => d.kind === 'tick').length,
+    drainShockCount: phaseDrains.filter(d => d.kind === 'shock').length,
+    pointsDrained: phaseDrains.reduce((sum, d) => sum + d.pointsLost, 0),
+    endReason,
+  };
+  conditionSummaries.push(row);
+  persistRecord('summary', row);
+  logEvent('condition-end', { totalTrials: row.totalTrials, died: row.diedDuringCondition });
+}
+
+/**
+ * Log that an interrupted session was recovered.
+ * @param {Object} entry - { action, interruptedAt, phase, conditionId, ... }
+ */
+export function recordRecovery(entry) {
+  const row = {
+    participantId: get('participantId'),
+    sessionId: get('sessionId'),
+    ...entry,
+    recoveredAt: new Date().toISOString(),
+  };
+  recoveries.push(row);
+  persistRecord('recovery', row);
+}
+
+/**
+ * Record an experimenter intervention (pause, skip, abort, note, ...).
+ * @param {string} action
+ * @param {string} [text] - abort reason or note text
+ */
+export function recordIntervention(action, text = '') {
+  const row = {
+    participantId: get('participantId'),
+    sessionId: get('sessionId'),
+    action,
+    text,
+    phase: get('phase'),
+    conditionId: get('conditionId') || '',
+    conditionElapsedMs: get('conditionElapsedMs'),
+    perfTimeMs: roundMs(getClock().now()),
+    timestamp: getClock().date().toISOString(),
+  };
+  interventions.push(row);
+  persistRecord('intervention', row);
+  logEvent('intervention', { action, text });
+}
+
+/**
+ * Record the participant leaving the game during the exposure or a
+ * condition (see interruptions.js).
+ * @param {Object} interruption - { source, policy, startPerfTimeMs,
+ *   startConditionElapsedMs, startedAt, durationMs, endedBy }
+ */
+export function recordInterruption(interruption) {
+  const row = {
+    participantId: get('participantId'),
+    sessionId: get('sessionId'),
+    visitNumber: get('visitNumber'),
+    phase: get('phase'),
+    conditionId: get('conditionId') || 'exposure',
+    ...interruption,
+    startPerfTimeMs: roundMs(interruption.startPerfTimeMs),
+    durationMs: roundMs(interruption.durationMs),
+    interrupted: false,
+  };
+  interruptions.push(row);
+  persistRecord('interruption', row);
+}
+
+/**
+ * Record a catch probe and how it went (see attention.js).
+ * @param {Object} probe - { probeNumber, type, scheduledAtMs,
+ *   shownConditionElapsedMs, shownAtMs, response, responseMethod, result, latencyMs }
+ */
+export function recordCatchProbe(probe) {
+  const row = {
+    participantId: get('participantId'),
+    ...sessionColumns(),
+    group: get('group'),
+    phase: get('phase'),
+    conditionId: get('conditionId') || 'exposure',
+    ...probe,
+    shownAtMs: roundMs(probe.shownAtMs),
+    latencyMs: roundMs(probe.latencyMs),
+    interrupted: false,
+    timestamp: getClock().date().toISOString(),
+  };
+  catchProbes.push(row);
+  persistRecord('catch', row);
+}
+
+/**
+ * Record how late one timer ran, or how long the frames took, during the
+ * exposure or a condition (see timing.js).
+ * @param {Object} stats - { source, measure, targetMs, samples, meanMs,
+ *   p50Ms, p95Ms, p99Ms, maxMs, thresholdMs, overThresholdCount,
+ *   overThresholdShare, withinTolerance }
+ */
+export function recordTiming(stats) {
+  const row = {
+    participantId: get('participantId'),
+    ...sessionColumns(),
+    group: get('group'),
+    phase: get('phase'),
+    conditionId: get('conditionId') || 'exposure',
+    ...stats,
+    meanMs: roundMs(stats.meanMs),
+    p50Ms: roundMs(stats.p50Ms),
+    p95Ms: roundMs(stats.p95Ms),
+    p99Ms: roundMs(stats.p99Ms),
+    maxMs: roundMs(stats.maxMs),
+    overThresholdShare: roundShare(stats.overThresholdShare),
+    interrupted: false,
+  };
+  timing.push(row);
+  persistRecord('timing', row);
+}
+
+/**
+ * Record one drain of energy (see drain.js), so the budget each participant
+ * faced can be rebuilt from the data.
+ * @param {Object} drain - { drainNumber, kind, intervalMs, factor, amount,
+ *   pointsLost, energyBefore, energyAfter, day }
+ */
+export function recordDrain(drain) {
+  const row = {
+    participantId: get('participantId'),
+    ...sessionColumns(),
+    group: get('group'),
+    phase: get('phase'),
+    conditionId: get('conditionId') || 'exposure',
+    ...drain,
+    conditionElapsedMs: get('conditionElapsedMs'),
+    drainedAtMs: roundMs(getClock().now()),
+    interrupted: false,
+  };
+  drains.push(row);
+  persistRecord('drain', row);
+}
+
+/**
+ * Record one answer of a comprehension quiz attempt.
+ * @param {Object} answer - { attempt, questionId, pageId, answerIndex, answer, correct }
+ */
+export function recordQuizAnswer(answer) {
+  const row = {
+    participantId: get('participantId'),
+    sessionId: get('sessionId'),
+    visitNumber: get('visitNumber'),
+    ...answer,
+    timestamp: getClock().date().toISOString(),
+  };
+  quizResponses.push(row);
+  persistRecord('quiz', row);
+}
+
+/**
+ * Record a consent or demographics answer. These are given before the
+ * session starts; saveResponses() files them under the session.
+ * @param {string} form - 'consent' | 'demographics'
+ * @param {string} field
+ * @param {string} value
+ */
+export function recordResponse(form, field, value) {
+  responses.push({
+    participantId: '',
+    sessionId: '',
+    form,
+    field,
+    value,
+    answeredAt: getClock().date().toISOString(),
   });
 }
 
+/**
+ * Attach the consent and demographics answers to the session that has just
+ * started, and save them.
+ */
+export function saveResponses() {
+  for (const row of responses) {
+    row.participantId = get('participantId');
+    row.sessionId = get('sessionId');
+    persistRecord('response', row);
+  }
+}
+
+/**
+ * Sort persisted records into rows by kind. Trials recorded after the last
+ * condition summary (or before a recovery) belong to a condition that never
+ * finished; they are kept but flagged `interrupted`. That goes for every
+ * per-phase row kind: trials, interruptions, catch probes, timing and drains.
+ * @param {Array<{ kind: string, data: Object }>} records - in write order
+ * @param {Object} [patch] - fields set on every row except events
+ */
+function sortRecords(records, patch = {}) {
+  const rows = {
+    trials: [], summaries: [], recoveries: [], interventions: [], interruptions: [], catch: [],
+    timing: [], drain: [], quiz: [], responses: [], events: [],
+  };
+  let pending = [];
+  const flagPending = () => {
+    for (const row of pending) row.interrupted = true;
+    pending = [];
+  };
+
+  for (const { kind, data } of records) {
+    if (kind === 'event') {
+      rows.events.push(data);
+      continue;
+    }
+    const row = { ...data, ...patch };
+    if (kind === 'trial') {
+      rows.trials.push(row);
+      pending.push(row);
+    } else if (kind === 'summary') {
+      rows.summaries.push(row);
+      pending = [];
+    } else if (kind === 'recovery') {
+      rows.recoveries.push(row);
+      flagPending();
+    } else if (kind === 'intervention') {
+      rows.interventions.push(row);
+    } else if (kind === 'interruption') {
+      rows.interruptions.push(row);
+      pending.push(row);
+    } else if (kind === 'catch') {
+      rows.catch.push(row);
+      pending.push(row);
+    } else if (kind === 'timing') {
+      rows.timing.push(row);
+      pending.push(row);
+    } else if (kind === 'drain') {
+      rows.drain.push(row);
+      pending.push(row);
+    } else if (kind === 'quiz') {
+      rows.quiz.push(row);
+    } else if (kind === 'response') {
+      rows.responses.push(row);
+    }
+  }
+  flagPending();
+  return rows;
+}
+
+/**
+ * Rebuild the in-memory data from rows persisted before a crash.
+ * Every restored row is flagged `recovered`; interrupted rows are left out
+ * of condition summaries.
+ * @param {Array<{ kind: string, data: Object }>} records - in write order
+ */
+export function restoreData(records) {
+  resetData();
+  const rows = sortRecords(records, { recovered: true });
+  trials.push(...rows.trials);
+  conditionSummaries.push(...rows.summaries);
+  recoveries.push(...rows.recoveries);
+  interventions.push(...rows.interventions);
+  interruptions.push(...rows.interruptions);
+  catchProbes.push(...rows.catch);
+  timing.push(...rows.timing);
+  drains.push(...rows.drain);
+  quizResponses.push(...rows.quiz);
+  responses.push(...rows.responses);
+  rows.events.forEach(restoreEvent);
+}
+
+/**
+ * Attach the data of the participant's earlier visits so the exports hold
+ * every visit. Rows keep their own sessionId and visitNumber.
+ * @param {Array<Array<{ kind: string, data: Object }>>} recordsPerVisit
+ * @param {number[]} [missing] - earlier visits whose data was not found
+ */
+export function linkEarlierVisits(recordsPerVisit, missing = []) {
+  for (const key of Object.keys(linked)) linked[key].length = 0;
+  for (const records of recordsPerVisit) {
+    const rows = sortRecords(records);
+    for (const key of Object.keys(linked)) linked[key].push(...rows[key]);
+  }
+  missingVisits = missing;
+}
+
+/**
+ * Clear all recorded data (for a new or restored session).
+ */
+export function resetData() {
+  trials.length = 0;
+  conditionSummaries.length = 0;
+  recoveries.length = 0;
+  interventions.length = 0;
+  interruptions.length = 0;
+  catchProbes.length = 0;
+  timing.length = 0;
+  drains.length = 0;
+  quizResponses.length = 0;
+  responses.length = 0;
+  for (const key of Object.keys(linked)) linked[key].length = 0;
+  missingVisits = [];
+  resetEvents();
+}
+
 /**
  * Get all recorded trials.
  */
@@ -80,17 +519,70 @@ export function getSummaries() {
   return [...conditionSummaries];
 }
 
+/**
+ * Indifference-point analysis, one row per condition summary.
+ */
+function analyzeSummaries(summaries, trialRows) {
+  return summaries.map(s => {
+    const condTrials = trialRows.filter(t => t.sessionId === s.sessionId &&
+      t.conditionId === s.conditionId && t.phase === s.phase && !t.interrupted);
+    return {
+      participantId: s.participantId,
+      sessionId: s.sessionId,
+      visitNumber: s.visitNumber,
+      protocolId: s.protocolId,
+      protocolHash: s.protocolHash,
+      clockMode: s.clockMode,
+      clockSpeed: s.clockSpeed,
+      group: s.group,
+      phase: s.phase,
+      conditionId: s.conditionId,
+      ...analyzeCondition(condTrials),
+    };
+  });
+}
+
+/**
+ * Indifference-point analysis for this visit's conditions.
+ */
+export function getAnalysis() {
+  return analyzeSummaries(conditionSummaries, trials);
+}
+
+/**
+ * Get all recovery log entries.
+ */
+export function getRecoveries() {
+  return [...recoveries];
+}
+
+/**
+ * Get all experimenter interventions.
+ */
+export function getInterventions() {
+  return [...interventions];
+}
+
+/**
+ * Get every recorded comprehension quiz answer.
+ */
+export function getQuizResponses() {
+  return [...quizResponses];
+}
+
 /**
  * Generate CSV string from an array of objects.
  */
-function toCSV(rows) {
+export function toCSV(rows) {
   if (rows.length === 0) return '';
   const headers = Object.keys(rows[0]);
   const lines = [headers.join(',')];
   for (const row of rows) {
     const values = headers.map(h => {
       const val = row[h];
-      if (typeof val === 'string' && (val.includes(',') || val.includes('"'))) {
+      // Quote anything that would end the field or the row (free text such
+      // as notes and answers may hold line breaks)
+      if (typeof val === 'string' && /[",\r\n]/.test(val)) {
         return `"${val.replace(/"/g, '""')}"`;
       }
       return val;
@@ -101,37 +593,36 @@ function toCSV(rows) {
 }
 
 /**
- * Download trial-level data as CSV.
- */
-export function downloadTrialCSV() {
-  const csv = toCSV(trials);
-  const pid = get('participantId') || 'unknown';
-  downloadFile(`gator-game-trials-${pid}.csv`, csv);
-}
-
-/**
- * Download condition summary data as CSV.
- */
-export function downloadSummaryCSV() {
-  const csv = toCSV(conditionSummaries);
-  const pid = get('participantId') || 'unknown';
-  downloadFile(`gator-game-summary-${pid}.csv`, csv);
-}
-
-/**
- * Download both CSVs bundled together.
+ * Every row to export: this visit's rows plus those of any linked earlier
+ * visits, keyed by export table (see dictionary.js).
  */
-export function downloadAllData() {
-  downloadTrialCSV();
-  // Small delay so browser doesn't block second download
-  setTimeout(() => downloadSummaryCSV(), 500);
+export function getExportRows() {
+  const allTrials = [...linked.trials, ...trials];
+  const allSummaries = [...linked.summaries, ...conditionSummaries];
+  return {
+    trials: allTrials,
+    summary: allSummaries,
+    analysis: analyzeSummaries(allSummaries, allTrials),
+    events: [...linked.events, ...getEvents()],
+    interventions: [...linked.interventions, ...interventions],
+    interruptions: [...linked.interruptions, ...interruptions],
+    catch: [...linked.catch, ...catchProbes],
+    timing: [...linked.timing, ...timing],
+    drain: [...linked.drain, ...drains],
+    recoveries: [...linked.recoveries, ...recoveries],
+    quiz: [...linked.quiz, ...quizResponses],
+    responses: [...linked.responses, ...responses],
+  };
 }
 
 /**
  * Trigger a file download.
+ * @param {string} filename
+ * @param {string|Uint8Array} content - text is saved as UTF-8
+ * @param {string} [type] - MIME type
  */
-function downloadFile(filename, content) {
-  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+export function downloadFile(filename, content, type = 'text/csv') {
+  const blob = new Blob([content], { type: typeof content === 'string' ? `${type};charset=utf-8;` : type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -147,16 +638,75 @@ function downloadFile(filename, content) {
  */
 export function getEndSummaryText() {
   const lines = [];
+  if (get('abortReason')) {
+    lines.push(`SESSION ABORTED: ${get('abortReason')}`);
+    lines.push('');
+  }
+  const clocks = new Set(conditionSummaries
+    .filter(s => s.clockMode !== 'real')
+    .map(s => describeClock(s.clockMode, s.clockSpeed)));
+  if (clocks.size > 0) {
+    lines.push(`NOT REAL TIME — clock: ${[...clocks].join(', ')}`);
+    lines.push('');
+  }
+  const imprecise = conditionSummaries.filter(s => s.timingWithinTolerance === false);
+  if (imprecise.length > 0) {
+    lines.push(`TIMING OUTSIDE TOLERANCE in ${imprecise.length} phase(s) — see timing.csv`);
+    lines.push('');
+  }
   lines.push(`Participant: ${get('participantId')}`);
   lines.push(`Group: ${get('group')} (${get('rewardAmount')}-point reward, ${get('sequence')})`);
+  lines.push(`Assignment: ${get('assignmentMethod')}` +
+    (get('assignmentBlock') ? ` (block ${get('assignmentBlock')}, slot ${get('assignmentBlockPosition')})` : ''));
+  lines.push(`Protocol: ${get('protocolId')} (${get('protocolHash').slice(0, 19)})`);
+  if (get('visitCount') > 1) {
+    const earlier = new Set(linked.summaries.map(s => s.visitNumber)).size;
+    lines.push(`Visit ${get('visitNumber')} of ${get('visitCount')}` +
+      (earlier > 0 ? ` — download includes ${earlier} earlier visit(s)` : ''));
+    if (missingVisits.length > 0) {
+      lines.push(`MISSING DATA: visit(s) ${missingVisits.join(', ')} not found on this machine`);
+    }
+  }
+  if (quizResponses.length > 0) {
+    const attempts = Math.max(...quizResponses.map(r => r.attempt));
+    const passed = quizResponses.filter(r => r.attempt === attempts).every(r => r.correct);
+    lines.push(`Comprehension quiz: ${attempts} attempt(s)${passed ? ', passed' : ', NOT PASSED'}`);
+  }
   lines.push('');
   for (const s of conditionSummaries) {
     const label = s.phase === 'exposure' ? 'Exposure' : CONFIG.CONDITIONS[s.conditionId]?.label || s.conditionId;
+    const final = s.llMode === 'probability'
+      ? `final probability ${Math.round(s.finalProbability * 100)}%` +
+        (s.deliveredRate === null ? '' : ` (${Math.round(s.deliveredRate * 100)}% delivered)`)
+      : `final delay ${s.finalDelay}ms`;
     lines.push(`${label}: ${s.totalTrials} trials (${s.smallerSoonerCount} SS, ${s.largerLaterCount} LL), ` +
-      `final delay ${s.finalDelay}ms, ${s.totalPointsEarned} pts earned` +
-      (s.diedDuringCondition ? ' [DIED]' : ''));
+      `${final}, ${s.totalPointsEarned} pts earned` +
+      (s.diedDuringCondition ? ' [DIED]' : '') +
+      (s.timingWithinTolerance === false ? ' [TIMING]' : '') +
+      (s.catchProbes > 0 ? ` [catch ${s.catchPassed}/${s.catchProbes} passed]` : '') +
+      (s.interruptionCount > 0
+        ? ` [LEFT ${s.interruptionCount}×, ${(s.interruptedMs / 1000).toFixed(1)}s away]`
+        : '') +
+      (['skipped', 'aborted', 'invalidated'].includes(s.endReason) ? ` [${s.endReason.toUpperCase()}]` : ''));
+  }
+  lines.push('');
+  lines.push(`Indifference points (mean of last ${CONFIG.ANALYSIS.lastN} delays / at reversals):`);
+  for (const a of getAnalysis()) {
+    const label = a.phase === 'exposure' ? 'Exposure' : CONFIG.CONDITIONS[a.conditionId]?.label || a.conditionId;
+    const fmt = ms => (ms === null ? '–' : `${(ms / 1000).toFixed(1)}s`);
+    const fmtP = p => (p === null ? '–' : `p=${p.toFixed(2)}`);
+    const pct = a.llProportion === null ? '–' : `${Math.round(a.llProportion * 100)}%`;
+    const points = a.llMode === 'probability'
+      ? `${fmtP(a.lastNMeanProbability)} / ${fmtP(a.reversalMeanProbability)}`
+      : `${fmt(a.lastNMeanDelayMs)} / ${fmt(a.reversalMeanDelayMs)}`;
+    lines.push(`${label}: ${points}, LL ${pct}, ` +
+      (a.converged ? 'converged' : `NOT CONVERGED (${a.convergenceNote})`));
   }
   lines.push('');
   lines.push(`Total trials recorded: ${trials.length}`);
+  if (get('recovered')) {
+    const interrupted = trials.filter(t => t.interrupted).length;
+    lines.push(`RECOVERED SESSION: ${recoveries.length} interruption(s), ${interrupted} trial(s) from interrupted conditions`);
+  }
   return lines.join('\n');
 }
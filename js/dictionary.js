@@ -0,0 +1,331 @@
+/**
+ * Data dictionary for the exported files.
+ *
+ * One entry per column of every export table, in the order the columns
+ * are produced by the data.js record functions, the analysis and the
+ * event log. When a column is added to a row, add it here too — columns
+ * missing from the dictionary are flagged as undocumented in the export.
+ */
+
+const col = (type, description) => ({ type, description });
+
+const PARTICIPANT = {
+  participantId: col('string', 'Participant ID entered on the intro screen'),
+};
+
+// Columns from sessionColumns() in data.js
+const SESSION = {
+  sessionId: col('string', 'Unique ID of the session (one per visit; kept when a crashed session is resumed)'),
+  recovered: col('boolean', 'true if the row was restored after a crash or reload'),
+  protocolId: col('string', 'ID of the protocol file the session ran under'),
+  protocolHash: col('string', 'Hash of the protocol file contents (sha256-… or fnv1a-…)'),
+  assignmentMethod: col('string', "How the group was assigned: 'block', 'seeded', 'random', 'manual' or 'simulation'"),
+  assignmentSeed: col('string', 'Seed used for block or seeded assignment (empty otherwise)'),
+  assignmentBlock: col('integer', 'Block number (block assignment only)'),
+  assignmentBlockPosition: col('integer', '1-based slot within the block (block assignment only)'),
+  visitNumber: col('integer', '1-based visit in a multi-visit schedule (1 for single-sitting protocols)'),
+  visitCount: col('integer', 'Number of visits in the schedule'),
+  clockMode: col('string', "Clock the session ran on: 'real', 'scaled' (sped up) or 'virtual' (simulated)"),
+  clockSpeed: col('number', 'Session milliseconds per real millisecond (1 for real time; empty for virtual)'),
+  studyId: col('string', 'Online panel study ID from the URL (CONFIG.PANEL.studyParam)'),
+  panelSessionId: col('string', 'Online panel session ID from the URL (CONFIG.PANEL.sessionParam)'),
+  urlParams: col('JSON', 'Any other URL parameters the game was opened with'),
+  locale: col('string', "Language the participant saw the task in: 'en', 'es' or 'pt' (?lang= or the language picker)"),
+};
+
+const GROUP = {
+  group: col('string', 'Between-subjects group (key of CONFIG.GROUPS)'),
+};
+
+const PHASE = {
+  phase: col('string', "'exposure' or 'condition'"),
+  conditionId: col('string', "Condition ID (e.g. 'greatest-positive'); 'exposure' during the exposure phase"),
+};
+
+// Per-phase rows of a phase a crash cut short (see data.js sortRecords)
+const INTERRUPTED = {
+  interrupted: col('boolean', 'true if the row belongs to a phase interrupted by a crash (excluded from summaries)'),
+};
+
+const TRIALS = {
+  ...PARTICIPANT,
+  ...SESSION,
+  ...GROUP,
+  rewardAmount: col('number', "Points for the larger-later option in the participant's group"),
+  sequence: col('string', "Condition sequence of the group (e.g. 'positive-first')"),
+  ...PHASE,
+  conditionAnimal: col('string', 'Animal shown as the larger-later option'),
+  trialNumber: col('integer', '1-based choice number within the phase'),
+  choice: col('string', "'smaller-sooner' (fish) or 'larger-later' (delayed animal); with a condition's own options, 'larger-later' for the titrated option and 'smaller-sooner' for any other"),
+  optionId: col('string', "ID of the option chosen: 'smaller-sooner' or 'larger-later', or an id from CONFIG.CONDITIONS.<id>.options"),
+  optionPosition: col('integer', 'Screen position of the chosen option, 1 = leftmost (CONFIG.RESPONSE.counterbalance, positions)'),
+  optionCount: col('integer', 'Number of options on the screen'),
+  fishSide: col('string', "Side of the screen the fish was on: 'left' or 'right' (CONFIG.RESPONSE.counterbalance); empty unless the screen has two options, one of them 'smaller-sooner'"),
+  responseMethod: col('string', "How the choice was made: 'pointer' (click or tap), 'keyboard' or 'simulated'"),
+  responseKey: col('string', 'Key pressed (KeyboardEvent.key; empty for clicks and for buttons activated with Tab and Enter)'),
+  llMode: col('string', "'delay' (titrated delay) or 'probability' (uncertain larger-later reward; CONFIG.PROBABILITY)"),
+  delayAtChoice: col('ms', 'Larger-later delay in effect when the choice was made'),
+  optionDelayMs: col('ms', 'Delay of the option chosen: delayAtChoice for the larger-later option, its fixed delay otherwise (0 for the fish)'),
+  choiceOnsetAtMs: col('ms', 'Clock time when the choice buttons were enabled'),
+  responseAtMs: col('ms', 'Clock time of the click or key press'),
+  rtMs: col('ms', 'Response time: responseAtMs − choiceOnsetAtMs'),
+  rewardDeliveredAtMs: col('ms', 'Clock time the reward was added to energy'),
+  measuredDelayMs: col('ms', 'Measured wait for the option chosen (empty for options without a delay)'),
+  titrationRule: col('string', 'Titration rule (CONFIG.TITRATION.rule, or CONFIG.PROBABILITY.rule in probability mode)'),
+  delayBeforeAdjustMs: col('ms', 'Delay before this choice adjusted it'),
+  delayAfterAdjustMs: col('ms', 'Delay after adjustment (used for the next choice)'),
+  reversal: col('boolean', 'true if this adjustment reversed the direction of the previous one'),
+  probabilityAtChoice: col('number', 'Larger-later probability in effect when the choice was made (probability mode only)'),
+  probabilityAfterAdjust: col('number', 'Probability after adjustment (used for the next choice)'),
+  outcome: col('string', "'delivered' or 'missed' (larger-later reward not delivered, probability mode)"),
+  deliveredRate: col('number', "Share of the phase's larger-later choices so far whose reward was delivered (probability mode only)"),
+  pointsEarned: col('number', 'Energy points gained from this choice (0 if the reward was lost)'),
+  energyBefore: col('number', 'Energy when the choice was made'),
+  energyAfter: col('number', 'Energy after the reward'),
+  totalEnergyGained: col('number', 'Total energy gained in the session so far'),
+  conditionElapsedMs: col('ms', 'Time into the phase when the trial was recorded'),
+  interrupted: col('boolean', 'true if the trial belongs to a phase interrupted by a crash (excluded from summaries)'),
+  timestamp: col('ISO 8601', 'Wall-clock time the trial was recorded'),
+};
+
+const SUMMARY = {
+  ...PARTICIPANT,
+  ...SESSION,
+  ...GROUP,
+  conditionId: PHASE.conditionId,
+  phase: PHASE.phase,
+  llMode: TRIALS.llMode,
+  finalDelay: col('ms', 'Larger-later delay at the end of the phase'),
+  finalProbability: col('number', 'Larger-later probability at the end of the phase (probability mode only)'),
+  deliveredRate: col('number', 'Share of larger-later rewards delivered in the phase (probability mode only)'),
+  titrationRule: TRIALS.titrationRule,
+  reversalCount: col('integer', 'Number of titration reversals'),
+  totalTrials: col('integer', 'Completed (non-interrupted) trials in the phase'),
+  smallerSoonerCount: col('integer', 'Smaller-sooner choices'),
+  largerLaterCount: col('integer', 'Larger-later choices'),
+  totalPointsEarned: col('number', 'Energy points gained in the phase'),
+  meanRtMs: col('ms', 'Mean response time'),
+  medianRtMs: col('ms', 'Median response time'),
+  diedDuringCondition: col('boolean', 'true if energy reached 0 during the phase'),
+  interruptionCount: col('integer', 'Times the participant left the game (overlapping sources count once; see interruptions.csv)'),
+  interruptedMs: col('ms', 'Time spent away from the game'),
+  interruptionPausedMs: col('ms', 'Time the game was paused for interruptions (until the participant continued)'),
+  catchProbes: col('integer', 'Catch probes shown and finished in the phase (see catch.csv)'),
+  catchPassed: col('integer', 'Catch probes passed'),
+  catchFailed: col('integer', "Catch probes failed (the 'avoid' object chosen)"),
+  catchMissed: col('integer', 'Catch probes with no response within CONFIG.ATTENTION.responseWindowMs'),
+  catchMeanLatencyMs: col('ms', 'Mean time to answer a catch probe (answered probes only)'),
+  timingLateShare: col('number', 'Highest share of late ticks or delays of any timer (0–1; see timing.csv)'),
+  timingLongFrameShare: col('number', 'Share of long frames (0–1; empty if frames were not measured)'),
+  timingWithinTolerance: col('boolean', 'false if either share was over CONFIG.TIMING.maxLateShare / maxLongFrameShare'),
+  drainCount: col('integer', 'Scheduled drains in the phase (see drain.csv)'),
+  drainShockCount: col('integer', 'Drain shocks applied in the phase'),
+  pointsDrained: col('integer', 'Energy points lost to drains and shocks'),
+  endReason: col('string', "'timeout', 'ready' (exposure), 'skipped', 'aborted' or 'invalidated' (away too long)"),
+};
+
+const ANALYSIS = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  visitNumber: SESSION.visitNumber,
+  protocolId: SESSION.protocolId,
+  protocolHash: SESSION.protocolHash,
+  clockMode: SESSION.clockMode,
+  clockSpeed: SESSION.clockSpeed,
+  ...GROUP,
+  ...PHASE,
+  llMode: TRIALS.llMode,
+  totalTrials: SUMMARY.totalTrials,
+  llProportion: col('number', 'Proportion of larger-later choices (0–1)'),
+  lastNCount: col('integer', 'Trials in the last-N window (CONFIG.ANALYSIS.lastN)'),
+  lastNMeanDelayMs: col('ms', 'Indifference point: mean delay over the last N choices'),
+  lastNMeanProbability: col('number', 'Indifference point: mean probability over the last N choices (probability mode)'),
+  reversalCount: SUMMARY.reversalCount,
+  reversalMeanDelayMs: col('ms', 'Indifference point: mean delay at reversals'),
+  reversalMeanProbability: col('number', 'Indifference point: mean probability at reversals (probability mode)'),
+  stabilityRangeMs: col('ms', 'Max − min delay over the stability window'),
+  stabilityRangeProbability: col('number', 'Max − min probability over the stability window (probability mode)'),
+  stableMeanDelayMs: col('ms', 'Mean delay over the stability window, if stable'),
+  stableMeanProbability: col('number', 'Mean probability over the stability window, if stable (probability mode)'),
+  converged: col('boolean', 'true if the final window is stable and there were enough reversals'),
+  convergenceNote: col('string', 'Why the condition did not converge'),
+};
+
+const EVENTS = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  seq: col('integer', 'Event sequence number within the session'),
+  type: col('string', "Event type (e.g. 'choice', 'drain', 'death', 'delay-start', 'screen')"),
+  perfTimeMs: col('ms', 'Clock time of the event (performance.now() on the real clock)'),
+  wallTime: col('ISO 8601', 'Wall-clock time of the event'),
+  phase: col('string', "Phase at the event ('intro', 'instructions', 'exposure', 'transition', 'condition', 'end')"),
+  conditionId: col('string', 'Current condition ID (empty outside conditions)'),
+  trialNumber: TRIALS.trialNumber,
+  energy: col('number', 'Energy at the event'),
+  totalEnergyGained: TRIALS.totalEnergyGained,
+  daysLeft: col('integer', '"Days Left" shown in the HUD'),
+  conditionElapsedMs: col('ms', 'Time into the phase'),
+  currentDelayMs: col('ms', 'Larger-later delay in effect'),
+  detail: col('JSON', 'Event-specific fields'),
+};
+
+const INTERVENTIONS = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  action: col('string', "Experimenter action: 'panel-opened', 'pause', 'resume', 'skip', 'abort' or 'note'"),
+  text: col('string', 'Abort reason or note text'),
+  phase: EVENTS.phase,
+  conditionId: EVENTS.conditionId,
+  conditionElapsedMs: EVENTS.conditionElapsedMs,
+  perfTimeMs: EVENTS.perfTimeMs,
+  timestamp: col('ISO 8601', 'Wall-clock time of the action'),
+};
+
+const INTERRUPTIONS = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  visitNumber: SESSION.visitNumber,
+  phase: col('string', "'exposure' or 'condition'"),
+  conditionId: col('string', "Condition ID ('exposure' during the exposure)"),
+  source: col('string', "'hidden' (tab hidden), 'blur' (window lost focus) or 'fullscreen' (fullscreen exited)"),
+  policy: col('string', "What the game did: 'pause', 'pause-overlay', 'flag' (kept running) or 'invalidate'"),
+  startPerfTimeMs: col('ms', 'Clock time the interruption started'),
+  startConditionElapsedMs: col('ms', 'Time into the phase when it started'),
+  startedAt: col('ISO 8601', 'Wall-clock time it started'),
+  durationMs: col('ms', 'How long it lasted'),
+  endedBy: col('string', "'returned' (participant came back), 'phase-end' or 'invalidated' (the phase was ended for it)"),
+  ...INTERRUPTED,
+};
+
+const CATCH = {
+  ...PARTICIPANT,
+  ...SESSION,
+  ...GROUP,
+  ...PHASE,
+  probeNumber: col('integer', '1-based catch probe number within the phase'),
+  type: col('string', "'prompt' (press a button) or 'avoid' (the fish replaced by an object not to pick)"),
+  scheduledAtMs: col('ms', 'Time into the phase the probe was due'),
+  shownConditionElapsedMs: col('ms', 'Time into the phase it was shown (at the first choice point after it was due)'),
+  shownAtMs: col('ms', 'Clock time it was shown'),
+  response: col('string', "'button' (prompt), 'object' or 'other' (avoid); empty if there was none"),
+  responseMethod: col('string', "'pointer' or 'keyboard' (empty if there was no response)"),
+  result: col('string', "'pass', 'fail', 'missed' (no response in time) or 'phase-end' (the phase ended first)"),
+  latencyMs: col('ms', 'Time from the probe appearing to the response'),
+  ...INTERRUPTED,
+  timestamp: col('ISO 8601', 'Wall-clock time the probe ended'),
+};
+
+const TIMING = {
+  ...PARTICIPANT,
+  ...SESSION,
+  ...GROUP,
+  ...PHASE,
+  source: col('string', "Timer label ('drain', 'condition-countdown', 'delay', 'delay-visual', ...) or 'frames'"),
+  measure: col('string', "'tick-lateness' (repeating timer), 'delay-lateness' (one-off delay) or 'frame-interval'"),
+  targetMs: col('ms', 'Tick interval of a repeating timer (empty for delays, frames and variable intervals such as a variable drain)'),
+  samples: col('integer', 'Ticks, delays or frame intervals measured'),
+  meanMs: col('ms', 'Mean lateness (clock time) or frame interval (real time)'),
+  p50Ms: col('ms', 'Median'),
+  p95Ms: col('ms', '95th percentile'),
+  p99Ms: col('ms', '99th percentile'),
+  maxMs: col('ms', 'Maximum'),
+  thresholdMs: col('ms', 'CONFIG.TIMING.lateThresholdMs, or longFrameMs for frames'),
+  overThresholdCount: col('integer', 'Samples above thresholdMs'),
+  overThresholdShare: col('number', 'overThresholdCount / samples'),
+  withinTolerance: col('boolean', 'false if overThresholdShare is over CONFIG.TIMING.maxLateShare (maxLongFrameShare for frames)'),
+  ...INTERRUPTED,
+};
+
+const DRAIN = {
+  ...PARTICIPANT,
+  ...SESSION,
+  ...GROUP,
+  ...PHASE,
+  drainNumber: col('integer', '1-based drain number within the phase (shocks included)'),
+  kind: col('string', "'tick' (scheduled drain) or 'shock' (one of the condition's drain.shocks)"),
+  intervalMs: col('ms', 'Interval drawn before this drain (empty for shocks)'),
+  factor: col('number', 'Day and energy factors applied to the interval (1 if none; empty for shocks)'),
+  amount: col('integer', 'Points the drain was set to take'),
+  pointsLost: col('integer', 'Points actually taken (less than amount if energy ran out)'),
+  energyBefore: col('integer', 'Energy before the drain'),
+  energyAfter: col('integer', 'Energy after the drain'),
+  day: col('integer', '1-based day of the phase when it happened'),
+  conditionElapsedMs: col('ms', 'Time into the phase'),
+  drainedAtMs: col('ms', 'Clock time of the drain'),
+  ...INTERRUPTED,
+};
+
+const RECOVERIES = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  action: col('string', "'resume' (continued at the interrupted round) or 'export' (closed and exported)"),
+  interruptedAt: col('ISO 8601', 'Last save before the interruption'),
+  phase: col('string', 'Phase that was interrupted'),
+  conditionIndex: col('integer', "0-based index into the group's conditionOrder"),
+  conditionId: EVENTS.conditionId,
+  interruptedTrials: col('integer', 'Trials flagged as interrupted'),
+  recoveredAt: col('ISO 8601', 'When the session was recovered'),
+};
+
+const QUIZ = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  visitNumber: SESSION.visitNumber,
+  attempt: col('integer', '1-based comprehension quiz attempt'),
+  questionId: col('string', 'Question ID (CONFIG.INSTRUCTIONS.quiz)'),
+  pageId: col('string', 'Instruction page the question covers'),
+  answerIndex: col('integer', '0-based index of the chosen option'),
+  answer: col('string', 'Text of the chosen option, in English whatever the locale'),
+  correct: col('boolean', 'true if the chosen option is the correct one'),
+  timestamp: col('ISO 8601', 'Wall-clock time the attempt was submitted'),
+};
+
+const RESPONSES = {
+  ...PARTICIPANT,
+  sessionId: SESSION.sessionId,
+  form: col('string', "'consent' or 'demographics'"),
+  field: col('string', "Consent: 'version' or 'decision'; demographics: field ID (CONFIG.DEMOGRAPHICS.fields)"),
+  value: col('string', 'The answer as entered (empty if an optional field was left blank); options in English whatever the locale'),
+  answeredAt: col('ISO 8601', 'Wall-clock time the answer was given'),
+};
+
+/**
+ * Column definitions per export table.
+ */
+export const DATA_DICTIONARY = {
+  trials: TRIALS,
+  summary: SUMMARY,
+  analysis: ANALYSIS,
+  events: EVENTS,
+  interventions: INTERVENTIONS,
+  interruptions: INTERRUPTIONS,
+  catch: CATCH,
+  timing: TIMING,
+  drain: DRAIN,
+  recoveries: RECOVERIES,
+  quiz: QUIZ,
+  responses: RESPONSES,
+};
+
+/**
+ * Describe the columns of an exported table. Uses the columns actually
+ * present in the rows (or the dictionary's order if there are none), so a
+ * column missing from the dictionary shows up as undocumented.
+ * @param {string} table - key of DATA_DICTIONARY
+ * @param {Object[]} rows
+ * @returns {Array<{ table: string, column: string, type: string, description: string }>}
+ */
+export function describeColumns(table, rows) {
+  const entries = DATA_DICTIONARY[table];
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : Object.keys(entries);
+  return columns.map((column) => {
+    const entry = entries[column];
+    if (!entry) console.warn(`Data dictionary: ${table}.${column} is undocumented`);
+    return {
+      table,
+      column,
+      type: entry?.type ?? '',
+      description: entry?.description ?? '(undocumented)',
+    };
+  });
+}
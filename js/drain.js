@@ -0,0 +1,95 @@
+/**
+ * Drain schedules: how energy is taken away during the exposure and each
+ * condition.
+ *
+ * By default a condition drains 1 point every drainIntervalMs. Its
+ * optional `drain` settings change that:
+ * - distribution: 'fixed' intervals, or intervals drawn around
+ *   drainIntervalMs as the mean ('uniform' within ±spread of it, or
+ *   'exponential' for a random-interval schedule)
+ * - amount: points taken by each drain
+ * - dayFactors / energyBands: multiply each interval by the factor of the
+ *   current day, and of the lowest band the energy is below (a factor
+ *   below 1 drains faster)
+ * - shocks: extra drains of `amount` points at set times into the phase
+ *
+ * An interval is drawn when the previous drain happens (or the phase
+ * starts), from the energy and day at that moment. Draws are seeded per
+ * participant and phase, so a resumed session drains on the same schedule.
+ */
+
+import CONFIG from './config.js';
+
+export const DRAIN_DISTRIBUTIONS = ['fixed', 'uniform', 'exponential'];
+
+// Shortest interval a draw or a factor can produce
+const MIN_INTERVAL_MS = 50;
+
+const DEFAULT_DRAIN = Object.freeze({
+  distribution: 'fixed',
+  spread: 0.5,
+  amount: 1,
+  dayFactors: Object.freeze([]),
+  energyBands: Object.freeze([]),
+  shocks: Object.freeze([]),
+});
+
+/**
+ * The drain schedule of the exposure or a condition: its mean interval and
+ * the condition's `drain` settings over the defaults.
+ * @param {string} phase
+ * @param {string|null} conditionId
+ * @returns {{ intervalMs: number, distribution: string, spread: number, amount: number,
+ *   dayFactors: number[], energyBands: Array<{ below: number, factor: number }>,
+ *   shocks: Array<{ atMs: number, amount: number }> }}
+ */
+export function drainScheduleFor(phase, conditionId) {
+  if (phase === 'exposure') return { ...DEFAULT_DRAIN, intervalMs: CONFIG.EXPOSURE_DRAIN_INTERVAL_MS };
+  const cond = CONFIG.CONDITIONS[conditionId];
+  return { ...DEFAULT_DRAIN, ...cond.drain, intervalMs: cond.drainIntervalMs };
+}
+
+/**
+ * Whether the intervals of a schedule can differ from one drain to the next.
+ */
+export function isVariableDrain(schedule) {
+  return schedule.distribution !== 'fixed' || schedule.dayFactors.length > 0 || schedule.energyBands.length > 0;
+}
+
+/**
+ * Factor of the 1-based day: its entry in dayFactors, the last entry for
+ * days beyond the list, 1 without a list.
+ */
+function dayFactor(schedule, day) {
+  const { dayFactors } = schedule;
+  if (dayFactors.length === 0) return 1;
+  return dayFactors[Math.min(day, dayFactors.length) - 1];
+}
+
+/**
+ * Factor of the lowest energy band the energy is below (1 if none).
+ */
+function energyFactor(schedule, energy) {
+  let band = null;
+  for (const b of schedule.energyBands) {
+    if (energy < b.below && (band === null || b.below < band.below)) band = b;
+  }
+  return band ? band.factor : 1;
+}
+
+/**
+ * Draw the interval until the next drain.
+ * @param {Object} schedule - see drainScheduleFor
+ * @param {{ energy: number, day: number }} at - energy and 1-based day now
+ * @param {Function} rng - returns [0, 1)
+ * @returns {{ intervalMs: number, factor: number }} factor is the day and
+ *   energy factors combined
+ */
+export function nextDrainInterval(schedule, { energy, day }, rng) {
+  const { intervalMs: mean, distribution, spread } = schedule;
+  let baseMs = mean;
+  if (distribution === 'uniform') baseMs = mean * (1 + spread * (2 * rng() - 1));
+  else if (distribution === 'exponential') baseMs = -mean * Math.log(1 - rng());
+  const factor = dayFactor(schedule, day) * energyFactor(schedule, energy);
+  return { intervalMs: Math.max(MIN_INTERVAL_MS, Math.round(baseMs * factor)), factor };
+}
@@ -1,46 +1,124 @@
 /**
- * Core game engine: point drain, trial flow, delay adjustment,
- * game-over detection, condition timing.
+ * Core game engine: energy drain, trial flow, delay (or probability)
+ * adjustment, game-over detection, condition timing.
  */
 
 import CONFIG from './config.js';
 import { get, setState } from './state.js';
-import { createTimer, createDelay, stopAllTimers } from './timer.js';
 import {
-  updateHUD, showGameOver, updateGameOverTimer,
-  showDelayIndicator, setChoicesEnabled, getDom,
-  updateExposureStatus,
-} from './ui.js';
-import { playEatingAnimation, interruptAnimation } from './animations.js';
-import { recordTrial } from './data.js';
+  createTimer, createDelay, stopAllTimers, holdTimer, releaseTimer,
+} from './timer.js';
+import * as ui from './ui.js';
+import * as animations from './animations.js';
+import { recordTrial, recordDrain } from './data.js';
+import { logEvent } from './events.js';
+import {
+  titrate, titrateProbability, createTitrationState, llModeFor,
+} from './titration.js';
+import { getClock } from './clock.js';
+import { createRng } from './random.js';
+import { findOption, choiceRole, SMALLER_SOONER_ID } from './options.js';
+import { nextDrainInterval, isVariableDrain } from './drain.js';
 
 let drainTimer = null;
 let conditionCountdown = null;
 let activeDelay = null;
 let delayCountdownTimer = null;
+let outcomeRng = Math.random; // reseeded for each phase in resetForNewPhase
+let drainRng = Math.random;   // same
+let pendingShocks = [];       // drain shocks still to come this phase, earliest first
+let drainCount = 0;
+
+// Bumped on every phase reset so trial flows still awaiting a delay or an
+// animation from a previous phase know to stop instead of recording a trial.
+let phaseToken = 0;
+
+// ===== View =====
+
+/**
+ * Everything the engine draws goes through the view, so the engine can run
+ * headless (see simulation.js) by swapping in a view without a DOM.
+ */
+const domView = {
+  updateHUD: ui.updateHUD,
+  showGameOver: ui.showGameOver,
+  updateGameOverTimer: ui.updateGameOverTimer,
+  showDelayIndicator: ui.showDelayIndicator,
+  setChoicesEnabled: ui.setChoicesEnabled,
+  getDom: ui.getDom,
+  getChoiceButton: ui.getChoiceButton,
+  updateExposureStatus: ui.updateExposureStatus,
+  updateLLLabel: ui.updateLLLabel,
+  playEatingAnimation: animations.playEatingAnimation,
+  playMissedAnimation: animations.playMissedAnimation,
+  interruptAnimation: animations.interruptAnimation,
+};
+
+let view = domView;
+
+/**
+ * Replace the view (null restores the DOM view).
+ */
+export function setView(newView) {
+  view = newView || domView;
+}
+
+// ===== Energy Drain =====
+
+function currentDay() {
+  return CONFIG.DAYS_PER_CONDITION - get('daysLeft') + 1;
+}
+
+/**
+ * Take points away (a drain tick or a shock) and record it. Checks for
+ * game-over after each drain.
+ */
+function drainEnergy({ kind, amount, intervalMs, factor }) {
+  const energy = get('currentEnergy');
+  if (energy <= 0) return; // already dead
+  const newEnergy = Math.max(0, energy - amount);
+  setState({ currentEnergy: newEnergy });
+  logEvent('drain', { amount, kind });
+  drainCount += 1;
+  recordDrain({
+    drainNumber: drainCount,
+    kind,
+    intervalMs,
+    factor,
+    amount,
+    pointsLost: energy - newEnergy,
+    energyBefore: energy,
+    energyAfter: newEnergy,
+    day: currentDay(),
+  });
+
+  // Update UI
+  const prefix = get('phase') === 'exposure' ? 'exposure' : 'condition';
+  view.updateHUD(prefix);
 
-// ===== Point Drain =====
+  // Check game-over
+  if (newEnergy <= 0) {
+    triggerGameOver();
+  }
+}
 
 /**
- * Start continuous point drain at the given interval.
- * Drains 1 point per tick. Checks for game-over after each drain.
+ * Start draining energy on the phase's schedule (see drain.js). Shocks are
+ * applied as the phase clock reaches them (startConditionTimer).
+ * @param {Object} schedule - from drainScheduleFor()
  */
-export function startDrain(intervalMs) {
+export function startDrain(schedule) {
+  let intervalMs = schedule.intervalMs;
+  let factor = 1;
+  const nextInterval = () => {
+    const at = { energy: get('currentEnergy'), day: currentDay() };
+    ({ intervalMs, factor } = nextDrainInterval(schedule, at, drainRng));
+    return intervalMs;
+  };
+  pendingShocks = [...schedule.shocks].sort((a, b) => a.atMs - b.atMs);
   drainTimer = createTimer(() => {
-    const energy = get('currentEnergy');
-    if (energy <= 0) return; // already dead
-    const newEnergy = Math.max(0, energy - 1);
-    setState({ currentEnergy: newEnergy });
-
-    // Update UI
-    const prefix = get('phase') === 'exposure' ? 'exposure' : 'condition';
-    updateHUD(prefix);
-
-    // Check game-over
-    if (newEnergy <= 0) {
-      triggerGameOver();
-    }
-  }, intervalMs, 'drain');
+    drainEnergy({ kind: 'tick', amount: schedule.amount, intervalMs, factor });
+  }, isVariableDrain(schedule) ? nextInterval : schedule.intervalMs, 'drain');
 }
 
 export function stopDrain() {
@@ -48,19 +126,24 @@ export function stopDrain() {
     drainTimer.stop();
     drainTimer = null;
   }
+  pendingShocks = [];
 }
 
 // ===== Game Over =====
 
 function triggerGameOver() {
   setState({ isDead: true, choicesDisabled: true });
+  logEvent('death', {
+    duringDelay: get('isWaitingDelay'),
+    duringAnimation: get('isAnimating'),
+  });
 
   const prefix = get('phase') === 'exposure' ? 'exposure' : 'condition';
-  setChoicesEnabled(prefix, false);
+  view.setChoicesEnabled(prefix, false);
 
   // Interrupt any running animation
-  const alligatorEl = getDom(`${prefix}Alligator`);
-  if (alligatorEl) interruptAnimation(alligatorEl);
+  const alligatorEl = view.getDom(`${prefix}Alligator`);
+  if (alligatorEl) view.interruptAnimation(alligatorEl);
 
   // Cancel any active delay
   if (activeDelay) {
@@ -73,8 +156,8 @@ function triggerGameOver() {
   }
 
   // Show game-over overlay and hide delay indicator
-  showGameOver(true);
-  showDelayIndicator(false);
+  view.showGameOver(true);
+  view.showDelayIndicator(false);
 
   // Stop the drain (no more points to lose)
   stopDrain();
@@ -83,11 +166,19 @@ function triggerGameOver() {
 // ===== Condition Timer =====
 
 /**
- * Start the 5-minute condition timer.
+ * Length of the exposure (EXPOSURE_DURATION_MS) or of a condition
+ * (CONDITION_DURATION_MS).
+ */
+export function phaseDurationMs(phase = get('phase')) {
+  return phase === 'exposure' ? CONFIG.EXPOSURE_DURATION_MS : CONFIG.CONDITION_DURATION_MS;
+}
+
+/**
+ * Start the phase timer (5 minutes by default).
  * Updates "Days Left" display. Calls onComplete when time expires.
  */
 export function startConditionTimer(onComplete) {
-  const duration = CONFIG.CONDITION_DURATION_MS;
+  const duration = phaseDurationMs();
   const dayLength = duration / CONFIG.DAYS_PER_CONDITION; // 1 minute per "day"
   let lastDay = CONFIG.DAYS_PER_CONDITION;
 
@@ -101,20 +192,28 @@ export function startConditionTimer(onComplete) {
     if (daysLeft !== lastDay) {
       lastDay = daysLeft;
       setState({ daysLeft });
+      logEvent('day-change', { daysLeft });
       const prefix = get('phase') === 'exposure' ? 'exposure' : 'condition';
-      updateHUD(prefix);
+      view.updateHUD(prefix);
+    }
+
+    // Drain shocks fall due on the phase clock
+    while (pendingShocks.length > 0 && pendingShocks[0].atMs <= elapsed) {
+      const shock = pendingShocks.shift();
+      drainEnergy({ kind: 'shock', amount: shock.amount, intervalMs: null, factor: null });
     }
 
     // Update game-over timer if dead
     if (get('isDead')) {
       const secsLeft = Math.ceil(remaining / 1000);
-      updateGameOverTimer(secsLeft);
+      view.updateGameOverTimer(secsLeft);
     }
 
     // Check if condition is over
     if (remaining <= 0) {
       conditionCountdown.stop();
       conditionCountdown = null;
+      logEvent('condition-timeout');
       onComplete();
     }
   }, 1000, 'condition-countdown');
@@ -127,111 +226,97 @@ export function stopConditionTimer() {
   }
 }
 
-// ===== Trial Flow =====
-
 /**
- * Handle a smaller-sooner (fish) choice.
+ * Stop the drain and the phase clock while something other than a choice
+ * is on screen (a catch probe). Resuming from a pause does not restart
+ * them; releasePhaseClock() does.
  */
-export async function handleFishChoice() {
-  if (get('choicesDisabled') || get('isDead') || get('isAnimating') || get('isWaitingDelay')) return;
-
-  const phase = get('phase');
-  const prefix = phase === 'exposure' ? 'exposure' : 'condition';
-  const trialNum = get('trialNumber') + 1;
-
-  setState({
-    trialNumber: trialNum,
-    isAnimating: true,
-    choicesDisabled: true,
-  });
-  setChoicesEnabled(prefix, false);
-
-  const energyBefore = get('currentEnergy');
-  const alligatorEl = getDom(`${prefix}Alligator`);
-  const foodEl = getDom(`${prefix}Fish`)?.querySelector('.animal');
-
-  // Play eating animation
-  await playEatingAnimation(alligatorEl, foodEl, CONFIG.SMALLER_SOONER_DELAY_MS);
-
-  // Check if died during animation
-  if (get('isDead')) {
-    setState({ isAnimating: false });
-    return;
+export function holdPhaseClock() {
+  for (const timer of [drainTimer, conditionCountdown]) {
+    if (timer) holdTimer(timer);
   }
+}
 
-  // Award points
-  const reward = CONFIG.SMALLER_SOONER_REWARD;
-  const newEnergy = Math.min(CONFIG.MAX_ENERGY, get('currentEnergy') + reward);
-  const totalGained = get('totalEnergyGained') + reward;
-  setState({
-    currentEnergy: newEnergy,
-    totalEnergyGained: totalGained,
-    isAnimating: false,
-    choicesDisabled: false,
-  });
-
-  updateHUD(prefix);
-  setChoicesEnabled(prefix, true);
-
-  // Record delay before adjustment
-  const delayAtChoice = get('currentDelayMs');
-
-  // Adjust delay: fish chosen → increase delay (LL wasn't chosen)
-  adjustDelay('increase');
+export function releasePhaseClock() {
+  for (const timer of [drainTimer, conditionCountdown]) {
+    if (timer) releaseTimer(timer);
+  }
+}
 
-  // Record trial
-  recordTrial({
-    choice: 'smaller-sooner',
-    delayAtChoice,
-    pointsEarned: reward,
-    energyBefore,
-    energyAfter: newEnergy,
-  });
+// ===== Trial Flow =====
 
-  // Exposure tracking
-  if (phase === 'exposure') {
-    setState({ exposureFishCount: get('exposureFishCount') + 1 });
-    updateExposureStatus();
-  }
+/**
+ * Why a choice would be ignored right now, or null if it is accepted.
+ */
+function choiceBlockedReason() {
+  if (get('experimenterPaused')) return 'paused';
+  if (get('interruptionPaused')) return 'interrupted';
+  if (get('catchProbe')) return 'catch-probe';
+  if (get('isDead')) return 'dead';
+  if (get('isWaitingDelay')) return 'waiting-delay';
+  if (get('isAnimating')) return 'animating';
+  if (get('choicesDisabled')) return 'disabled';
+  return null;
 }
 
 /**
- * Handle a larger-later choice.
+ * Enable the choice buttons and mark the choice-onset time used for RT.
  */
-export async function handleLLChoice() {
-  if (get('choicesDisabled') || get('isDead') || get('isAnimating') || get('isWaitingDelay')) return;
+export function enableChoices(prefix) {
+  setState({ choiceOnsetTime: getClock().now() });
+  view.setChoicesEnabled(prefix, true);
+  logEvent('choices-enabled');
+}
 
-  const phase = get('phase');
-  const prefix = phase === 'exposure' ? 'exposure' : 'condition';
-  const trialNum = get('trialNumber') + 1;
-  const delayMs = get('currentDelayMs');
+// How a choice was made, when the caller does not say (see responses.js)
+const POINTER_RESPONSE = Object.freeze({ method: 'pointer', key: '' });
 
-  setState({
-    trialNumber: trialNum,
-    isWaitingDelay: true,
-    choicesDisabled: true,
+/**
+ * Log a choice; returns false (and logs why) if it must be ignored.
+ */
+function acceptChoice(choice, optionId, response) {
+  const reason = choiceBlockedReason();
+  if (reason) {
+    logEvent('choice-ignored', { choice, option: optionId, reason });
+    return false;
+  }
+  logEvent('choice', {
+    choice, option: optionId, method: response.method, ...(response.key && { key: response.key }),
   });
-  setChoicesEnabled(prefix, false);
-
-  const energyBefore = get('currentEnergy');
+  return true;
+}
 
-  // Show delay indicator and mark the LL button as waiting
-  showDelayIndicator(true, delayMs / 1000);
-  const llBtn = getDom(`${prefix}LL`);
-  if (llBtn) llBtn.classList.add('waiting');
+/**
+ * Wait out the delay of a chosen option, with the countdown on screen and
+ * its button marked as waiting.
+ * @returns {Promise<number|null>} the measured delay, or null if the trial
+ *   must stop (its phase ended, or the alligator died while waiting)
+ */
+async function waitForOption(prefix, optionId, delayMs, token) {
+  view.showDelayIndicator(true, delayMs / 1000);
+  const btn = view.getChoiceButton(prefix, optionId);
+  if (btn) btn.classList.add('waiting');
 
   // Start a visual countdown for the delay
   let delayRemaining = delayMs;
   delayCountdownTimer = createTimer(() => {
     delayRemaining -= 100;
     if (delayRemaining > 0) {
-      showDelayIndicator(true, delayRemaining / 1000);
+      view.showDelayIndicator(true, delayRemaining / 1000);
     }
   }, 100, 'delay-visual');
 
   // Wait for the delay
+  logEvent('delay-start', { delayMs, option: optionId });
+  const delayStart = getClock().now();
   activeDelay = createDelay(delayMs);
   const completed = await activeDelay.promise;
+  if (token !== phaseToken) {
+    // Phase ended during the delay
+    if (btn) btn.classList.remove('waiting');
+    return null;
+  }
+  const measuredDelayMs = getClock().now() - delayStart;
   activeDelay = null;
 
   // Stop visual countdown
@@ -239,29 +324,98 @@ export async function handleLLChoice() {
     delayCountdownTimer.stop();
     delayCountdownTimer = null;
   }
-  showDelayIndicator(false);
-  if (llBtn) llBtn.classList.remove('waiting');
+  view.showDelayIndicator(false);
+  if (btn) btn.classList.remove('waiting');
 
   // If cancelled (game-over during delay), bail out
   if (!completed || get('isDead')) {
     setState({ isWaitingDelay: false, isAnimating: false });
+    logEvent('delay-end', { delayMs, completed: false });
+    return null;
+  }
+  logEvent('delay-end', { delayMs, completed: true, measuredDelayMs: Math.round(measuredDelayMs) });
+  return measuredDelayMs;
+}
+
+/**
+ * Handle a choice of one of the phase's options (see options.js). An
+ * option without a delay (the fish) is eaten straight away; otherwise the
+ * alligator waits for it first: the titrated delay for the larger-later
+ * option, the option's own delay for the rest. In a probability condition
+ * the larger-later reward may not come at all.
+ * @param {string} optionId
+ * @param {{ method: string, key: string }} [response] - how it was made
+ */
+export async function handleChoice(optionId, response = POINTER_RESPONSE) {
+  const option = findOption(optionId);
+  if (!option) {
+    logEvent('choice-ignored', { option: optionId, reason: 'unknown-option' });
     return;
   }
+  const choice = choiceRole(option);
+  if (!acceptChoice(choice, option.id, response)) return;
+  const token = phaseToken;
+  const responseTime = getClock().now();
+  const choiceOnsetTime = get('choiceOnsetTime');
+
+  const phase = get('phase');
+  const prefix = phase === 'exposure' ? 'exposure' : 'condition';
+  const trialNum = get('trialNumber') + 1;
+  const probabilistic = option.titrates && llMode() === 'probability';
+  const delayAtChoice = get('currentDelayMs');
+  const optionDelayMs = option.titrates ? delayAtChoice : option.delayMs;
+  const waits = option.titrates || optionDelayMs > 0;
+
+  setState({
+    trialNumber: trialNum,
+    [waits ? 'isWaitingDelay' : 'isAnimating']: true,
+    choicesDisabled: true,
+  });
+  view.setChoicesEnabled(prefix, false);
+
+  const energyBefore = get('currentEnergy');
+
+  let measuredDelayMs = null;
+  if (waits) {
+    measuredDelayMs = await waitForOption(prefix, option.id, optionDelayMs, token);
+    if (measuredDelayMs === null) return;
+  }
+
+  // In a probability condition, draw whether the reward comes at all
+  const delivered = !probabilistic || outcomeRng() < get('currentProbability');
+  if (probabilistic) {
+    setState({
+      llOutcomeCount: get('llOutcomeCount') + 1,
+      llDeliveredCount: get('llDeliveredCount') + (delivered ? 1 : 0),
+    });
+    logEvent('ll-outcome', { probability: get('currentProbability'), delivered });
+  }
 
-  // Play eating animation
-  setState({ isWaitingDelay: false, isAnimating: true });
-  const alligatorEl = getDom(`${prefix}Alligator`);
-  const foodEl = getDom(`${prefix}LL`)?.querySelector('.animal');
-  await playEatingAnimation(alligatorEl, foodEl, CONFIG.EATING_ANIMATION_MS);
+  // Play eating (or missed) animation: food eaten straight away takes
+  // SMALLER_SOONER_DELAY_MS, food that was waited for EATING_ANIMATION_MS
+  if (waits) setState({ isWaitingDelay: false, isAnimating: true });
+  const alligatorEl = view.getDom(`${prefix}Alligator`);
+  const foodEl = view.getChoiceButton(prefix, option.id)?.querySelector('.animal');
+  const animationMs = waits ? CONFIG.EATING_ANIMATION_MS : CONFIG.SMALLER_SOONER_DELAY_MS;
+  if (delivered) {
+    logEvent('eating-start', { choice });
+    await view.playEatingAnimation(alligatorEl, foodEl, animationMs);
+  } else {
+    logEvent('missed-start', { choice });
+    await view.playMissedAnimation(alligatorEl, foodEl, animationMs);
+  }
+  if (token !== phaseToken) return; // phase ended mid-animation
 
   // Check if died during animation
   if (get('isDead')) {
     setState({ isAnimating: false });
+    logEvent('reward-lost', { choice });
     return;
   }
 
   // Award points
-  const reward = phase === 'exposure' ? CONFIG.EXPOSURE_REWARD : get('rewardAmount');
+  const rewardTime = getClock().now();
+  const reward = delivered ? option.reward : 0;
   const newEnergy = Math.min(CONFIG.MAX_ENERGY, get('currentEnergy') + reward);
   const totalGained = get('totalEnergyGained') + reward;
   setState({
@@ -270,17 +424,27 @@ export async function handleLLChoice() {
     isAnimating: false,
     choicesDisabled: false,
   });
+  logEvent(delivered ? 'reward' : 'reward-missed', { points: reward });
 
-  updateHUD(prefix);
-  setChoicesEnabled(prefix, true);
+  view.updateHUD(prefix);
+  enableChoices(prefix);
 
-  // Adjust delay: LL chosen → decrease delay (make LL less attractive by shortening wait)
-  adjustDelay('decrease');
+  // Larger-later chosen → decrease; anything else → increase
+  const adjustment = adjust(option.titrates ? 'decrease' : 'increase');
 
   // Record trial
   recordTrial({
-    choice: 'larger-later',
-    delayAtChoice: delayMs,
+    choice,
+    optionId: option.id,
+    response,
+    delayAtChoice,
+    optionDelayMs,
+    choiceOnsetTime,
+    responseTime,
+    rewardTime,
+    measuredDelayMs,
+    adjustment,
+    outcome: delivered ? 'delivered' : 'missed',
     pointsEarned: reward,
     energyBefore,
     energyAfter: newEnergy,
@@ -288,44 +452,118 @@ export async function handleLLChoice() {
 
   // Exposure tracking
   if (phase === 'exposure') {
-    setState({ exposureLLCount: get('exposureLLCount') + 1 });
-    updateExposureStatus();
+    if (choice === SMALLER_SOONER_ID) setState({ exposureFishCount: get('exposureFishCount') + 1 });
+    else setState({ exposureLLCount: get('exposureLLCount') + 1 });
+    view.updateExposureStatus();
   }
 }
 
 // ===== Delay Adjustment =====
 
+function llMode() {
+  return llModeFor(get('phase'), get('conditionId'));
+}
+
+/**
+ * Adjust whatever the phase titrates (the delay, or the probability in a
+ * probability condition) after a choice.
+ * @returns {{ rule: string, delayBefore: number, delayAfter: number, reversal: boolean,
+ *   probabilityBefore: number|null, probabilityAfter: number|null }}
+ */
+function adjust(direction) {
+  if (llMode() === 'probability') return adjustProbability(direction);
+  return { ...adjustDelay(direction), probabilityBefore: null, probabilityAfter: null };
+}
+
 /**
- * Adjust the delay for the larger-later option.
- * - If fish was chosen (SS): increase delay by step (LL becomes less attractive)
- * - If LL was chosen: decrease delay by step (LL becomes less attractive — shorter wait needed)
+ * Adjust the delay for the larger-later option using the protocol's
+ * titration rule (see titration.js).
+ * - If fish was chosen (SS): request an increase (LL becomes less attractive)
+ * - If LL was chosen: request a decrease (LL becomes less attractive — shorter wait needed)
+ * @returns {{ rule: string, delayBefore: number, delayAfter: number, reversal: boolean }}
  */
 function adjustDelay(direction) {
   const current = get('currentDelayMs');
-  let newDelay;
-  if (direction === 'increase') {
-    newDelay = current + CONFIG.DELAY_STEP_MS;
-  } else {
-    newDelay = Math.max(CONFIG.MIN_DELAY_MS, current - CONFIG.DELAY_STEP_MS);
-  }
-  setState({ currentDelayMs: newDelay });
+  const result = titrate(current, direction, get('titrationState'));
+  setState({ currentDelayMs: result.delayMs, titrationState: result.state });
+  logEvent('delay-adjust', {
+    direction,
+    rule: result.rule,
+    adjusted: result.adjusted,
+    reversal: result.reversal,
+    from: current,
+    to: result.delayMs,
+  });
+  return {
+    rule: result.rule,
+    delayBefore: current,
+    delayAfter: result.delayMs,
+    reversal: result.reversal,
+  };
+}
+
+/**
+ * Adjust the larger-later probability (see titrateProbability). The delay
+ * is left as it is.
+ */
+function adjustProbability(direction) {
+  const current = get('currentProbability');
+  const result = titrateProbability(current, direction, get('titrationState'));
+  setState({ currentProbability: result.probability, titrationState: result.state });
+  logEvent('probability-adjust', {
+    direction,
+    rule: result.rule,
+    adjusted: result.adjusted,
+    reversal: result.reversal,
+    from: current,
+    to: result.probability,
+  });
+  view.updateLLLabel();
+  return {
+    rule: result.rule,
+    delayBefore: get('currentDelayMs'),
+    delayAfter: get('currentDelayMs'),
+    reversal: result.reversal,
+    probabilityBefore: current,
+    probabilityAfter: result.probability,
+  };
 }
 
 // ===== Reset for New Condition =====
 
+/**
+ * Invalidate any trial still in flight (waiting on a delay or animation),
+ * so it cannot award points or record a trial after its phase has ended.
+ */
+export function endPhase() {
+  phaseToken += 1;
+}
+
 /**
  * Reset engine state for a new condition or exposure phase.
  */
 export function resetForNewPhase() {
   stopAllTimers();
+  endPhase();
   drainTimer = null;
   conditionCountdown = null;
   activeDelay = null;
   delayCountdownTimer = null;
+  // Probabilistic outcomes and drain draws are reproducible per participant and phase
+  const phaseKey = `${get('participantId')}:${get('visitNumber')}:${get('conditionId') || 'exposure'}`;
+  outcomeRng = createRng(`${CONFIG.ASSIGNMENT.seed}:ll-outcome:${phaseKey}`);
+  drainRng = createRng(`${CONFIG.ASSIGNMENT.seed}:drain:${phaseKey}`);
+  pendingShocks = [];
+  drainCount = 0;
 
   setState({
     currentEnergy: CONFIG.STARTING_ENERGY,
-    currentDelayMs: CONFIG.INITIAL_DELAY_MS,
+    // A probability condition waits the same fixed delay on every choice
+    currentDelayMs: llMode() === 'probability' ? CONFIG.PROBABILITY.delayMs : CONFIG.INITIAL_DELAY_MS,
+    titrationState: createTitrationState(),
+    currentProbability: CONFIG.PROBABILITY.initial,
+    llOutcomeCount: 0,
+    llDeliveredCount: 0,
     trialNumber: 0,
     isAnimating: false,
     isWaitingDelay: false,
@@ -0,0 +1,82 @@
+/**
+ * Session event stream.
+ *
+ * A timestamped log of everything that happens in a session — accepted and
+ * ignored clicks, drain ticks, deaths, delays, visibility changes, screen
+ * transitions — so a session can be rebuilt exactly. Each event carries both
+ * a high-resolution clock time (performance.now() on the real clock) and a
+ * wall-clock time, plus a snapshot of the game state at that moment.
+ */
+
+import { get } from './state.js';
+import { getClock } from './clock.js';
+import { persistRecord } from './persistence.js';
+
+const events = [];
+let seq = 0;
+
+/**
+ * Append an event to the log.
+ * @param {string} type - e.g. 'drain', 'death', 'choice-ignored', 'screen'
+ * @param {Object} [detail] - event-specific fields
+ */
+export function logEvent(type, detail = {}) {
+  const event = {
+    participantId: get('participantId'),
+    sessionId: get('sessionId'),
+    seq: ++seq,
+    type,
+    perfTimeMs: Math.round(getClock().now() * 10) / 10,
+    wallTime: getClock().date().toISOString(),
+    phase: get('phase'),
+    conditionId: get('conditionId') || '',
+    trialNumber: get('trialNumber'),
+    energy: get('currentEnergy'),
+    totalEnergyGained: get('totalEnergyGained'),
+    daysLeft: get('daysLeft'),
+    conditionElapsedMs: get('conditionElapsedMs'),
+    currentDelayMs: get('currentDelayMs'),
+    detail,
+  };
+  events.push(event);
+  persistRecord('event', event);
+}
+
+/**
+ * Get all logged events.
+ */
+export function getEvents() {
+  return [...events];
+}
+
+/**
+ * Re-append an event restored from persistence.
+ */
+export function restoreEvent(event) {
+  events.push(event);
+  seq = Math.max(seq, event.seq);
+}
+
+/**
+ * Clear the log.
+ */
+export function resetEvents() {
+  events.length = 0;
+  seq = 0;
+}
+
+/**
+ * Events as JSON Lines (one event per line, detail kept nested).
+ * @param {Object[]} [list] - defaults to this session's log
+ */
+export function eventsToJSONL(list = events) {
+  return list.map(e => JSON.stringify(e)).join('\n');
+}
+
+/**
+ * Events flattened for CSV export (detail serialized as JSON).
+ * @param {Object[]} [list] - defaults to this session's log
+ */
+export function eventsForCSV(list = events) {
+  return list.map(e => ({ ...e, detail: JSON.stringify(e.detail) }));
+}
@@ -0,0 +1,174 @@
+/**
+ * Hidden experimenter control panel.
+ *
+ * Opened with Ctrl+Shift+<CONFIG.EXPERIMENTER.hotkey> and unlocked with the
+ * PIN. Shows live state, the timer registry and the current condition, and
+ * lets the experimenter pause/resume, skip to the next condition, abort with
+ * a reason, or add notes. Every action is recorded as an intervention.
+ */
+
+import CONFIG from './config.js';
+import { get, getState, setState } from './state.js';
+import { getActiveTimers, pauseAllTimers, resumeAllTimers } from './timer.js';
+import { recordIntervention, getInterventions } from './data.js';
+
+const REFRESH_MS = 500;
+
+const el = {};
+let refreshHandle = null;
+let handlers = { skip: () => {}, abort: () => {} };
+
+function isRunning() {
+  const phase = get('phase');
+  return phase === 'exposure' || phase === 'transition' || phase === 'condition';
+}
+
+// ===== Open / Close =====
+
+function openPanel() {
+  el.panel.classList.remove('hidden');
+  el.pinForm.classList.remove('hidden');
+  el.controls.classList.add('hidden');
+  el.pinError.textContent = '';
+  el.pinInput.value = '';
+  el.pinInput.focus();
+}
+
+function closePanel() {
+  el.panel.classList.add('hidden');
+  clearInterval(refreshHandle);
+  refreshHandle = null;
+}
+
+function unlock() {
+  if (el.pinInput.value !== CONFIG.EXPERIMENTER.pin) {
+    el.pinError.textContent = 'Incorrect PIN';
+    el.pinInput.value = '';
+    return;
+  }
+  el.pinForm.classList.add('hidden');
+  el.controls.classList.remove('hidden');
+  recordIntervention('panel-opened');
+  render();
+  refreshHandle = setInterval(render, REFRESH_MS);
+}
+
+// ===== Live View =====
+
+function render() {
+  const state = getState();
+  const order = CONFIG.GROUPS[state.group]?.conditionOrder || [];
+  const cond = CONFIG.CONDITIONS[state.conditionId];
+  el.condition.textContent = [
+    `Phase: ${state.phase}${state.experimenterPaused ? ' (PAUSED)' : ''}`,
+    `Condition: ${cond ? `${cond.label} (${state.conditionId})` : '—'}`,
+    `Round: ${state.conditionIndex >= 0 ? `${state.conditionIndex + 1} of ${order.length}` : '—'}`,
+    `Elapsed: ${(state.conditionElapsedMs / 1000).toFixed(0)}s · Days left: ${state.daysLeft}`,
+    `Energy: ${Math.round(state.currentEnergy)} · Delay: ${state.currentDelayMs}ms · Trial: ${state.trialNumber}`,
+  ].join('\n');
+
+  const timers = getActiveTimers();
+  el.timers.textContent = timers.length === 0
+    ? '(none)'
+    : timers.map(t => `#${t.id} ${t.label || '(unlabelled)'}${t.paused ? ' — paused' : ''}`).join('\n');
+
+  el.state.textContent = JSON.stringify(state, null, 2);
+
+  el.btnPause.textContent = state.experimenterPaused ? 'Resume' : 'Pause';
+  el.btnPause.disabled = !isRunning();
+  el.btnSkip.disabled = !isRunning();
+  el.btnAbort.disabled = !isRunning();
+
+  el.log.innerHTML = '';
+  for (const i of getInterventions().slice(-8).reverse()) {
+    const li = document.createElement('li');
+    li.textContent = `${i.timestamp.slice(11, 19)} ${i.action}${i.text ? `: ${i.text}` : ''}`;
+    el.log.appendChild(li);
+  }
+}
+
+// ===== Actions =====
+
+function togglePause() {
+  if (get('experimenterPaused')) {
+    setState({ experimenterPaused: false });
+    if (!get('interruptionPaused')) resumeAllTimers();
+    recordIntervention('resume');
+  } else {
+    setState({ experimenterPaused: true });
+    pauseAllTimers();
+    recordIntervention('pause');
+  }
+  render();
+}
+
+function skip() {
+  recordIntervention('skip');
+  setState({ experimenterPaused: false });
+  handlers.skip();
+  render();
+}
+
+function abort() {
+  const reason = el.abortReason.value.trim();
+  if (!reason) {
+    el.abortReason.focus();
+    return;
+  }
+  recordIntervention('abort', reason);
+  setState({ experimenterPaused: false });
+  el.abortReason.value = '';
+  handlers.abort(reason);
+  render();
+}
+
+function addNote() {
+  const note = el.note.value.trim();
+  if (!note) return;
+  recordIntervention('note', note);
+  el.note.value = '';
+  render();
+}
+
+// ===== Public Init =====
+
+/**
+ * Wire up the panel.
+ * @param {{ skip: Function, abort: Function }} flow - screen-flow callbacks:
+ *   skip() ends the current phase early; abort(reason) ends the session
+ */
+export function initExperimenterPanel(flow) {
+  handlers = flow;
+  el.panel = document.getElementById('experimenter-panel');
+  el.pinForm = document.getElementById('experimenter-pin-form');
+  el.pinInput = document.getElementById('experimenter-pin');
+  el.pinError = document.getElementById('experimenter-pin-error');
+  el.controls = document.getElementById('experimenter-controls');
+  el.condition = document.getElementById('experimenter-condition');
+  el.timers = document.getElementById('experimenter-timers');
+  el.state = document.getElementById('experimenter-state');
+  el.btnPause = document.getElementById('btn-experimenter-pause');
+  el.btnSkip = document.getElementById('btn-experimenter-skip');
+  el.btnAbort = document.getElementById('btn-experimenter-abort');
+  el.abortReason = document.getElementById('experimenter-abort-reason');
+  el.note = document.getElementById('experimenter-note');
+  el.log = document.getElementById('experimenter-log');
+
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey && e.shiftKey && e.key.toUpperCase() === CONFIG.EXPERIMENTER.hotkey.toUpperCase()) {
+      e.preventDefault();
+      if (el.panel.classList.contains('hidden')) openPanel();
+      else closePanel();
+    }
+  });
+
+  document.getElementById('experimenter-pin-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    unlock();
+  });
+  document.getElementById('btn-experimenter-close').addEventListener('click', closePanel);
+  el.btnPause.addEventListener('click', togglePause);
+  el.btnSkip.addEventListener('click', skip);
+  el.btnAbort.addEventListener('click', abort);
+  document.getElementById('btn-experimenter-note').addEventListener('click', addNote);
+}
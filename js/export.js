@@ -0,0 +1,184 @@
+/**
+ * Self-describing export bundle.
+ *
+ * Everything from a session goes out as one zip download (browsers may
+ * block a burst of separate downloads):
+ *   README.txt          what each file is
+ *   metadata.json       app version, protocol, session times, browser, screen
+ *   data-dictionary.csv every column of every CSV, with type and meaning
+ *   trials.csv, summary.csv, analysis.csv, events.csv (+ events.jsonl)
+ *   interventions.csv, interruptions.csv, catch.csv, timing.csv,
+ *   drain.csv, recoveries.csv, quiz.csv, responses.csv (when there are any)
+ *   session.json        all of the above in one JSON document
+ */
+
+import { get } from './state.js';
+import { getActiveProtocol } from './protocol.js';
+import { getClock } from './clock.js';
+import { getExportRows, toCSV, downloadFile } from './data.js';
+import { eventsForCSV, eventsToJSONL } from './events.js';
+import { describeColumns } from './dictionary.js';
+import { createZip } from './zip.js';
+
+export const APP_VERSION = '1.0.0';
+
+// ===== Metadata =====
+
+function sessionTimes(events) {
+  const own = events.filter(e => e.sessionId === get('sessionId'));
+  const start = own.find(e => e.type === 'session-start');
+  const end = [...own].reverse().find(e => e.type === 'session-end' || e.type === 'session-abort');
+  return { startedAt: start?.wallTime ?? null, endedAt: end?.wallTime ?? null };
+}
+
+function browserInfo() {
+  return {
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    platform: navigator.platform,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
+}
+
+function screenInfo() {
+  return {
+    width: screen.width,
+    height: screen.height,
+    availWidth: screen.availWidth,
+    availHeight: screen.availHeight,
+    colorDepth: screen.colorDepth,
+    devicePixelRatio: window.devicePixelRatio,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+  };
+}
+
+/**
+ * Session-level timing flag: false if any phase of this session was outside
+ * CONFIG.TIMING's tolerance, null if no phase has been measured yet.
+ */
+function sessionTimingWithinTolerance(summaries) {
+  const measured = summaries.filter(s => s.sessionId === get('sessionId') && s.timingWithinTolerance != null);
+  return measured.length === 0 ? null : measured.every(s => s.timingWithinTolerance);
+}
+
+/**
+ * Describe the session for metadata.json.
+ */
+function buildMetadata(rows) {
+  const protocol = getActiveProtocol();
+  const clock = getClock();
+  const { startedAt, endedAt } = sessionTimes(rows.events);
+  return {
+    app: { name: 'Gator Game', version: APP_VERSION },
+    exportedAt: clock.date().toISOString(),
+    participantId: get('participantId'),
+    sessionId: get('sessionId'),
+    group: get('group'),
+    protocol: { id: protocol.id, label: protocol.label, hash: protocol.hash },
+    session: {
+      startedAt,
+      endedAt,
+      status: get('abortReason') ? 'aborted' : endedAt ? 'complete' : 'incomplete',
+      abortReason: get('abortReason') || null,
+      recovered: get('recovered'),
+      visitNumber: get('visitNumber'),
+      visitCount: get('visitCount'),
+      linkedSessionIds: [...new Set(rows.summary.map(s => s.sessionId))]
+        .filter(id => id !== get('sessionId')),
+      timingWithinTolerance: sessionTimingWithinTolerance(rows.summary),
+    },
+    clock: { mode: clock.mode, speed: clock.speed },
+    locale: get('locale'),
+    panel: {
+      studyId: get('studyId') || null,
+      panelSessionId: get('panelSessionId') || null,
+      urlParams: get('urlParams'),
+    },
+    browser: browserInfo(),
+    screen: screenInfo(),
+  };
+}
+
+// ===== Bundle =====
+
+const README = `Gator Game data export
+
+metadata.json        App version, protocol, session start/end and timing flag, browser and screen
+data-dictionary.csv  Every column of every CSV file: type and meaning
+trials.csv           One row per choice
+summary.csv          One row per exposure/condition
+analysis.csv         Indifference-point estimates per exposure/condition
+events.csv           Timestamped event stream (detail as JSON); also events.jsonl
+interventions.csv    Experimenter actions (only if there were any)
+interruptions.csv    Tab hidden, window unfocused or fullscreen exited during play (if any)
+catch.csv            Attention-check probes and their results (if any)
+timing.csv           How late each timer ran, and frame times, per exposure/condition
+drain.csv            Every energy drain and shock, to rebuild each energy budget
+recoveries.csv       Crash recoveries (only if there were any)
+quiz.csv             Comprehension quiz answers, one row per question per attempt
+responses.csv        Consent and demographics answers, one row per field
+session.json         All of the above in one JSON document
+
+Times ending in "Ms" are milliseconds; "...AtMs" values are clock times
+comparable within a session. Check clockMode: rows with a clockMode other
+than "real" did not run in real time.
+`;
+
+function collectExport() {
+  const rows = getExportRows();
+  const metadata = buildMetadata(rows);
+  const tables = [
+    'trials', 'summary', 'analysis', 'events',
+    ...['interventions', 'interruptions', 'catch', 'timing', 'drain', 'recoveries', 'quiz', 'responses']
+      .filter(t => rows[t].length > 0),
+  ];
+  const csvRows = { ...rows, events: eventsForCSV(rows.events) };
+  const dictionary = tables.flatMap(t => describeColumns(t, csvRows[t]));
+  const sessionDoc = {
+    metadata,
+    protocolConfig: getActiveProtocol().config,
+    dataDictionary: dictionary,
+    ...Object.fromEntries(tables.map(t => [t, rows[t]])),
+  };
+  return { rows, csvRows, tables, metadata, dictionary, sessionDoc };
+}
+
+/**
+ * Everything from the current session as one JSON document (the contents
+ * of session.json; also what upload.js sends as the session bundle).
+ */
+export function buildSessionDocument() {
+  return collectExport().sessionDoc;
+}
+
+/**
+ * Build the export bundle for the current session.
+ * @returns {{ filename: string, zip: Uint8Array }}
+ */
+export function buildExportBundle() {
+  const { rows, csvRows, tables, metadata, dictionary, sessionDoc } = collectExport();
+
+  const pid = (get('participantId') || 'unknown').replace(/[^\w.-]+/g, '_');
+  const stamp = metadata.exportedAt.slice(0, 10);
+  const folder = `gator-game-${pid}-${stamp}`;
+
+  const files = [
+    { name: 'README.txt', content: README },
+    { name: 'metadata.json', content: JSON.stringify(metadata, null, 2) },
+    { name: 'data-dictionary.csv', content: toCSV(dictionary) },
+    ...tables.map(t => ({ name: `${t}.csv`, content: toCSV(csvRows[t]) })),
+    { name: 'events.jsonl', content: eventsToJSONL(rows.events) },
+    { name: 'session.json', content: JSON.stringify(sessionDoc, null, 2) },
+  ].map(f => ({ ...f, name: `${folder}/${f.name}` }));
+
+  return { filename: `${folder}.zip`, zip: createZip(files, getClock().date()) };
+}
+
+/**
+ * Download the export bundle as a single zip file.
+ */
+export function downloadExportBundle() {
+  const { filename, zip } = buildExportBundle();
+  downloadFile(filename, zip, 'application/zip');
+}
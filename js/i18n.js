@@ -0,0 +1,205 @@
+/**
+ * Participant-facing text in several languages.
+ *
+ * Messages live in flat catalogs in js/locales/ (one module per locale,
+ * keyed like 'hud.daysLeft'). A message is a string with {name}
+ * placeholders, or an object of plural forms ({ one, other, ... }) chosen
+ * by Intl.PluralRules from the `count` parameter. Numbers passed as
+ * parameters are formatted for the locale. Elements in index.html carry
+ * data-i18n="<key>" (or data-i18n-placeholder) and are filled in by
+ * applyTranslations().
+ *
+ * Text defined in a protocol (instructions, quiz, consent, demographics)
+ * may be a plain string or a { <locale>: string } map; see localize().
+ *
+ * Experimenter-facing text (recovery, experimenter panel, end-of-session
+ * data summary, replay and simulation pages) stays in English.
+ */
+
+import { setState } from './state.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+import pt from './locales/pt.js';
+
+export const CATALOGS = { en, es, pt };
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'en';
+
+let locale = DEFAULT_LOCALE;
+let locked = false;
+const warned = new Set();
+const listeners = new Set();
+
+// ===== Locale =====
+
+/**
+ * The active locale code.
+ */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * Switch the active locale and re-translate the page.
+ * @returns {boolean} false if the locale has no catalog
+ */
+export function setLocale(code) {
+  if (!CATALOGS[code]) return false;
+  locale = code;
+  setState({ locale: code });
+  if (globalThis.document) {
+    document.documentElement.lang = code;
+    applyTranslations();
+  }
+  for (const fn of listeners) fn(code);
+  return true;
+}
+
+/**
+ * Subscribe to locale changes.
+ * @returns {Function} unsubscribe
+ */
+export function onLocaleChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Whether the locale was fixed by the URL (the picker is hidden).
+ */
+export function isLocaleLocked() {
+  return locked;
+}
+
+/**
+ * Pick the locale requested by the URL (?lang=es). A valid request locks
+ * the locale for the visit.
+ * @param {URLSearchParams} params
+ * @returns {{ locale: string, error: string|null }}
+ */
+export function localeFromParams(params) {
+  const requested = params.get('lang');
+  if (!requested) return { locale: DEFAULT_LOCALE, error: null };
+  if (!CATALOGS[requested]) {
+    return { locale: DEFAULT_LOCALE, error: `no translation for locale "${requested}"` };
+  }
+  locked = true;
+  return { locale: requested, error: null };
+}
+
+// ===== Messages =====
+
+function warnOnce(key, problem) {
+  if (warned.has(`${locale}:${key}`)) return;
+  warned.add(`${locale}:${key}`);
+  console.warn(`[i18n] ${problem}: ${key}`);
+}
+
+/**
+ * Whether a message exists in the default catalog.
+ */
+export function hasMessage(key) {
+  return key in CATALOGS[DEFAULT_LOCALE];
+}
+
+/**
+ * Format a number for the active locale.
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ */
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/**
+ * Translate a message. Falls back to the default locale (with a warning)
+ * when the active catalog lacks the key, and to the key itself when no
+ * catalog has it.
+ * @param {string} key
+ * @param {Object} [params] - placeholder values; `count` picks the plural form
+ */
+export function t(key, params = {}) {
+  let message = CATALOGS[locale][key];
+  if (message === undefined) {
+    message = CATALOGS[DEFAULT_LOCALE][key];
+    warnOnce(key, message === undefined ? 'unknown message' : `missing ${locale} translation`);
+    if (message === undefined) return key;
+  }
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * Display name of an animal (its id, capitalized, if the catalog has none,
+ * e.g. for an animal added by a protocol).
+ */
+export function animalName(animal) {
+  if (hasMessage(`animal.${animal}`)) return t(`animal.${animal}`);
+  return animal.charAt(0).toUpperCase() + animal.slice(1);
+}
+
+/**
+ * Resolve protocol text: a string as-is, or a { <locale>: string } map in
+ * the given locale (falling back to the default locale, then any entry).
+ * @param {string|Object<string, string>} value
+ * @param {string} [code]
+ */
+export function localize(value, code = locale) {
+  if (value === null || typeof value !== 'object') return value;
+  return value[code] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0];
+}
+
+/**
+ * Protocol text in the default locale: what is recorded in the data, so
+ * answers compare across sites.
+ */
+export function canonical(value) {
+  return localize(value, DEFAULT_LOCALE);
+}
+
+/**
+ * Fill in every element marked with data-i18n / data-i18n-placeholder.
+ * @param {ParentNode} [root]
+ */
+export function applyTranslations(root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) {
+    el.textContent = t(el.dataset.i18n);
+  }
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  }
+}
+
+// ===== Checks =====
+
+/**
+ * Compare every catalog with the default one.
+ * @returns {string[]} one line per missing, extra or mis-shaped message
+ */
+export function findTranslationProblems() {
+  const reference = CATALOGS[DEFAULT_LOCALE];
+  const problems = [];
+  for (const [code, catalog] of Object.entries(CATALOGS)) {
+    if (code === DEFAULT_LOCALE) continue;
+    for (const [key, message] of Object.entries(reference)) {
+      if (!(key in catalog)) {
+        problems.push(`${code}: missing "${key}"`);
+      } else if ((typeof message === 'object') !== (typeof catalog[key] === 'object')) {
+        problems.push(`${code}: "${key}" must ${typeof message === 'object' ? '' : 'not '}have plural forms`);
+      } else if (typeof catalog[key] === 'object' && !('other' in catalog[key])) {
+        problems.push(`${code}: "${key}" has no "other" plural form`);
+      }
+    }
+    for (const key of Object.keys(catalog)) {
+      if (!(key in reference)) problems.push(`${code}: "${key}" is not in ${DEFAULT_LOCALE}`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,180 @@
+/**
+ * Instruction pages and comprehension quiz (CONFIG.INSTRUCTIONS).
+ *
+ * Runs between the intro form and the exposure: the participant pages
+ * through the instructions (back/next), then answers multiple-choice
+ * questions. Each answer of each attempt is recorded. A wrong answer sends
+ * the participant back to the page that question covers, and from there on
+ * through the pages to the quiz again, until every answer is right.
+ * Answers are recorded in the default locale's wording whatever language
+ * the participant sees.
+ */
+
+import CONFIG from './config.js';
+import { setState } from './state.js';
+import { logEvent } from './events.js';
+import { recordQuizAnswer, getQuizResponses } from './data.js';
+import { t, localize, canonical } from './i18n.js';
+
+const el = {};
+let pageIndex = 0;
+let attempt = 0;
+let handlers = { showScreen: () => {}, onPassed: () => {} };
+
+function cacheElements() {
+  el.notice = document.getElementById('instructions-notice');
+  el.emoji = document.getElementById('instructions-emoji');
+  el.image = document.getElementById('instructions-image');
+  el.title = document.getElementById('instructions-title');
+  el.text = document.getElementById('instructions-text');
+  el.progress = document.getElementById('instructions-progress');
+  el.back = document.getElementById('btn-instructions-back');
+  el.next = document.getElementById('btn-instructions-next');
+  el.quizNotice = document.getElementById('quiz-notice');
+  el.form = document.getElementById('quiz-form');
+  el.submit = document.getElementById('btn-quiz-submit');
+}
+
+// ===== Pages =====
+
+function showPage(index, notice = '') {
+  const { pages, quiz } = CONFIG.INSTRUCTIONS;
+  const page = pages[index];
+  pageIndex = index;
+
+  el.notice.textContent = notice;
+  el.notice.classList.toggle('hidden', !notice);
+  el.emoji.textContent = page.emoji || '';
+  el.image.classList.toggle('hidden', !page.image);
+  if (page.image) {
+    el.image.src = page.image;
+    el.image.alt = localize(page.imageAlt) || '';
+  }
+  el.title.textContent = localize(page.title);
+  el.text.textContent = localize(page.text);
+  el.progress.textContent = t('instructions.progress', { page: index + 1, pages: pages.length });
+  el.back.disabled = index === 0;
+  el.next.textContent = t(index < pages.length - 1 ? 'instructions.next'
+    : quiz.length > 0 ? 'instructions.startQuiz' : 'instructions.startGame');
+
+  handlers.showScreen('instructions');
+  logEvent('instructions-page', { page: page.id, index });
+}
+
+function nextPage() {
+  if (pageIndex < CONFIG.INSTRUCTIONS.pages.length - 1) {
+    showPage(pageIndex + 1);
+  } else if (CONFIG.INSTRUCTIONS.quiz.length > 0) {
+    showQuiz();
+  } else {
+    finish();
+  }
+}
+
+// ===== Quiz =====
+
+function showQuiz(notice = '') {
+  el.quizNotice.textContent = notice;
+  el.quizNotice.classList.toggle('hidden', !notice);
+  el.form.replaceChildren(...CONFIG.INSTRUCTIONS.quiz.map((q) => {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'quiz-question';
+    const legend = document.createElement('legend');
+    legend.textContent = localize(q.question);
+    fieldset.appendChild(legend);
+    q.options.forEach((option, i) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = q.id;
+      input.value = String(i);
+      label.append(input, ` ${localize(option)}`);
+      fieldset.appendChild(label);
+    });
+    return fieldset;
+  }));
+  el.submit.disabled = true;
+  handlers.showScreen('quiz');
+}
+
+function allAnswered() {
+  return CONFIG.INSTRUCTIONS.quiz.every(q => el.form.elements[q.id].value !== '');
+}
+
+function submitQuiz(e) {
+  e.preventDefault();
+  if (!allAnswered()) return;
+  const { pages, quiz } = CONFIG.INSTRUCTIONS;
+  attempt++;
+
+  const wrong = [];
+  for (const q of quiz) {
+    const answerIndex = Number(el.form.elements[q.id].value);
+    const correct = answerIndex === q.answer;
+    recordQuizAnswer({
+      attempt,
+      questionId: q.id,
+      pageId: q.page ?? '',
+      answerIndex,
+      answer: canonical(q.options[answerIndex]),
+      correct,
+    });
+    if (!correct) wrong.push(q);
+  }
+  logEvent('quiz-attempt', {
+    attempt,
+    correct: quiz.length - wrong.length,
+    of: quiz.length,
+    wrong: wrong.map(q => q.id),
+  });
+
+  if (wrong.length === 0) {
+    finish();
+    return;
+  }
+  const notice = t('quiz.wrong', { count: wrong.length });
+  if (pages.length === 0) {
+    showQuiz(`${notice} ${t('quiz.retry')}`);
+    return;
+  }
+  const reviewIndex = Math.max(0, pages.findIndex(p => p.id === wrong[0].page));
+  showPage(reviewIndex, `${notice} ${t('quiz.review')}`);
+}
+
+function finish() {
+  logEvent('instructions-complete', { quizAttempts: attempt });
+  handlers.onPassed();
+}
+
+// ===== Public API =====
+
+/**
+ * Show the instructions and quiz; `onPassed` runs once the quiz is passed
+ * (straight away if the protocol has no pages or questions).
+ * @param {{ showScreen: Function, onPassed: Function }} callbacks
+ */
+export function startInstructions(callbacks) {
+  handlers = callbacks;
+  // Continue the attempt count of a resumed session
+  attempt = Math.max(0, ...getQuizResponses().map(r => r.attempt));
+  const { pages, quiz } = CONFIG.INSTRUCTIONS;
+  if (pages.length === 0 && quiz.length === 0) {
+    handlers.onPassed();
+    return;
+  }
+
+  if (!el.form) {
+    cacheElements();
+    el.back.addEventListener('click', () => showPage(pageIndex - 1));
+    el.next.addEventListener('click', nextPage);
+    el.form.addEventListener('change', () => {
+      el.submit.disabled = !allAnswered();
+    });
+    el.form.addEventListener('submit', submitQuiz);
+  }
+
+  setState({ phase: 'instructions' });
+  logEvent('instructions-start');
+  if (pages.length > 0) showPage(0);
+  else showQuiz();
+}
@@ -0,0 +1,247 @@
+/**
+ * Interruptions: the participant leaving the game (CONFIG.INTERRUPTIONS).
+ *
+ * Three sources are watched — the tab being hidden, the window losing
+ * focus and fullscreen being exited. While the exposure or a condition is
+ * running, each one is recorded from the moment it starts until the
+ * participant is back (or the phase ends), and the protocol's policy
+ * decides whether the game pauses, asks the participant to come back,
+ * keeps running, or gives up on the phase after too long away.
+ */
+
+import CONFIG from './config.js';
+import { get, setState } from './state.js';
+import { getClock } from './clock.js';
+import { logEvent } from './events.js';
+import { pauseAllTimers, resumeAllTimers } from './timer.js';
+import { recordInterruption } from './data.js';
+import { t } from './i18n.js';
+
+export const INTERRUPTION_POLICIES = ['pause', 'pause-overlay', 'flag', 'invalidate'];
+export const INTERRUPTION_SOURCES = ['hidden', 'blur', 'fullscreen'];
+
+const TRACKED_PHASES = ['exposure', 'condition'];
+
+const away = new Map();      // source -> clock time it began (any phase)
+const open = new Map();      // source -> start of its row in the running phase
+let awaySince = null;        // clock time the participant left this phase
+let invalidateTimer = null;
+let invalidating = false;    // the phase is being ended for time away
+let awaitingResume = false;  // overlay up until the participant continues
+let handlers = { invalidate: () => {} };
+
+function policyFor(source) {
+  return CONFIG.INTERRUPTIONS.applyTo.includes(source) ? CONFIG.INTERRUPTIONS.policy : 'flag';
+}
+
+/**
+ * Open sources the policy acts on (anything but 'flag').
+ */
+function enforcedSources() {
+  return [...open.keys()].filter(source => policyFor(source) !== 'flag');
+}
+
+// ===== Overlay =====
+
+function showOverlay(messageKey) {
+  document.getElementById('interruption-title').textContent =
+    t(messageKey === 'interruption.invalidated' ? 'interruption.endedTitle' : 'interruption.title');
+  document.getElementById('interruption-message').textContent = t(messageKey);
+  document.getElementById('interruption-overlay').classList.remove('hidden');
+  document.getElementById('btn-interruption-resume').focus();
+}
+
+function hideOverlay() {
+  document.getElementById('interruption-overlay').classList.add('hidden');
+}
+
+/**
+ * Enter fullscreen if the browser allows it (needs a click or key press).
+ */
+export function enterFullscreen() {
+  if (document.fullscreenElement || !document.documentElement.requestFullscreen) {
+    return Promise.resolve();
+  }
+  return document.documentElement.requestFullscreen().catch(err => {
+    logEvent('fullscreen-refused', { error: err.message });
+  });
+}
+
+async function continueAfterOverlay() {
+  if (!awaitingResume) {
+    // Shown after the phase was invalidated: nothing to resume
+    hideOverlay();
+    return;
+  }
+  if (open.has('fullscreen') && policyFor('fullscreen') !== 'flag') await enterFullscreen();
+  if (enforcedSources().length > 0) return;
+  awaitingResume = false;
+  hideOverlay();
+  updatePause();
+}
+
+// ===== Pausing =====
+
+function pause(sources) {
+  setState({ interruptionPaused: true, pausedAt: getClock().now() });
+  pauseAllTimers();
+  logEvent('interruption-pause', { sources });
+  const { policy } = CONFIG.INTERRUPTIONS;
+  if (policy === 'pause-overlay' || policy === 'invalidate') {
+    awaitingResume = true;
+    showOverlay('interruption.message');
+  }
+}
+
+/**
+ * End the pause; timers restart unless the phase is over or the
+ * experimenter has paused the session.
+ */
+function unpause(restartTimers) {
+  const pausedMs = getClock().now() - get('pausedAt');
+  setState({
+    interruptionPaused: false,
+    pausedAt: null,
+    phasePausedMs: get('phasePausedMs') + pausedMs,
+  });
+  logEvent('interruption-resume', { pausedMs });
+  if (restartTimers && !get('experimenterPaused')) resumeAllTimers();
+}
+
+/**
+ * Pause, resume or start the invalidation countdown to match the sources
+ * the participant is away through.
+ */
+function updatePause() {
+  const sources = enforcedSources();
+  if (sources.length > 0) {
+    if (!get('interruptionPaused')) pause(sources);
+    if (CONFIG.INTERRUPTIONS.policy === 'invalidate' && invalidateTimer === null) {
+      invalidateTimer = getClock().setTimeout(invalidate, CONFIG.INTERRUPTIONS.invalidateAfterMs);
+    }
+    return;
+  }
+  if (invalidateTimer !== null) {
+    getClock().clearTimeout(invalidateTimer);
+    invalidateTimer = null;
+  }
+  if (get('interruptionPaused') && !awaitingResume) unpause(true);
+}
+
+function invalidate() {
+  invalidateTimer = null;
+  logEvent('interruption-invalidate', { afterMs: CONFIG.INTERRUPTIONS.invalidateAfterMs });
+  invalidating = true;
+  handlers.invalidate();
+  invalidating = false;
+  awaitingResume = false;
+  showOverlay('interruption.invalidated');
+}
+
+// ===== Recording =====
+
+function openInterruption(source, now) {
+  if (open.size === 0) {
+    awaySince = now;
+    setState({ phaseInterruptionCount: get('phaseInterruptionCount') + 1 });
+  }
+  open.set(source, {
+    startPerfTimeMs: now,
+    startConditionElapsedMs: get('conditionElapsedMs'),
+    startedAt: getClock().date().toISOString(),
+  });
+}
+
+function closeInterruption(source, now, endedBy) {
+  const start = open.get(source);
+  open.delete(source);
+  recordInterruption({
+    source,
+    policy: policyFor(source),
+    ...start,
+    durationMs: now - start.startPerfTimeMs,
+    endedBy,
+  });
+  if (open.size === 0) {
+    setState({ phaseInterruptedMs: get('phaseInterruptedMs') + now - awaySince });
+    awaySince = null;
+  }
+}
+
+function sourceStarted(source) {
+  if (!CONFIG.INTERRUPTIONS.track.includes(source) || away.has(source)) return;
+  const now = getClock().now();
+  away.set(source, now);
+  logEvent('interruption-start', { source, policy: policyFor(source) });
+  if (TRACKED_PHASES.includes(get('phase'))) {
+    openInterruption(source, now);
+    updatePause();
+  }
+}
+
+function sourceEnded(source) {
+  if (!away.has(source)) return;
+  const now = getClock().now();
+  logEvent('interruption-end', { source, durationMs: now - away.get(source) });
+  away.delete(source);
+  if (open.has(source)) {
+    closeInterruption(source, now, 'returned');
+    updatePause();
+  }
+}
+
+// ===== Phases =====
+
+/**
+ * Start recording for an exposure or condition whose timers have just
+ * started. A participant who is still away is paused straight away.
+ */
+export function beginPhaseInterruptions() {
+  setState({ phaseInterruptionCount: 0, phaseInterruptedMs: 0, phasePausedMs: 0 });
+  const now = getClock().now();
+  for (const source of away.keys()) openInterruption(source, now);
+  updatePause();
+}
+
+/**
+ * Close the running phase's interruptions before it is summarized. A
+ * participant still away is picked up again when the next phase begins.
+ */
+export function endPhaseInterruptions() {
+  const now = getClock().now();
+  for (const source of [...open.keys()]) {
+    closeInterruption(source, now, invalidating ? 'invalidated' : 'phase-end');
+  }
+  if (invalidateTimer !== null) {
+    getClock().clearTimeout(invalidateTimer);
+    invalidateTimer = null;
+  }
+  if (get('interruptionPaused')) unpause(false);
+  if (!invalidating) {
+    awaitingResume = false;
+    hideOverlay();
+  }
+}
+
+/**
+ * Listen for the participant leaving and coming back.
+ * @param {{ invalidate: Function }} actions - ends the running phase as
+ *   'invalidated' and moves on (from screens.js)
+ */
+export function initInterruptions(actions) {
+  handlers = actions;
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) sourceStarted('hidden');
+    else sourceEnded('hidden');
+  });
+  window.addEventListener('blur', () => sourceStarted('blur'));
+  window.addEventListener('focus', () => sourceEnded('blur'));
+  document.addEventListener('fullscreenchange', () => {
+    if (document.fullscreenElement) sourceEnded('fullscreen');
+    else sourceStarted('fullscreen');
+  });
+  document.getElementById('btn-interruption-resume').addEventListener('click', continueAfterOverlay);
+
+  if (document.hidden) sourceStarted('hidden');
+  if (!document.hasFocus()) sourceStarted('blur');
+}
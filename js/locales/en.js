@@ -0,0 +1,121 @@
+/**
+ * English messages — the reference catalog every other locale is checked
+ * against (tools/check-i18n.mjs). Plural messages list Intl.PluralRules
+ * forms and are picked by the `count` parameter.
+ */
+
+export default {
+  'locale.name': 'English',
+  'locale.label': 'Language',
+
+  // ===== Consent & Demographics =====
+  'demographics.title': 'About You',
+  'demographics.continue': 'Continue',
+  'demographics.choose': 'Choose…',
+  'demographics.required': '"{label}" is required',
+  'demographics.notNumber': '"{label}" must be a number',
+  'demographics.notInteger': '"{label}" must be a whole number',
+  'demographics.tooSmall': '"{label}" must be at least {min}',
+  'demographics.tooLarge': '"{label}" must be at most {max}',
+  'demographics.notOption': '"{label}": choose one of the options',
+  'demographics.tooLong': {
+    one: '"{label}" must be at most {count} character',
+    other: '"{label}" must be at most {count} characters',
+  },
+  'demographics.badFormat': '"{label}" is not in the expected format',
+  'demographics.hint': '"{label}": {hint}',
+  'declined.title': 'Thank You',
+  'declined.text': 'You chose not to take part. No data has been kept. You can close this window now.',
+
+  // ===== Intro =====
+  'intro.welcome': 'Welcome! In this game, you will help feed an alligator to keep it alive.',
+  'intro.food': 'You will choose between different food sources. Each choice gives your alligator energy, but energy also drains over time.',
+  'intro.death': "If the alligator's energy reaches zero, it dies and you must wait until the next round.",
+  'intro.goalLabel': 'Your goal:',
+  'intro.goal': 'Keep the alligator alive and gain as much total energy as possible.',
+  'intro.participantId': 'Participant ID:',
+  'intro.participantIdPlaceholder': 'Enter ID',
+  'intro.start': 'Start Game',
+
+  // ===== Instructions & Quiz =====
+  'instructions.back': 'Back',
+  'instructions.next': 'Next',
+  'instructions.startQuiz': 'Start quiz',
+  'instructions.startGame': 'Start game',
+  'instructions.progress': 'Page {page} of {pages}',
+  'quiz.title': 'Check your understanding',
+  'quiz.submit': 'Submit answers',
+  'quiz.wrong': {
+    one: 'One answer was not right.',
+    other: '{count} answers were not right.',
+  },
+  'quiz.retry': 'Please try again.',
+  'quiz.review': 'Please read this again, then try the questions again.',
+
+  // ===== Game =====
+  'hud.daysLeft': 'Days Left',
+  'hud.currentEnergy': 'Current Energy Level',
+  'hud.totalEnergy': 'Total Energy Gained',
+  'animal.fish': 'Fish',
+  'animal.chicken': 'Chicken',
+  'animal.crab': 'Crab',
+  'animal.turtle': 'Turtle',
+  'animal.piranha': 'Piranha',
+  'choice.now': '{animal} (+{reward}, now)',
+  'choice.delayed': '{animal} (+{reward}, delayed)',
+  'choice.chance': '{animal} (+{reward}, {percent} chance)',
+  'exposure.progress': '{fish}: {fishCount}/{fishMin} {fishDone} | {animal}: {llCount}/{llMin} {llDone}',
+  'exposure.ready': 'Ready',
+  'transition.title': 'Round {number} of {count}',
+  'transition.message': 'A new food source has appeared: {animal}!',
+  'transition.continue': 'Continue',
+  'gameOver.title': 'The alligator died!',
+  'gameOver.wait': 'Wait for the current round to end...',
+  'gameOver.timer': {
+    one: '{count} second remaining',
+    other: '{count} seconds remaining',
+  },
+  'delay.waiting': 'Waiting for food...',
+  'delay.seconds': '{seconds}s',
+  'energyBar.label': 'Energy level',
+  'key.space': 'Space',
+  'live.energy': 'Energy {energy} of {max}',
+  'live.daysLeft': {
+    one: '{count} day left',
+    other: '{count} days left',
+  },
+  'live.delay': {
+    one: 'Food arrives in {count} second',
+    other: 'Food arrives in {count} seconds',
+  },
+  'interruption.title': 'Please come back to the game',
+  'interruption.message': 'The game is paused while you are away. Press Continue when you are ready to go on.',
+  'interruption.endedTitle': 'This round has ended',
+  'interruption.invalidated': 'You were away for too long, so this round was stopped. Press Continue to go on.',
+  'interruption.resume': 'Continue',
+
+  // ===== End =====
+  'end.title': 'Game Complete!',
+  'end.thanks': 'Thank you for participating.',
+  'end.download': 'Download Data (.zip)',
+  'upload.complete': {
+    one: 'Upload complete: {count} item sent.',
+    other: 'Upload complete: {count} items sent.',
+  },
+  'upload.sending': {
+    one: 'Uploading: {count} item to send…',
+    other: 'Uploading: {count} items to send…',
+  },
+  'upload.waiting': {
+    one: 'Upload waiting: {count} item not sent ({error}).',
+    other: 'Upload waiting: {count} items not sent ({error}).',
+  },
+  'upload.retry': 'Retrying at {time}.',
+  'upload.backup': 'Download the data as a backup.',
+  'upload.rejected': {
+    one: '{count} item was refused by the endpoint — download the data.',
+    other: '{count} items were refused by the endpoint — download the data.',
+  },
+  'completion.redirecting': 'Returning you to the study site… If nothing happens,',
+  'completion.link': 'continue',
+};
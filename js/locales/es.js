@@ -0,0 +1,119 @@
+/**
+ * Spanish messages (keys as in en.js).
+ */
+
+export default {
+  'locale.name': 'Español',
+  'locale.label': 'Idioma',
+
+  // ===== Consent & Demographics =====
+  'demographics.title': 'Sobre usted',
+  'demographics.continue': 'Continuar',
+  'demographics.choose': 'Elija…',
+  'demographics.required': '"{label}" es obligatorio',
+  'demographics.notNumber': '"{label}" debe ser un número',
+  'demographics.notInteger': '"{label}" debe ser un número entero',
+  'demographics.tooSmall': '"{label}" debe ser como mínimo {min}',
+  'demographics.tooLarge': '"{label}" debe ser como máximo {max}',
+  'demographics.notOption': '"{label}": elija una de las opciones',
+  'demographics.tooLong': {
+    one: '"{label}" debe tener como máximo {count} carácter',
+    other: '"{label}" debe tener como máximo {count} caracteres',
+  },
+  'demographics.badFormat': '"{label}" no tiene el formato esperado',
+  'demographics.hint': '"{label}": {hint}',
+  'declined.title': 'Gracias',
+  'declined.text': 'Ha decidido no participar. No se ha guardado ningún dato. Ya puede cerrar esta ventana.',
+
+  // ===== Intro =====
+  'intro.welcome': '¡Bienvenido/a! En este juego, ayudará a alimentar a un caimán para mantenerlo con vida.',
+  'intro.food': 'Elegirá entre distintas fuentes de comida. Cada elección le da energía al caimán, pero la energía también se agota con el tiempo.',
+  'intro.death': 'Si la energía del caimán llega a cero, muere y tendrá que esperar hasta la siguiente ronda.',
+  'intro.goalLabel': 'Su objetivo:',
+  'intro.goal': 'Mantener vivo al caimán y ganar tanta energía total como sea posible.',
+  'intro.participantId': 'ID de participante:',
+  'intro.participantIdPlaceholder': 'Introduzca el ID',
+  'intro.start': 'Empezar el juego',
+
+  // ===== Instructions & Quiz =====
+  'instructions.back': 'Atrás',
+  'instructions.next': 'Siguiente',
+  'instructions.startQuiz': 'Empezar el cuestionario',
+  'instructions.startGame': 'Empezar el juego',
+  'instructions.progress': 'Página {page} de {pages}',
+  'quiz.title': 'Compruebe lo que ha entendido',
+  'quiz.submit': 'Enviar respuestas',
+  'quiz.wrong': {
+    one: 'Una respuesta no era correcta.',
+    other: '{count} respuestas no eran correctas.',
+  },
+  'quiz.retry': 'Inténtelo de nuevo.',
+  'quiz.review': 'Vuelva a leer esto y luego responda de nuevo a las preguntas.',
+
+  // ===== Game =====
+  'hud.daysLeft': 'Días restantes',
+  'hud.currentEnergy': 'Nivel de energía actual',
+  'hud.totalEnergy': 'Energía total ganada',
+  'animal.fish': 'Pez',
+  'animal.chicken': 'Gallina',
+  'animal.crab': 'Cangrejo',
+  'animal.turtle': 'Tortuga',
+  'animal.piranha': 'Piraña',
+  'choice.now': '{animal} (+{reward}, ahora)',
+  'choice.delayed': '{animal} (+{reward}, con espera)',
+  'choice.chance': '{animal} (+{reward}, {percent} de probabilidad)',
+  'exposure.progress': '{fish}: {fishCount}/{fishMin} {fishDone} | {animal}: {llCount}/{llMin} {llDone}',
+  'exposure.ready': 'Listo',
+  'transition.title': 'Ronda {number} de {count}',
+  'transition.message': 'Ha aparecido una nueva fuente de comida: {animal}.',
+  'transition.continue': 'Continuar',
+  'gameOver.title': '¡El caimán ha muerto!',
+  'gameOver.wait': 'Espere a que termine la ronda actual...',
+  'gameOver.timer': {
+    one: 'Queda {count} segundo',
+    other: 'Quedan {count} segundos',
+  },
+  'delay.waiting': 'Esperando la comida...',
+  'delay.seconds': '{seconds} s',
+  'energyBar.label': 'Nivel de energía',
+  'key.space': 'Espacio',
+  'live.energy': 'Energía {energy} de {max}',
+  'live.daysLeft': {
+    one: 'Queda {count} día',
+    other: 'Quedan {count} días',
+  },
+  'live.delay': {
+    one: 'La comida llega en {count} segundo',
+    other: 'La comida llega en {count} segundos',
+  },
+  'interruption.title': 'Vuelva al juego, por favor',
+  'interruption.message': 'El juego está en pausa mientras usted no está. Pulse Continuar cuando esté listo/a para seguir.',
+  'interruption.endedTitle': 'Esta ronda ha terminado',
+  'interruption.invalidated': 'Ha estado fuera demasiado tiempo, así que esta ronda se ha detenido. Pulse Continuar para seguir.',
+  'interruption.resume': 'Continuar',
+
+  // ===== End =====
+  'end.title': '¡Juego terminado!',
+  'end.thanks': 'Gracias por participar.',
+  'end.download': 'Descargar datos (.zip)',
+  'upload.complete': {
+    one: 'Envío completado: {count} elemento enviado.',
+    other: 'Envío completado: {count} elementos enviados.',
+  },
+  'upload.sending': {
+    one: 'Enviando: queda {count} elemento…',
+    other: 'Enviando: quedan {count} elementos…',
+  },
+  'upload.waiting': {
+    one: 'Envío pendiente: {count} elemento sin enviar ({error}).',
+    other: 'Envío pendiente: {count} elementos sin enviar ({error}).',
+  },
+  'upload.retry': 'Nuevo intento a las {time}.',
+  'upload.backup': 'Descargue los datos como copia de seguridad.',
+  'upload.rejected': {
+    one: 'El servidor rechazó {count} elemento; descargue los datos.',
+    other: 'El servidor rechazó {count} elementos; descargue los datos.',
+  },
+  'completion.redirecting': 'Le estamos devolviendo al sitio del estudio… Si no ocurre nada,',
+  'completion.link': 'continúe aquí',
+};
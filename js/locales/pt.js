@@ -0,0 +1,119 @@
+/**
+ * Portuguese messages (keys as in en.js).
+ */
+
+export default {
+  'locale.name': 'Português',
+  'locale.label': 'Idioma',
+
+  // ===== Consent & Demographics =====
+  'demographics.title': 'Sobre você',
+  'demographics.continue': 'Continuar',
+  'demographics.choose': 'Escolha…',
+  'demographics.required': '"{label}" é obrigatório',
+  'demographics.notNumber': '"{label}" deve ser um número',
+  'demographics.notInteger': '"{label}" deve ser um número inteiro',
+  'demographics.tooSmall': '"{label}" deve ser no mínimo {min}',
+  'demographics.tooLarge': '"{label}" deve ser no máximo {max}',
+  'demographics.notOption': '"{label}": escolha uma das opções',
+  'demographics.tooLong': {
+    one: '"{label}" deve ter no máximo {count} caractere',
+    other: '"{label}" deve ter no máximo {count} caracteres',
+  },
+  'demographics.badFormat': '"{label}" não está no formato esperado',
+  'demographics.hint': '"{label}": {hint}',
+  'declined.title': 'Obrigado',
+  'declined.text': 'Você escolheu não participar. Nenhum dado foi guardado. Você já pode fechar esta janela.',
+
+  // ===== Intro =====
+  'intro.welcome': 'Bem-vindo(a)! Neste jogo, você vai ajudar a alimentar um jacaré para mantê-lo vivo.',
+  'intro.food': 'Você vai escolher entre diferentes fontes de comida. Cada escolha dá energia ao jacaré, mas a energia também se esgota com o tempo.',
+  'intro.death': 'Se a energia do jacaré chegar a zero, ele morre e você terá de esperar até a próxima rodada.',
+  'intro.goalLabel': 'Seu objetivo:',
+  'intro.goal': 'Manter o jacaré vivo e ganhar o máximo de energia total possível.',
+  'intro.participantId': 'ID do participante:',
+  'intro.participantIdPlaceholder': 'Digite o ID',
+  'intro.start': 'Começar o jogo',
+
+  // ===== Instructions & Quiz =====
+  'instructions.back': 'Voltar',
+  'instructions.next': 'Próxima',
+  'instructions.startQuiz': 'Começar o questionário',
+  'instructions.startGame': 'Começar o jogo',
+  'instructions.progress': 'Página {page} de {pages}',
+  'quiz.title': 'Verifique o que você entendeu',
+  'quiz.submit': 'Enviar respostas',
+  'quiz.wrong': {
+    one: 'Uma resposta não estava certa.',
+    other: '{count} respostas não estavam certas.',
+  },
+  'quiz.retry': 'Tente novamente.',
+  'quiz.review': 'Leia isto novamente e depois responda às perguntas de novo.',
+
+  // ===== Game =====
+  'hud.daysLeft': 'Dias restantes',
+  'hud.currentEnergy': 'Nível de energia atual',
+  'hud.totalEnergy': 'Energia total ganha',
+  'animal.fish': 'Peixe',
+  'animal.chicken': 'Galinha',
+  'animal.crab': 'Caranguejo',
+  'animal.turtle': 'Tartaruga',
+  'animal.piranha': 'Piranha',
+  'choice.now': '{animal} (+{reward}, agora)',
+  'choice.delayed': '{animal} (+{reward}, com espera)',
+  'choice.chance': '{animal} (+{reward}, {percent} de chance)',
+  'exposure.progress': '{fish}: {fishCount}/{fishMin} {fishDone} | {animal}: {llCount}/{llMin} {llDone}',
+  'exposure.ready': 'Pronto',
+  'transition.title': 'Rodada {number} de {count}',
+  'transition.message': 'Apareceu uma nova fonte de comida: {animal}!',
+  'transition.continue': 'Continuar',
+  'gameOver.title': 'O jacaré morreu!',
+  'gameOver.wait': 'Espere a rodada atual terminar...',
+  'gameOver.timer': {
+    one: 'Falta {count} segundo',
+    other: 'Faltam {count} segundos',
+  },
+  'delay.waiting': 'Esperando a comida...',
+  'delay.seconds': '{seconds} s',
+  'energyBar.label': 'Nível de energia',
+  'key.space': 'Espaço',
+  'live.energy': 'Energia {energy} de {max}',
+  'live.daysLeft': {
+    one: 'Falta {count} dia',
+    other: 'Faltam {count} dias',
+  },
+  'live.delay': {
+    one: 'A comida chega em {count} segundo',
+    other: 'A comida chega em {count} segundos',
+  },
+  'interruption.title': 'Volte ao jogo, por favor',
+  'interruption.message': 'O jogo fica pausado enquanto você está fora. Clique em Continuar quando estiver pronto(a) para seguir.',
+  'interruption.endedTitle': 'Esta rodada terminou',
+  'interruption.invalidated': 'Você ficou fora por tempo demais, então esta rodada foi interrompida. Clique em Continuar para seguir.',
+  'interruption.resume': 'Continuar',
+
+  // ===== End =====
+  'end.title': 'Fim do jogo!',
+  'end.thanks': 'Obrigado por participar.',
+  'end.download': 'Baixar dados (.zip)',
+  'upload.complete': {
+    one: 'Envio concluído: {count} item enviado.',
+    other: 'Envio concluído: {count} itens enviados.',
+  },
+  'upload.sending': {
+    one: 'Enviando: falta {count} item…',
+    other: 'Enviando: faltam {count} itens…',
+  },
+  'upload.waiting': {
+    one: 'Envio pendente: {count} item não enviado ({error}).',
+    other: 'Envio pendente: {count} itens não enviados ({error}).',
+  },
+  'upload.retry': 'Nova tentativa às {time}.',
+  'upload.backup': 'Baixe os dados como cópia de segurança.',
+  'upload.rejected': {
+    one: 'O servidor recusou {count} item — baixe os dados.',
+    other: 'O servidor recusou {count} itens — baixe os dados.',
+  },
+  'completion.redirecting': 'Levando você de volta ao site do estudo… Se nada acontecer,',
+  'completion.link': 'continue aqui',
+};
@@ -3,11 +3,63 @@
  * Wires all modules together and starts the application.
  */
 
-import { initVisibilityHandler } from './timer.js';
 import { initScreenFlow } from './screens.js';
+import { initReplay } from './replay.js';
+import { clockFromParams, setClock, describeClock } from './clock.js';
+import { initUploads } from './upload.js';
+import { initKeyboardResponses } from './responses.js';
+import {
+  CATALOGS, LOCALES, setLocale, onLocaleChange, localeFromParams, isLocaleLocked, findTranslationProblems,
+} from './i18n.js';
+
+/**
+ * Switch to the clock requested in the URL (?clock=scaled&speed=10) and
+ * make a sped-up clock impossible to miss on screen.
+ */
+function initClock() {
+  const { clock, error } = clockFromParams(new URLSearchParams(window.location.search));
+  if (error) console.warn(`Clock: ${error}; using real time`);
+  setClock(clock);
+  if (clock.mode === 'real') return;
+
+  document.documentElement.style.setProperty('--clock-speed', clock.speed);
+  const banner = document.getElementById('clock-banner');
+  banner.textContent = `Clock: ${describeClock(clock.mode, clock.speed)} — not real time; data will be marked`;
+  banner.classList.remove('hidden');
+}
+
+/**
+ * Set the language from the URL (?lang=es), or offer the language picker
+ * until the game starts.
+ */
+function initLocale() {
+  const { locale, error } = localeFromParams(new URLSearchParams(window.location.search));
+  if (error) console.warn(`Language: ${error}; using ${locale}`);
+  const problems = findTranslationProblems();
+  if (problems.length > 0) console.warn(`Translations incomplete:\n${problems.join('\n')}`);
+
+  const select = document.getElementById('locale-select');
+  for (const code of LOCALES) {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = CATALOGS[code]['locale.name'];
+    select.appendChild(opt);
+  }
+  onLocaleChange((code) => { select.value = code; });
+  select.addEventListener('change', () => setLocale(select.value));
+  setLocale(locale);
+  document.getElementById('locale-picker').classList.toggle('hidden', isLocaleLocked());
+}
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-  initVisibilityHandler();
+  if (new URLSearchParams(window.location.search).has('replay')) {
+    initReplay();
+    return;
+  }
+  initClock();
+  initLocale();
   initScreenFlow();
+  initKeyboardResponses();
+  initUploads();
 });
@@ -0,0 +1,111 @@
+/**
+ * The food options offered on the exposure and condition screens.
+ *
+ * By default there are two: the fish (smaller-sooner, eaten straight away)
+ * and the phase's animal (larger-later, after the titrated delay, or with
+ * the titrated probability in a probability condition). A condition may
+ * list its own `options` instead, any number of them, each with a reward,
+ * an emoji, a label and either a fixed delay or `titrate: true`.
+ *
+ * Exactly one option titrates: a phase has a single titration state (the
+ * current delay or probability, and the analysis built on it), so options
+ * that are all fixed, or several titrated ones, are not supported and are
+ * rejected by protocol.js. The titrated option plays the larger-later
+ * part: choosing it asks the titration for a 'decrease', choosing any
+ * other option for an 'increase', and trials record it as 'larger-later'
+ * and every other option as 'smaller-sooner' (the option itself is
+ * recorded by ID).
+ */
+
+import CONFIG from './config.js';
+import { get } from './state.js';
+
+export const SMALLER_SOONER_ID = 'smaller-sooner';
+export const LARGER_LATER_ID = 'larger-later';
+
+/**
+ * The options of a phase, in protocol order. Rewards are resolved for the
+ * current participant (the titrated option pays the group's reward unless
+ * the protocol sets one).
+ * @param {string} [phase]
+ * @param {string|null} [conditionId]
+ * @returns {Array<{ id: string, emoji: string, animal: string|null, label: *,
+ *   reward: number, delayMs: number|null, titrates: boolean }>}
+ *   label is null for the built-in options (see ui.js); delayMs is null
+ *   for the titrated option
+ */
+export function phaseOptions(phase = get('phase'), conditionId = get('conditionId')) {
+  const fish = {
+    id: SMALLER_SOONER_ID,
+    emoji: '🐟',
+    animal: 'fish',
+    label: null,
+    reward: CONFIG.SMALLER_SOONER_REWARD,
+    delayMs: 0,
+    titrates: false,
+  };
+  if (phase === 'exposure') {
+    return [fish, {
+      id: LARGER_LATER_ID,
+      emoji: CONFIG.EXPOSURE_ANIMAL_EMOJI,
+      animal: CONFIG.EXPOSURE_ANIMAL,
+      label: null,
+      reward: CONFIG.EXPOSURE_REWARD,
+      delayMs: null,
+      titrates: true,
+    }];
+  }
+  const cond = CONFIG.CONDITIONS[conditionId];
+  if (!cond) return [];
+  if (!cond.options) {
+    return [fish, {
+      id: LARGER_LATER_ID,
+      emoji: cond.emoji,
+      animal: cond.animal,
+      label: null,
+      reward: get('rewardAmount'),
+      delayMs: null,
+      titrates: true,
+    }];
+  }
+  return cond.options.map(option => ({
+    id: option.id,
+    emoji: option.emoji,
+    animal: null,
+    label: option.label,
+    reward: option.reward ?? get('rewardAmount'),
+    delayMs: option.titrate ? null : option.delayMs,
+    titrates: option.titrate === true,
+  }));
+}
+
+/**
+ * One of the current phase's options, or undefined.
+ */
+export function findOption(id) {
+  return phaseOptions().find(option => option.id === id);
+}
+
+/**
+ * The trial `choice` an option counts as.
+ * @returns {'smaller-sooner'|'larger-later'}
+ */
+export function choiceRole(option) {
+  return option.titrates ? LARGER_LATER_ID : SMALLER_SOONER_ID;
+}
+
+/**
+ * The option a smaller-sooner choice stands for when only the role is
+ * given (simulation policies, attention checks): the fish, or the first
+ * option that does not titrate.
+ */
+export function smallerSoonerOption(phase, conditionId) {
+  return phaseOptions(phase, conditionId).find(option => !option.titrates);
+}
+
+/**
+ * The titrated option.
+ */
+export function largerLaterOption(phase, conditionId) {
+  return phaseOptions(phase, conditionId).find(option => option.titrates);
+}
@@ -0,0 +1,50 @@
+/**
+ * Online panel integration (CONFIG.PANEL).
+ *
+ * When the game is opened from a Prolific, SONA or survey link, the
+ * participant, study and session IDs come from the URL; the participant ID
+ * is locked and the intro form is skipped. Every other URL parameter is kept
+ * and exported with the data. On completion the browser is sent on to the
+ * panel's completion URL with the completion code (and optionally points).
+ */
+
+import CONFIG from './config.js';
+import { get } from './state.js';
+
+// Parameters the app itself reads; never copied into the data
+const APP_PARAMS = ['protocol', 'clock', 'speed', 'replay', 'lang'];
+
+/**
+ * Read the panel IDs and any extra parameters from the URL.
+ * @param {string} [search] - query string (defaults to the page's)
+ * @returns {{ participantId: string, studyId: string, panelSessionId: string,
+ *   urlParams: Object<string, string> }}
+ */
+export function readPanelParams(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const { participantParam, studyParam, sessionParam } = CONFIG.PANEL;
+  const known = [...APP_PARAMS, participantParam, studyParam, sessionParam];
+  const urlParams = {};
+  for (const [key, value] of params) {
+    if (!known.includes(key)) urlParams[key] = value;
+  }
+  return {
+    participantId: params.get(participantParam)?.trim() || '',
+    studyId: params.get(studyParam) || '',
+    panelSessionId: params.get(sessionParam) || '',
+    urlParams,
+  };
+}
+
+/**
+ * The URL to send a participant to once they finish, or null if the
+ * protocol has none.
+ */
+export function completionUrl() {
+  const { completionUrl: base, completionCode, codeParam, pointsParam } = CONFIG.PANEL;
+  if (!base) return null;
+  const url = new URL(base);
+  if (completionCode) url.searchParams.set(codeParam, completionCode);
+  if (pointsParam) url.searchParams.set(pointsParam, Math.round(get('totalEnergyGained')));
+  return url.toString();
+}
@@ -0,0 +1,218 @@
+/**
+ * Crash-safe session persistence in IndexedDB.
+ *
+ * Every recorded row and every state change is written as it happens, so a
+ * crash or reload loses nothing. Stores:
+ * - sessions: one record per session (status, protocol, latest state snapshot)
+ * - records:  append-only rows tagged with sessionId and kind ('trial', ...)
+ * - uploads:  outgoing uploads not yet accepted by the endpoint (upload.js)
+ *
+ * Persistence must never interrupt the task: if IndexedDB is unavailable or
+ * a write fails, the error is logged and the session carries on in memory.
+ */
+
+import { getState, get, setState, subscribe } from './state.js';
+
+const DB_NAME = 'gator-game';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+let snapshotPending = false;
+let unsubscribe = null;
+let enabled = true;
+
+/**
+ * Turn persistence on or off (simulated sessions must not be saved
+ * alongside real ones).
+ */
+export function setPersistenceEnabled(value) {
+  enabled = value;
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!globalThis.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'sessionId' });
+        }
+        if (!db.objectStoreNames.contains('records')) {
+          const records = db.createObjectStore('records', { autoIncrement: true });
+          records.createIndex('sessionId', 'sessionId');
+        }
+        if (!db.objectStoreNames.contains('uploads')) {
+          db.createObjectStore('uploads', { keyPath: 'key', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(tx.objectStore(name));
+  await done;
+  return result;
+}
+
+function warn(action, err) {
+  console.warn(`[persistence] ${action} failed:`, err);
+}
+
+function createSessionId() {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${Date.now().toString(36)}-${rand}`;
+}
+
+// ===== Session Lifecycle =====
+
+async function updateSession(sessionId, patch) {
+  return withStore('sessions', 'readwrite', async (store) => {
+    const existing = await requestToPromise(store.get(sessionId));
+    if (!existing) return;
+    store.put({ ...existing, ...patch, updatedAt: new Date().toISOString() });
+  });
+}
+
+function scheduleSnapshot() {
+  if (!enabled || snapshotPending) return;
+  snapshotPending = true;
+  queueMicrotask(() => {
+    snapshotPending = false;
+    const sessionId = get('sessionId');
+    if (!sessionId) return;
+    updateSession(sessionId, { state: getState() }).catch(err => warn('state snapshot', err));
+  });
+}
+
+/**
+ * Begin persisting the current session. Assigns a new sessionId unless
+ * one is passed (when resuming a recovered session).
+ * @param {Object} protocol - the active protocol ({ id, hash, config })
+ * @param {string} [sessionId]
+ */
+export async function startSession(protocol, sessionId = null) {
+  const id = sessionId || createSessionId();
+  setState({ sessionId: id });
+
+  if (!unsubscribe) unsubscribe = subscribe(scheduleSnapshot);
+
+  try {
+    if (sessionId) {
+      await updateSession(id, { status: 'active', state: getState() });
+    } else {
+      const now = new Date().toISOString();
+      await withStore('sessions', 'readwrite', async (store) => {
+        store.put({
+          sessionId: id,
+          status: 'active',
+          startedAt: now,
+          updatedAt: now,
+          protocol: { id: protocol.id, label: protocol.label, hash: protocol.hash, config: protocol.config },
+          state: getState(),
+        });
+      });
+    }
+  } catch (err) {
+    warn('start session', err);
+  }
+  return id;
+}
+
+/**
+ * Append a data row to the current session.
+ * @param {string} kind - 'trial', 'summary', 'recovery', ...
+ * @param {Object} data
+ */
+export function persistRecord(kind, data) {
+  const sessionId = get('sessionId');
+  if (!enabled || !sessionId) return;
+  withStore('records', 'readwrite', async (store) => {
+    store.add({ sessionId, kind, data, savedAt: new Date().toISOString() });
+  }).catch(err => warn(`save ${kind}`, err));
+}
+
+/**
+ * Set a session's status
+ * ('active' | 'complete' | 'aborted' | 'exported' | 'abandoned').
+ */
+export function setSessionStatus(sessionId, status) {
+  return updateSession(sessionId, { status }).catch(err => warn('update status', err));
+}
+
+// ===== Recovery =====
+
+/**
+ * Find the most recently updated session that never finished.
+ * @returns {Promise<Object|null>} the session record
+ */
+export async function findInterruptedSession() {
+  try {
+    const sessions = await withStore('sessions', 'readonly', store => requestToPromise(store.getAll()));
+    const active = sessions.filter(s => s.status === 'active');
+    active.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return active[0] || null;
+  } catch (err) {
+    warn('look up interrupted sessions', err);
+    return null;
+  }
+}
+
+/**
+ * Load all rows recorded for a session, in the order they were written.
+ * @returns {Promise<Array<{ kind: string, data: Object }>>}
+ */
+export async function loadSessionRecords(sessionId) {
+  return withStore('records', 'readonly', store =>
+    requestToPromise(store.index('sessionId').getAll(sessionId)));
+}
+
+// ===== Upload Queue =====
+
+/**
+ * Add an upload to the queue. Rejects if IndexedDB is unavailable, so the
+ * caller can keep the upload in memory instead.
+ * @returns {Promise<number>} the queue key
+ */
+export async function addUpload(upload) {
+  return withStore('uploads', 'readwrite', store => requestToPromise(store.add(upload)));
+}
+
+/**
+ * All queued uploads, oldest first.
+ * @returns {Promise<Object[]>}
+ */
+export async function loadUploads() {
+  return withStore('uploads', 'readonly', store => requestToPromise(store.getAll()));
+}
+
+/**
+ * Remove an upload from the queue once it has been sent (or rejected).
+ */
+export async function removeUpload(key) {
+  return withStore('uploads', 'readwrite', async (store) => {
+    store.delete(key);
+  });
+}
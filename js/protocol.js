@@ -0,0 +1,663 @@
+/**
+ * Experiment protocols: loading, validation and provenance.
+ *
+ * A protocol is a JSON file in protocols/ of the form
+ *   { "id": "...", "label": "...", "description": "...", "config": { ... } }
+ * where `config` holds any subset of the keys in config.js. Missing keys
+ * fall back to the built-in defaults (see mergeConfig for the merge rules).
+ * protocols/index.json lists the protocols offered on the intro screen.
+ */
+
+import { DEFAULT_CONFIG, mergeConfig, applyConfig, resetConfig } from './config.js';
+import { setState } from './state.js';
+import { hashString } from './random.js';
+import { ASSIGNMENT_METHODS } from './assignment.js';
+import { TITRATION_RULES, PROBABILITY_TITRATION_RULES, LL_MODES } from './titration.js';
+import { LOCALES } from './i18n.js';
+import {
+  RESPONSE_METHODS, COUNTERBALANCE_METHODS, POSITION_METHODS, normalizeKey,
+} from './responses.js';
+import { PALETTES } from './ui.js';
+import { INTERRUPTION_POLICIES, INTERRUPTION_SOURCES } from './interruptions.js';
+import { CATCH_TYPES } from './attention.js';
+import { DRAIN_DISTRIBUTIONS } from './drain.js';
+
+const PROTOCOL_DIR = 'protocols';
+const DEMOGRAPHIC_FIELD_TYPES = ['text', 'number', 'select', 'radio'];
+export const BUILTIN_PROTOCOL_ID = 'builtin-default';
+
+let activeProtocol = null;
+
+// ===== Schema =====
+
+const isPositiveNumber = v => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isNonNegativeNumber = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isNonEmptyString = v => typeof v === 'string' && v.trim().length > 0;
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const positive = { check: isPositiveNumber, expected: 'a positive number' };
+const nonNegative = { check: isNonNegativeNumber, expected: 'a number ≥ 0' };
+const text = { check: isNonEmptyString, expected: 'a non-empty string' };
+const oneOf = values => ({
+  check: v => values.includes(v),
+  expected: `one of ${values.map(v => `"${v}"`).join(', ')}`,
+});
+const integer = {
+  check: v => Number.isInteger(v) && v > 0,
+  expected: 'a positive integer',
+};
+// Participant-facing text: a string, or a { <locale>: string } map
+const isLocalizedText = v => isNonEmptyString(v) || (
+  isPlainObject(v) && Object.keys(v).length > 0 &&
+  Object.entries(v).every(([code, s]) => LOCALES.includes(code) && isNonEmptyString(s))
+);
+const localizedText = {
+  check: isLocalizedText,
+  expected: `a non-empty string or an object of strings keyed by ${LOCALES.map(c => `"${c}"`).join(', ')}`,
+};
+
+const optionalNumber = { check: v => typeof v === 'number' && Number.isFinite(v), expected: 'a number', optional: true };
+const optionalBoolean = { check: v => typeof v === 'boolean', expected: 'true or false', optional: true };
+
+const CHOICE_OPTION_SCHEMA = {
+  id: text,
+  emoji: text,
+  label: localizedText,
+  reward: { ...positive, optional: true },
+  delayMs: { ...nonNegative, optional: true },
+  titrate: optionalBoolean,
+};
+
+const DRAIN_SCHEMA = {
+  distribution: { ...oneOf(DRAIN_DISTRIBUTIONS), optional: true },
+  spread: {
+    check: v => typeof v === 'number' && v >= 0 && v < 1,
+    expected: 'a number from 0 up to (not including) 1',
+    optional: true,
+  },
+  amount: { ...integer, optional: true },
+  dayFactors: {
+    check: v => Array.isArray(v) && v.every(isPositiveNumber),
+    expected: 'an array of positive numbers',
+    optional: true,
+  },
+  energyBands: { list: { below: positive, factor: positive }, optional: true },
+  shocks: { list: { atMs: nonNegative, amount: integer }, optional: true },
+};
+
+const CONDITION_SCHEMA = {
+  id: text,
+  animal: text,
+  emoji: text,
+  drainIntervalMs: positive,
+  label: text,
+  llMode: { ...oneOf(LL_MODES), optional: true },
+  options: { list: CHOICE_OPTION_SCHEMA, optional: true },
+  drain: { fields: DRAIN_SCHEMA, optional: true },
+};
+
+const GROUP_SCHEMA = {
+  rewardAmount: positive,
+  sequence: text,
+  conditionOrder: {
+    check: v => Array.isArray(v) && v.length > 0 && v.every(isNonEmptyString),
+    expected: 'a non-empty array of condition ids',
+  },
+};
+
+const CONSENT_SCHEMA = {
+  text: { check: v => v === null || isLocalizedText(v), expected: `null or ${localizedText.expected}` },
+  version: text,
+  title: localizedText,
+  agreeLabel: localizedText,
+  declineLabel: localizedText,
+};
+
+const DEMOGRAPHIC_FIELD_SCHEMA = {
+  id: text,
+  label: localizedText,
+  type: oneOf(DEMOGRAPHIC_FIELD_TYPES),
+  required: optionalBoolean,
+  options: {
+    check: v => Array.isArray(v) && v.length > 0 && v.every(isLocalizedText),
+    expected: 'a non-empty array of strings or localized texts',
+    optional: true,
+  },
+  min: optionalNumber,
+  max: optionalNumber,
+  integer: optionalBoolean,
+  pattern: { ...text, optional: true },
+  patternHint: { ...localizedText, optional: true },
+  maxLength: { ...integer, optional: true },
+};
+
+const DEMOGRAPHICS_SCHEMA = {
+  fields: { list: DEMOGRAPHIC_FIELD_SCHEMA },
+};
+
+const INSTRUCTION_PAGE_SCHEMA = {
+  id: text,
+  title: localizedText,
+  text: localizedText,
+  emoji: { ...text, optional: true },
+  image: { ...text, optional: true },
+  imageAlt: { ...localizedText, optional: true },
+};
+
+const QUIZ_QUESTION_SCHEMA = {
+  id: text,
+  question: localizedText,
+  options: {
+    check: v => Array.isArray(v) && v.length >= 2 && v.every(isLocalizedText),
+    expected: 'an array of at least 2 strings or localized texts',
+  },
+  answer: { check: v => Number.isInteger(v) && v >= 0, expected: 'the index of the correct option' },
+  page: { ...text, optional: true },
+};
+
+const INSTRUCTIONS_SCHEMA = {
+  pages: { list: INSTRUCTION_PAGE_SCHEMA },
+  quiz: { list: QUIZ_QUESTION_SCHEMA },
+};
+
+const keyList = {
+  check: v => Array.isArray(v) && v.length > 0 && v.every(k => typeof k === 'string' && k.length > 0),
+  expected: 'a non-empty array of key names',
+};
+
+const RESPONSE_SCHEMA = {
+  method: oneOf(RESPONSE_METHODS),
+  leftKeys: keyList,
+  rightKeys: keyList,
+  positionKeys: keyList,
+  counterbalance: oneOf(COUNTERBALANCE_METHODS),
+  positions: oneOf(POSITION_METHODS),
+  showKeyHints: { check: v => typeof v === 'boolean', expected: 'true or false' },
+};
+
+const DISPLAY_SCHEMA = {
+  palette: oneOf(PALETTES),
+  announce: { check: v => typeof v === 'boolean', expected: 'true or false' },
+};
+
+const sourceList = {
+  check: v => Array.isArray(v) && v.every(s => INTERRUPTION_SOURCES.includes(s)),
+  expected: `an array of ${INTERRUPTION_SOURCES.map(s => `"${s}"`).join(', ')}`,
+};
+
+const INTERRUPTIONS_SCHEMA = {
+  policy: oneOf(INTERRUPTION_POLICIES),
+  applyTo: sourceList,
+  track: sourceList,
+  invalidateAfterMs: positive,
+  requestFullscreen: { check: v => typeof v === 'boolean', expected: 'true or false' },
+};
+
+const ATTENTION_SCHEMA = {
+  perPhase: { check: v => Number.isInteger(v) && v >= 0, expected: 'an integer ≥ 0' },
+  phases: {
+    check: v => Array.isArray(v) && v.every(p => p === 'exposure' || p === 'condition'),
+    expected: 'an array of "exposure", "condition"',
+  },
+  types: {
+    check: v => Array.isArray(v) && v.length > 0 && v.every(type => CATCH_TYPES.includes(type)),
+    expected: `a non-empty array of ${CATCH_TYPES.map(type => `"${type}"`).join(', ')}`,
+  },
+  earliestMs: nonNegative,
+  minGapMs: nonNegative,
+  responseWindowMs: positive,
+  promptText: localizedText,
+  promptButton: localizedText,
+  avoidEmoji: text,
+  avoidLabel: localizedText,
+};
+
+const share = { check: v => typeof v === 'number' && v >= 0 && v <= 1, expected: 'a number between 0 and 1' };
+
+const TIMING_SCHEMA = {
+  lateThresholdMs: nonNegative,
+  maxLateShare: share,
+  trackFrames: { check: v => typeof v === 'boolean', expected: 'true or false' },
+  longFrameMs: positive,
+  maxLongFrameShare: share,
+};
+
+const ASSIGNMENT_SCHEMA = {
+  method: oneOf(ASSIGNMENT_METHODS),
+  seed: text,
+};
+
+const TITRATION_SCHEMA = {
+  rule: oneOf(TITRATION_RULES),
+  stepMs: nonNegative,
+  minDelayMs: nonNegative,
+  maxDelayMs: { check: v => v === null || isPositiveNumber(v), expected: 'a positive number or null' },
+  proportion: { check: v => isPositiveNumber(v) && v < 1, expected: 'a number between 0 and 1' },
+  factor: { check: v => isPositiveNumber(v) && v > 1, expected: 'a number greater than 1' },
+  shrinkFactor: { check: v => isPositiveNumber(v) && v <= 1, expected: 'a number in (0, 1]' },
+  minStepMs: nonNegative,
+  choicesPerAdjustment: integer,
+};
+
+const probability = { check: v => isPositiveNumber(v) && v <= 1, expected: 'a number in (0, 1]' };
+
+const PROBABILITY_SCHEMA = {
+  rule: oneOf(PROBABILITY_TITRATION_RULES),
+  initial: probability,
+  step: probability,
+  min: probability,
+  max: probability,
+  delayMs: nonNegative,
+};
+
+const ANALYSIS_SCHEMA = {
+  lastN: integer,
+  discardReversals: { check: v => Number.isInteger(v) && v >= 0, expected: 'an integer ≥ 0' },
+  stabilityWindow: integer,
+  stabilityToleranceMs: nonNegative,
+  stabilityToleranceProbability: share,
+  minReversals: { check: v => Number.isInteger(v) && v >= 0, expected: 'an integer ≥ 0' },
+};
+
+const VISITS_SCHEMA = {
+  conditionsPerVisit: {
+    check: v => v === null || (Array.isArray(v) && v.length > 0 && v.every(n => Number.isInteger(n) && n > 0)),
+    expected: 'null or a non-empty array of positive integers',
+  },
+  exposureEachVisit: { check: v => typeof v === 'boolean', expected: 'true or false' },
+  carryOverDelay: { check: v => typeof v === 'boolean', expected: 'true or false' },
+  minHoursBetween: nonNegative,
+};
+
+const urlOrNull = { check: v => v === null || /^https?:\/\/\S+$/.test(v), expected: 'null or an http(s) URL' };
+
+const UPLOAD_SCHEMA = {
+  endpoint: urlOrNull,
+  timeoutMs: positive,
+  retryDelayMs: positive,
+  maxRetryDelayMs: positive,
+};
+
+const PANEL_SCHEMA = {
+  participantParam: text,
+  studyParam: text,
+  sessionParam: text,
+  completionUrl: urlOrNull,
+  completionCode: { check: v => v === null || isNonEmptyString(v), expected: 'null or a non-empty string' },
+  codeParam: text,
+  pointsParam: { check: v => v === null || isNonEmptyString(v), expected: 'null or a non-empty string' },
+  redirectDelayMs: nonNegative,
+  uploadWaitMs: nonNegative,
+};
+
+const EXPERIMENTER_SCHEMA = {
+  hotkey: { check: v => typeof v === 'string' && /^[A-Za-z0-9]$/.test(v), expected: 'a single letter or digit' },
+  pin: { check: v => typeof v === 'string' && /^\d{4,}$/.test(v), expected: 'a string of at least 4 digits' },
+};
+
+const CONFIG_SCHEMA = {
+  CONDITION_DURATION_MS: positive,
+  EXPOSURE_DURATION_MS: positive,
+  DAYS_PER_CONDITION: integer,
+  STARTING_ENERGY: nonNegative,
+  MAX_ENERGY: positive,
+  MIN_ENERGY: nonNegative,
+  SMALLER_SOONER_REWARD: positive,
+  SMALLER_SOONER_DELAY_MS: nonNegative,
+  INITIAL_DELAY_MS: nonNegative,
+  TITRATION: { fields: TITRATION_SCHEMA },
+  PROBABILITY: { fields: PROBABILITY_SCHEMA },
+  EXPOSURE_REWARD: positive,
+  EXPOSURE_MIN_FISH: { check: Number.isInteger, expected: 'an integer' },
+  EXPOSURE_MIN_LL: { check: Number.isInteger, expected: 'an integer' },
+  EXPOSURE_ANIMAL: text,
+  EXPOSURE_ANIMAL_EMOJI: text,
+  EXPOSURE_DRAIN_INTERVAL_MS: positive,
+  CONDITIONS: { record: CONDITION_SCHEMA },
+  GROUPS: { record: GROUP_SCHEMA },
+  ANALYSIS: { fields: ANALYSIS_SCHEMA },
+  CONSENT: { fields: CONSENT_SCHEMA },
+  DEMOGRAPHICS: { fields: DEMOGRAPHICS_SCHEMA },
+  RESPONSE: { fields: RESPONSE_SCHEMA },
+  DISPLAY: { fields: DISPLAY_SCHEMA },
+  INTERRUPTIONS: { fields: INTERRUPTIONS_SCHEMA },
+  ATTENTION: { fields: ATTENTION_SCHEMA },
+  TIMING: { fields: TIMING_SCHEMA },
+  INSTRUCTIONS: { fields: INSTRUCTIONS_SCHEMA },
+  ASSIGNMENT: { fields: ASSIGNMENT_SCHEMA },
+  VISITS: { fields: VISITS_SCHEMA },
+  UPLOAD: { fields: UPLOAD_SCHEMA },
+  PANEL: { fields: PANEL_SCHEMA },
+  EXPERIMENTER: { fields: EXPERIMENTER_SCHEMA },
+  EATING_ANIMATION_MS: nonNegative,
+};
+
+function describe(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/**
+ * Check `obj` against `schema`, pushing "path: problem" strings onto errors.
+ * With `partial`, missing fields are allowed (used for raw overrides);
+ * fields whose rule is `optional` may always be missing.
+ */
+function checkFields(obj, schema, path, errors, partial) {
+  if (!isPlainObject(obj)) {
+    errors.push(`${path}: must be an object (got ${describe(obj)})`);
+    return;
+  }
+  for (const key of Object.keys(obj)) {
+    if (!(key in schema)) errors.push(`${path}.${key}: unknown field`);
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = obj[key];
+    if (value === undefined) {
+      if (!partial && !rule.optional) errors.push(`${path}.${key}: is required`);
+      continue;
+    }
+    if (rule.fields) {
+      checkFields(value, rule.fields, `${path}.${key}`, errors, partial);
+    } else if (rule.record) {
+      if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        errors.push(`${path}.${key}: must be a non-empty object (got ${describe(value)})`);
+        continue;
+      }
+      for (const [id, entry] of Object.entries(value)) {
+        checkFields(entry, rule.record, `${path}.${key}.${id}`, errors, partial);
+      }
+    } else if (rule.list) {
+      if (!Array.isArray(value)) {
+        errors.push(`${path}.${key}: must be an array (got ${describe(value)})`);
+        continue;
+      }
+      value.forEach((entry, i) => checkFields(entry, rule.list, `${path}.${key}[${i}]`, errors, false));
+    } else if (!rule.check(value)) {
+      errors.push(`${path}.${key}: must be ${rule.expected} (got ${describe(value)})`);
+    }
+  }
+}
+
+/**
+ * Cross-checks on a condition's own list of options (see options.js).
+ */
+function checkChoiceOptions(options, path, config, errors) {
+  if (options.length < 2) errors.push(`${path}: must list at least 2 options`);
+  const titrated = options.filter(option => option.titrate === true).length;
+  if (titrated !== 1) {
+    errors.push(`${path}: exactly one option must have "titrate": true (got ${titrated}); ` +
+      'all-fixed options and several titrated options are not supported');
+  }
+  options.forEach((option, i) => {
+    if (options.findIndex(other => other.id === option.id) !== i) {
+      errors.push(`${path}[${i}].id: duplicate id "${option.id}"`);
+    }
+    if (option.titrate === true) {
+      if (option.delayMs !== undefined) errors.push(`${path}[${i}].delayMs: must be left out for the titrated option`);
+    } else {
+      if (option.delayMs === undefined) errors.push(`${path}[${i}].delayMs: is required unless the option titrates`);
+      if (option.reward === undefined) errors.push(`${path}[${i}].reward: is required unless the option titrates`);
+    }
+  });
+  const { method, positionKeys } = config.RESPONSE;
+  if (options.length > 2 && method !== 'pointer' && positionKeys.length < options.length) {
+    errors.push(`config.RESPONSE.positionKeys: ${positionKeys.length} keys for ${options.length} options in ${path}`);
+  }
+}
+
+/**
+ * Cross-checks on a condition's drain schedule (see drain.js).
+ */
+function checkDrain(drain, path, config, errors) {
+  if ((drain.dayFactors?.length ?? 0) > config.DAYS_PER_CONDITION) {
+    errors.push(`${path}.dayFactors: ${drain.dayFactors.length} factors for ${config.DAYS_PER_CONDITION} days`);
+  }
+  (drain.shocks ?? []).forEach((shock, i) => {
+    if (shock.atMs >= config.CONDITION_DURATION_MS) {
+      errors.push(`${path}.shocks[${i}].atMs: must be before CONDITION_DURATION_MS`);
+    }
+  });
+}
+
+/**
+ * Validate a parsed protocol file.
+ * @param {Object} protocol - parsed JSON
+ * @returns {{ errors: string[], config: Object|null }} merged config when valid
+ */
+export function validateProtocol(protocol) {
+  const errors = [];
+  if (!isPlainObject(protocol)) {
+    return { errors: ['protocol: must be a JSON object'], config: null };
+  }
+  if (!isNonEmptyString(protocol.id)) {
+    errors.push(`id: must be a non-empty string (got ${describe(protocol.id)})`);
+  }
+  const overrides = protocol.config ?? {};
+  checkFields(overrides, CONFIG_SCHEMA, 'config', errors, true);
+  if (errors.length > 0) return { errors, config: null };
+
+  const config = mergeConfig(overrides);
+  checkFields(config, CONFIG_SCHEMA, 'config', errors, false);
+
+  // Cross-field checks on the merged result
+  for (const [id, cond] of Object.entries(config.CONDITIONS)) {
+    if (cond.id !== id) {
+      errors.push(`config.CONDITIONS.${id}.id: must match its key (got ${describe(cond.id)})`);
+    }
+    if (cond.options) checkChoiceOptions(cond.options, `config.CONDITIONS.${id}.options`, config, errors);
+    if (cond.drain) checkDrain(cond.drain, `config.CONDITIONS.${id}.drain`, config, errors);
+  }
+  for (const [name, group] of Object.entries(config.GROUPS)) {
+    (group.conditionOrder || []).forEach((condId, i) => {
+      if (!config.CONDITIONS[condId]) {
+        errors.push(`config.GROUPS.${name}.conditionOrder[${i}]: unknown condition "${condId}"`);
+      }
+    });
+  }
+  if (config.MIN_ENERGY >= config.MAX_ENERGY) {
+    errors.push('config.MIN_ENERGY: must be below MAX_ENERGY');
+  }
+  if (config.STARTING_ENERGY > config.MAX_ENERGY || config.STARTING_ENERGY <= config.MIN_ENERGY) {
+    errors.push('config.STARTING_ENERGY: must be above MIN_ENERGY and at most MAX_ENERGY');
+  }
+  const perVisit = config.VISITS.conditionsPerVisit;
+  if (perVisit) {
+    const scheduled = perVisit.reduce((sum, n) => sum + n, 0);
+    for (const [name, group] of Object.entries(config.GROUPS)) {
+      if (group.conditionOrder.length !== scheduled) {
+        errors.push(`config.VISITS.conditionsPerVisit: schedules ${scheduled} conditions but ` +
+          `GROUPS.${name} has ${group.conditionOrder.length}`);
+      }
+    }
+  }
+  config.DEMOGRAPHICS.fields.forEach((field, i) => {
+    const path = `config.DEMOGRAPHICS.fields[${i}]`;
+    if (config.DEMOGRAPHICS.fields.findIndex(other => other.id === field.id) !== i) {
+      errors.push(`${path}.id: duplicate id "${field.id}"`);
+    }
+    if ((field.type === 'select' || field.type === 'radio') && !field.options) {
+      errors.push(`${path}.options: is required for ${field.type} fields`);
+    }
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        errors.push(`${path}.pattern: is not a valid regular expression`);
+      }
+    }
+  });
+  const { pages, quiz } = config.INSTRUCTIONS;
+  const pageIds = pages.map(p => p.id);
+  pageIds.forEach((id, i) => {
+    if (pageIds.indexOf(id) !== i) errors.push(`config.INSTRUCTIONS.pages[${i}].id: duplicate id "${id}"`);
+  });
+  quiz.forEach((q, i) => {
+    if (quiz.findIndex(other => other.id === q.id) !== i) {
+      errors.push(`config.INSTRUCTIONS.quiz[${i}].id: duplicate id "${q.id}"`);
+    }
+    if (q.answer >= q.options.length) {
+      errors.push(`config.INSTRUCTIONS.quiz[${i}].answer: must be below the number of options (${q.options.length})`);
+    }
+    if (q.page !== undefined && !pageIds.includes(q.page)) {
+      errors.push(`config.INSTRUCTIONS.quiz[${i}].page: unknown page "${q.page}"`);
+    }
+  });
+  const leftKeys = config.RESPONSE.leftKeys.map(normalizeKey);
+  for (const key of config.RESPONSE.rightKeys.map(normalizeKey)) {
+    if (leftKeys.includes(key)) errors.push(`config.RESPONSE.rightKeys: "${key}" is also a left key`);
+  }
+  const positionKeys = config.RESPONSE.positionKeys.map(normalizeKey);
+  positionKeys.forEach((key, i) => {
+    if (positionKeys.indexOf(key) !== i) errors.push(`config.RESPONSE.positionKeys: "${key}" is listed twice`);
+  });
+  for (const source of config.INTERRUPTIONS.applyTo) {
+    if (!config.INTERRUPTIONS.track.includes(source)) {
+      errors.push(`config.INTERRUPTIONS.applyTo: "${source}" is not tracked`);
+    }
+  }
+  if (config.INTERRUPTIONS.applyTo.includes('fullscreen') && config.INTERRUPTIONS.policy === 'pause') {
+    errors.push('config.INTERRUPTIONS.policy: "pause" has no way back into fullscreen; ' +
+      'use "pause-overlay" or "invalidate", or leave "fullscreen" out of applyTo');
+  }
+  const { perPhase, earliestMs, minGapMs, responseWindowMs, phases } = config.ATTENTION;
+  for (const phase of phases) {
+    const key = phase === 'exposure' ? 'EXPOSURE_DURATION_MS' : 'CONDITION_DURATION_MS';
+    if (perPhase > 0 && earliestMs + perPhase * minGapMs + responseWindowMs > config[key]) {
+      errors.push(`config.ATTENTION.perPhase: ${perPhase} probes ${minGapMs}ms apart after ${earliestMs}ms ` +
+        `do not fit in ${key}`);
+    }
+  }
+  const { initial, min, max } = config.PROBABILITY;
+  if (min > max || initial < min || initial > max) {
+    errors.push('config.PROBABILITY.initial: must be within [min, max]');
+  }
+  const { minDelayMs, maxDelayMs } = config.TITRATION;
+  if (config.INITIAL_DELAY_MS < minDelayMs) {
+    errors.push('config.INITIAL_DELAY_MS: must be at least TITRATION.minDelayMs');
+  }
+  if (maxDelayMs !== null && (maxDelayMs < minDelayMs || config.INITIAL_DELAY_MS > maxDelayMs)) {
+    errors.push('config.TITRATION.maxDelayMs: must be at least minDelayMs and INITIAL_DELAY_MS');
+  }
+
+  return { errors, config: errors.length > 0 ? null : config };
+}
+
+// ===== Hashing =====
+
+/**
+ * Hash protocol contents so data rows can be traced to exact settings.
+ * SHA-256 where Web Crypto is available; FNV-1a on insecure origins.
+ */
+export async function hashText(str) {
+  if (globalThis.crypto?.subtle) {
+    const bytes = new TextEncoder().encode(str);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return 'sha256-' + Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  return 'fnv1a-' + hashString(str).toString(16).padStart(8, '0');
+}
+
+// ===== Loading =====
+
+/**
+ * Fetch the list of available protocols.
+ * @returns {Promise<Array<{ id: string, label: string }>>}
+ */
+export async function listProtocols() {
+  try {
+    const res = await fetch(`${PROTOCOL_DIR}/index.json`, { cache: 'no-store' });
+    if (!res.ok) return [];
+    const list = await res.json();
+    return Array.isArray(list) ? list.filter(p => isNonEmptyString(p?.id)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Activate the built-in defaults.
+ */
+export async function useBuiltinProtocol() {
+  resetConfig();
+  const hash = await hashText(JSON.stringify(DEFAULT_CONFIG));
+  return activate({ id: BUILTIN_PROTOCOL_ID, label: 'Built-in defaults', hash, config: DEFAULT_CONFIG });
+}
+
+/**
+ * Load, validate and activate a protocol by id.
+ * On any failure the built-in defaults are activated instead.
+ * @param {string} id
+ * @returns {Promise<{ protocol: Object, errors: string[] }>}
+ */
+export async function loadProtocol(id) {
+  if (!id || id === BUILTIN_PROTOCOL_ID) {
+    return { protocol: await useBuiltinProtocol(), errors: [] };
+  }
+
+  let raw;
+  let errors = [];
+  if (!/^[\w.-]+$/.test(id)) {
+    errors.push(`id: "${id}" is not a valid protocol id`);
+  } else {
+    try {
+      const res = await fetch(`${PROTOCOL_DIR}/${id}.json`, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      raw = await res.text();
+    } catch (err) {
+      errors.push(`${PROTOCOL_DIR}/${id}.json: could not be loaded (${err.message})`);
+    }
+  }
+
+  let parsed;
+  if (raw !== undefined) {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      errors.push(`${PROTOCOL_DIR}/${id}.json: invalid JSON (${err.message})`);
+    }
+  }
+
+  let config = null;
+  if (parsed !== undefined) {
+    ({ errors, config } = validateProtocol(parsed));
+    if (config && parsed.id !== id) {
+      errors.push(`id: file ${id}.json declares id "${parsed.id}"`);
+      config = null;
+    }
+  }
+
+  if (!config) {
+    return { protocol: await useBuiltinProtocol(), errors };
+  }
+
+  applyConfig(config);
+  const hash = await hashText(raw);
+  const protocol = activate({ id: parsed.id, label: parsed.label || parsed.id, hash, config });
+  return { protocol, errors: [] };
+}
+
+/**
+ * Re-activate a protocol saved with a session (used when resuming after a
+ * crash), so the session continues with exactly the settings it started with.
+ * @param {{ id: string, label: string, hash: string, config: Object }} saved
+ */
+export function restoreProtocol(saved) {
+  if (saved.id === BUILTIN_PROTOCOL_ID) {
+    resetConfig();
+  } else {
+    applyConfig(saved.config);
+  }
+  return activate({ ...saved });
+}
+
+function activate(protocol) {
+  activeProtocol = protocol;
+  setState({ protocolId: protocol.id, protocolHash: protocol.hash });
+  return protocol;
+}
+
+/**
+ * Get the active protocol ({ id, label, hash, config }), or null before loading.
+ */
+export function getActiveProtocol() {
+  return activeProtocol;
+}
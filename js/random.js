@@ -0,0 +1,46 @@
+/**
+ * Seedable pseudo-random helpers.
+ * Used wherever a random draw must be reproducible from recorded data.
+ */
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a).
+ */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32) returning floats in [0, 1).
+ * @param {number|string} seed - strings are hashed with hashString
+ * @returns {Function}
+ */
+export function createRng(seed) {
+  let a = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher–Yates).
+ * @param {Array} array
+ * @param {Function} [rng] - source of floats in [0, 1)
+ */
+export function shuffle(array, rng = Math.random) {
+  const out = [...array];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
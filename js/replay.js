@@ -0,0 +1,510 @@
+/**
+ * Session replay viewer.
+ *
+ * Loads an exported event log (events CSV or JSONL) and re-renders the
+ * session on the real exposure, transition and condition screens through
+ * the same UI functions the live task uses (updateHUD → updateEnergyBar,
+ * showDelayIndicator, showGameOver), with play/pause, speed control and a
+ * timeline scrubber. Opened with `?replay` in the URL.
+ *
+ * Every event carries a snapshot of energy, days left, delay and phase, so
+ * the state at any moment is the state at the last event before it, plus
+ * the time-dependent parts (delay countdown, game-over timer) computed from
+ * the time since. Time spent paused (participant away, experimenter pause)
+ * does not count toward those, as in the live task.
+ */
+
+import CONFIG from './config.js';
+import { setState } from './state.js';
+import {
+  cacheDom, buildEnergyBar, updateHUD, setConditionAnimal, setExposureAnimal,
+  updateExposureStatus, setTransitionContent, showGameOver, updateGameOverTimer, updateLLLabel,
+  showDelayIndicator, setChoicesEnabled, setChoiceOrder, setAnnouncementsEnabled, getDom, getChoiceButtons,
+} from './ui.js';
+import { loadProtocol } from './protocol.js';
+
+const SPEEDS = [0.5, 1, 2, 5, 10, 20];
+const PRESS_FLASH_MS = 250;
+
+const el = {};
+let sessions = new Map();   // sessionId → events
+let frames = [];            // derived state after each event, in order
+let durationMs = 0;
+let position = 0;           // current replay time (ms since first event)
+let playing = false;
+let speed = 1;
+let lastTick = null;
+let shownConditionId = null;
+let group = null;
+
+// ===== Parsing =====
+
+/**
+ * Split CSV text into rows, honouring quoted fields with "" escapes.
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Event columns exported as numbers; everything else stays a string
+// (participant IDs like "007" must not become 7).
+const NUMERIC_COLUMNS = new Set([
+  'seq', 'perfTimeMs', 'trialNumber', 'energy', 'totalEnergyGained',
+  'daysLeft', 'conditionElapsedMs', 'currentDelayMs',
+]);
+
+/**
+ * Parse an exported event log (CSV or JSONL) into event objects.
+ * @throws {Error} if the file is not an event log
+ */
+export function parseEventLog(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  const [headers, ...rows] = parseCSVRows(trimmed);
+  if (!headers || !headers.includes('seq') || !headers.includes('type') || !headers.includes('perfTimeMs')) {
+    throw new Error('not an event log (expected seq, type and perfTimeMs columns)');
+  }
+  return rows.filter(r => r.length === headers.length).map((r) => {
+    const event = {};
+    headers.forEach((h, i) => {
+      event[h] = NUMERIC_COLUMNS.has(h) && r[i] !== '' ? Number(r[i]) : r[i];
+    });
+    event.detail = typeof event.detail === 'string' ? JSON.parse(event.detail) : (event.detail || {});
+    return event;
+  });
+}
+
+// ===== Timeline =====
+
+/**
+ * Fold the events into one frame per event: the screen state right after
+ * it, on a timeline that starts at 0. Clock times restart when a session is
+ * resumed after a crash, so each event's time is the previous one plus the
+ * (non-negative) clock difference.
+ */
+function buildFrames(events) {
+  const sorted = [...events].sort((a, b) => a.seq - b.seq);
+  const result = [];
+  let t = 0;
+  let prevPerf = null;
+  let s = {
+    screen: 'intro',
+    choicesEnabled: false,
+    pressed: null,
+    optionOrder: ['smaller-sooner', 'larger-later'],
+    eatingAt: null,
+    missedAt: null,
+    probability: CONFIG.PROBABILITY.initial,
+    delay: null,
+    dead: false,
+    exposureFishCount: 0,
+    exposureLLCount: 0,
+    away: false,
+    catchProbe: null,
+    experimenterPaused: false,
+    pausedMs: 0,
+    pausedAt: null,
+    nextCondition: null,
+  };
+
+  for (const e of sorted) {
+    if (prevPerf !== null && e.perfTimeMs >= prevPerf) t += e.perfTimeMs - prevPerf;
+    prevPerf = e.perfTimeMs;
+
+    s = { ...s, event: e, t };
+    const active = activeTime(s, t);
+    switch (e.type) {
+      case 'screen':
+        s.screen = e.detail.screen;
+        break;
+      case 'exposure-start':
+        s = { ...s, dead: false, delay: null, eatingAt: null, exposureFishCount: 0, exposureLLCount: 0 };
+        break;
+      case 'condition-start':
+        s = {
+          ...s, dead: false, delay: null, eatingAt: null, missedAt: null, probability: CONFIG.PROBABILITY.initial,
+        };
+        break;
+      case 'choices-enabled':
+        s.choicesEnabled = true;
+        break;
+      case 'choice-sides':
+        // Sessions recorded before conditions could list their own options
+        // logged only the fish's side
+        s.optionOrder = e.detail.order ?? (e.detail.fishSide === 'right'
+          ? ['larger-later', 'smaller-sooner'] : ['smaller-sooner', 'larger-later']);
+        break;
+      case 'choice':
+        s = { ...s, choicesEnabled: false, pressed: { option: e.detail.option ?? e.detail.choice, t } };
+        break;
+      case 'eating-start':
+        s.eatingAt = t;
+        break;
+      case 'missed-start':
+        s.missedAt = t;
+        break;
+      case 'reward':
+      case 'reward-lost':
+      case 'reward-missed':
+        s = { ...s, eatingAt: null, missedAt: null };
+        break;
+      case 'probability-adjust':
+        s.probability = e.detail.to;
+        break;
+      case 'delay-start':
+        s.delay = { startActive: active, delayMs: e.detail.delayMs, option: e.detail.option ?? 'larger-later' };
+        break;
+      case 'delay-end':
+        s.delay = null;
+        break;
+      case 'death':
+        s = { ...s, dead: true, choicesEnabled: false, delay: null, eatingAt: null, missedAt: null };
+        break;
+      case 'trial':
+        if (e.phase === 'exposure') {
+          if (e.detail.choice === 'smaller-sooner') s.exposureFishCount += 1;
+          else s.exposureLLCount += 1;
+        }
+        break;
+      case 'condition-end':
+        s = { ...s, choicesEnabled: false, delay: null, eatingAt: null, missedAt: null };
+        break;
+      case 'catch-start':
+        s = { ...s, catchProbe: e.detail.type, choicesEnabled: e.detail.type !== 'prompt' };
+        break;
+      case 'catch-end':
+        s.catchProbe = null;
+        break;
+      case 'interruption-pause':
+        s = setPaused(s, t, { away: true });
+        break;
+      case 'interruption-resume':
+        s = setPaused(s, t, { away: false });
+        break;
+      case 'visibility':
+        // Logs from before interruptions.js paused on every hidden tab
+        s = setPaused(s, t, { away: e.detail.hidden });
+        break;
+      case 'intervention':
+        if (e.detail.action === 'pause') s = setPaused(s, t, { experimenterPaused: true });
+        if (e.detail.action === 'resume' || e.detail.action === 'skip' || e.detail.action === 'abort') {
+          s = setPaused(s, t, { experimenterPaused: false });
+        }
+        break;
+      default:
+        break;
+    }
+    result.push(s);
+  }
+
+  // Simulated sessions have no screen events; show the phase's screen
+  if (!sorted.some(e => e.type === 'screen')) {
+    for (const frame of result) {
+      frame.screen = ['exposure', 'condition', 'end'].includes(frame.event.phase) ? frame.event.phase : 'intro';
+    }
+  }
+
+  // The transition screen shows the condition that starts next
+  let next = null;
+  for (let i = result.length - 1; i >= 0; i--) {
+    const e = result[i].event;
+    if (e.type === 'condition-start') next = { conditionId: e.conditionId, index: e.detail.conditionIndex };
+    result[i].nextCondition = next;
+  }
+  return result;
+}
+
+function setPaused(s, t, patch) {
+  const wasPaused = s.away || s.experimenterPaused;
+  const next = { ...s, ...patch };
+  const isPaused = next.away || next.experimenterPaused;
+  if (!wasPaused && isPaused) next.pausedAt = t;
+  if (wasPaused && !isPaused) {
+    next.pausedMs += t - s.pausedAt;
+    next.pausedAt = null;
+  }
+  return next;
+}
+
+/**
+ * Unpaused time elapsed by timeline time `t`, given the frame before it.
+ */
+function activeTime(frame, t) {
+  return t - frame.pausedMs - (frame.pausedAt === null ? 0 : t - frame.pausedAt);
+}
+
+/**
+ * Index of the last frame at or before time `t`.
+ */
+function frameIndexAt(t) {
+  let lo = 0;
+  let hi = frames.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (frames[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// ===== Rendering =====
+
+function showReplayScreen(name) {
+  for (const screen of document.querySelectorAll('.screen')) {
+    screen.classList.toggle('active', screen.id === `screen-${name}`);
+  }
+}
+
+function formatTime(ms) {
+  const secs = Math.floor(ms / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Draw the session as it was at replay time `t`.
+ */
+function render(t) {
+  const index = frameIndexAt(t);
+  const frame = frames[index];
+  const e = frame.event;
+  const prefix = e.phase === 'exposure' ? 'exposure' : 'condition';
+  const active = activeTime(frame, t);
+  const dead = frame.dead && (e.phase === 'exposure' || e.phase === 'condition');
+
+  setState({
+    phase: e.phase,
+    conditionId: e.conditionId || null,
+    currentEnergy: e.energy,
+    totalEnergyGained: e.totalEnergyGained,
+    daysLeft: e.daysLeft,
+    currentDelayMs: e.currentDelayMs,
+    currentProbability: frame.probability,
+    exposureFishCount: frame.exposureFishCount,
+    exposureLLCount: frame.exposureLLCount,
+  });
+
+  showReplayScreen(frame.screen);
+  if (frame.screen === 'transition' && frame.nextCondition) {
+    const order = CONFIG.GROUPS[group]?.conditionOrder || [];
+    setTransitionContent(frame.nextCondition.conditionId, frame.nextCondition.index + 1, order.length);
+  }
+  if (e.phase === 'condition' && e.conditionId !== shownConditionId) {
+    setConditionAnimal(e.conditionId);
+    shownConditionId = e.conditionId;
+  }
+  if (e.phase === 'condition') updateLLLabel();
+  if (e.phase === 'exposure') updateExposureStatus();
+
+  updateHUD(prefix);
+  setChoiceOrder(prefix, frame.optionOrder);
+  setChoicesEnabled(prefix, frame.choicesEnabled);
+
+  const alligator = getDom(`${prefix}Alligator`);
+  alligator.classList.toggle('eating', frame.eatingAt !== null);
+  alligator.classList.toggle('missing', frame.missedAt !== null);
+  alligator.classList.toggle('dead', dead);
+
+  const flash = frame.pressed && t - frame.pressed.t < PRESS_FLASH_MS ? frame.pressed.option : null;
+  for (const [optionId, btn] of getChoiceButtons(prefix)) {
+    btn.classList.toggle('replay-pressed', flash === optionId);
+    btn.classList.toggle('waiting', frame.delay?.option === optionId);
+  }
+
+  if (frame.delay) {
+    const remaining = frame.delay.delayMs - (active - frame.delay.startActive);
+    showDelayIndicator(true, Math.max(0, remaining) / 1000);
+  } else {
+    showDelayIndicator(false);
+  }
+
+  showGameOver(dead);
+  if (dead) {
+    const elapsed = e.conditionElapsedMs + (active - activeTime(frame, frame.t));
+    const phaseMs = e.phase === 'exposure' ? CONFIG.EXPOSURE_DURATION_MS : CONFIG.CONDITION_DURATION_MS;
+    updateGameOverTimer(Math.max(0, Math.ceil((phaseMs - elapsed) / 1000)));
+  }
+
+  const paused = frame.away ? ' · participant away' : frame.experimenterPaused ? ' · experimenter paused' :
+    frame.catchProbe ? ` · attention check (${frame.catchProbe})` : '';
+  el.time.textContent = `${formatTime(t)} / ${formatTime(durationMs)}`;
+  el.event.textContent = `#${e.seq} ${e.type}${paused}`;
+  el.scrubber.value = t;
+}
+
+// ===== Playback =====
+
+function tick(now) {
+  if (!playing) return;
+  position = Math.min(durationMs, position + (now - lastTick) * speed);
+  lastTick = now;
+  render(position);
+  if (position >= durationMs) {
+    setPlaying(false);
+    return;
+  }
+  requestAnimationFrame(tick);
+}
+
+function setPlaying(value) {
+  playing = value;
+  el.play.textContent = playing ? 'Pause' : 'Play';
+  if (playing) {
+    if (position >= durationMs) position = 0;
+    lastTick = performance.now();
+    requestAnimationFrame(tick);
+  }
+}
+
+function seek(t) {
+  position = Math.max(0, Math.min(durationMs, t));
+  render(position);
+}
+
+// ===== Loading =====
+
+/**
+ * Start replaying one session's events.
+ */
+async function openSession(sessionId) {
+  const events = sessions.get(sessionId);
+  const start = events.find(e => e.type === 'session-start');
+  const protocolId = start?.detail.protocolId;
+  const { protocol, errors } = await loadProtocol(protocolId);
+
+  group = start?.detail.group ?? null;
+  setState({ rewardAmount: CONFIG.GROUPS[group]?.rewardAmount ?? 0 });
+  frames = buildFrames(events);
+  durationMs = frames[frames.length - 1].t;
+  shownConditionId = null;
+
+  getDom('endSummary').textContent = events
+    .filter(e => e.type === 'condition-end')
+    .map(e => `${e.phase === 'exposure' ? 'Exposure' : CONFIG.CONDITIONS[e.conditionId]?.label || e.conditionId}: ` +
+      `${e.detail.totalTrials} trials${e.detail.died ? ' [DIED]' : ''}`)
+    .join('\n');
+  buildEnergyBar(getDom('exposureEnergyBar'));
+  buildEnergyBar(getDom('conditionEnergyBar'));
+  setExposureAnimal();
+
+  el.info.textContent = `${events[0].participantId} · session ${sessionId} · group ${group ?? '?'} · ` +
+    `protocol ${protocol.id}${errors.length > 0 || protocol.id !== protocolId ? ` (recorded: ${protocolId})` : ''}`;
+  el.scrubber.max = durationMs;
+  el.loader.classList.add('hidden');
+  el.controls.classList.remove('hidden');
+  setPlaying(false);
+  seek(0);
+}
+
+async function loadFile(file) {
+  el.error.textContent = '';
+  let events;
+  try {
+    events = parseEventLog(await file.text());
+  } catch (err) {
+    el.error.textContent = `Could not read ${file.name}: ${err.message}`;
+    return;
+  }
+  if (events.length === 0) {
+    el.error.textContent = `${file.name} contains no events`;
+    return;
+  }
+
+  sessions = new Map();
+  for (const e of events) {
+    const id = e.sessionId || '(none)';
+    if (!sessions.has(id)) sessions.set(id, []);
+    sessions.get(id).push(e);
+  }
+
+  el.sessionSelect.innerHTML = '';
+  for (const [id, list] of sessions) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = `${list[0].participantId} — ${id} (${list.length} events)`;
+    el.sessionSelect.appendChild(opt);
+  }
+  el.sessionRow.classList.toggle('hidden', sessions.size < 2);
+  if (sessions.size === 1) openSession(el.sessionSelect.value);
+}
+
+function showLoader() {
+  setPlaying(false);
+  el.controls.classList.add('hidden');
+  el.loader.classList.remove('hidden');
+  showGameOver(false);
+  showDelayIndicator(false);
+  showReplayScreen('replay');
+}
+
+// ===== Public Init =====
+
+/**
+ * Switch the page into replay mode.
+ */
+export function initReplay() {
+  cacheDom();
+  setAnnouncementsEnabled(false);
+  document.body.classList.add('replaying');
+  el.loader = document.getElementById('screen-replay');
+  el.file = document.getElementById('replay-file');
+  el.error = document.getElementById('replay-error');
+  el.sessionRow = document.getElementById('replay-session-row');
+  el.sessionSelect = document.getElementById('replay-session');
+  el.controls = document.getElementById('replay-controls');
+  el.info = document.getElementById('replay-info');
+  el.play = document.getElementById('btn-replay-play');
+  el.speed = document.getElementById('replay-speed');
+  el.scrubber = document.getElementById('replay-scrubber');
+  el.time = document.getElementById('replay-time');
+  el.event = document.getElementById('replay-event');
+
+  for (const s of SPEEDS) {
+    const opt = document.createElement('option');
+    opt.value = s;
+    opt.textContent = `${s}×`;
+    el.speed.appendChild(opt);
+  }
+  el.speed.value = speed;
+
+  el.file.addEventListener('change', () => {
+    if (el.file.files[0]) loadFile(el.file.files[0]);
+  });
+  document.getElementById('btn-replay-open').addEventListener('click', () => openSession(el.sessionSelect.value));
+  document.getElementById('btn-replay-load').addEventListener('click', showLoader);
+  el.play.addEventListener('click', () => setPlaying(!playing));
+  el.speed.addEventListener('change', () => { speed = Number(el.speed.value); });
+  el.scrubber.addEventListener('input', () => seek(Number(el.scrubber.value)));
+
+  showLoader();
+}
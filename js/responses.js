@@ -0,0 +1,144 @@
+/**
+ * How choices are made (CONFIG.RESPONSE): clicks or taps on the choice
+ * buttons, keys mapped to screen positions, and which position each
+ * option is in.
+ *
+ * Keys pick a position, not an option, so with counterbalancing the same
+ * key chooses the fish for some participants (or phases) and the other
+ * animal for the rest. The positions in effect and the way each choice was
+ * made are recorded with the trial.
+ */
+
+import CONFIG from './config.js';
+import { get, setState } from './state.js';
+import { logEvent } from './events.js';
+import { createRng } from './random.js';
+import { handleChoice } from './engine.js';
+import { answerCatchChoice } from './attention.js';
+import { setChoiceOrder, getChoiceButtons, keysForPosition } from './ui.js';
+import { phaseOptions, SMALLER_SOONER_ID } from './options.js';
+
+export const RESPONSE_METHODS = ['pointer', 'keyboard', 'both'];
+export const COUNTERBALANCE_METHODS = ['none', 'participant', 'phase'];
+export const POSITION_METHODS = ['rotate', 'shuffle'];
+
+/**
+ * Compare keys case-insensitively for letters ('F' and 'f' are one key).
+ */
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// ===== Positions =====
+
+/**
+ * Arrange option ids with a seeded draw: shifted by a drawn offset
+ * ('rotate'; with two options, the fish is on the left when the draw is
+ * below 0.5) or in any order ('shuffle').
+ */
+function arrange(ids, rng, method) {
+  if (method === 'rotate') {
+    const offset = Math.floor(rng() * ids.length);
+    return [...ids.slice(offset), ...ids.slice(0, offset)];
+  }
+  const order = [...ids];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Draw the positions of the options for the exposure or condition that is
+ * starting and record them. Draws are seeded, so a resumed session shows
+ * the same positions again.
+ * @returns {string[]} option ids, leftmost first
+ */
+export function drawChoiceOrder() {
+  const { counterbalance, positions } = CONFIG.RESPONSE;
+  const participant = `${CONFIG.ASSIGNMENT.seed}:sides:${get('participantId')}`;
+  let order = phaseOptions().map(option => option.id);
+  if (counterbalance === 'participant') {
+    order = arrange(order, createRng(participant), positions);
+  } else if (counterbalance === 'phase') {
+    const phase = `${get('visitNumber')}:${get('conditionId') || 'exposure'}`;
+    order = arrange(order, createRng(`${participant}:${phase}`), positions);
+  }
+  // The fish's side, on screens with the fish and one other option
+  const fishSide = order.length === 2 && order.includes(SMALLER_SOONER_ID)
+    ? (order[0] === SMALLER_SOONER_ID ? 'left' : 'right')
+    : null;
+  setState({ optionOrder: order, fishSide });
+  logEvent('choice-sides', { order, fishSide, counterbalance });
+  return order;
+}
+
+/**
+ * Draw the positions (drawChoiceOrder) and place a screen's buttons.
+ * @param {'exposure'|'condition'} prefix - screen being set up
+ */
+export function assignChoiceSides(prefix) {
+  setChoiceOrder(prefix, drawChoiceOrder());
+}
+
+// ===== Input =====
+
+/**
+ * Pass a response on to the engine (or to the catch probe on screen) if
+ * the protocol accepts its method.
+ * @param {string} optionId - the option chosen (see options.js)
+ * @param {{ method: string, key: string }} response
+ */
+function respond(optionId, response) {
+  const allowed = CONFIG.RESPONSE.method;
+  if (allowed !== 'both' && allowed !== response.method) {
+    logEvent('choice-ignored', { option: optionId, reason: `${response.method}-disabled` });
+    return;
+  }
+  if (get('catchProbe')) {
+    answerCatchChoice(optionId, response);
+    return;
+  }
+  handleChoice(optionId, response);
+}
+
+/**
+ * A button activated from the keyboard (Tab, then Enter or Space) fires a
+ * click with no pointer presses (detail 0).
+ */
+function clickResponse(e) {
+  return e.detail === 0 ? { method: 'keyboard', key: '' } : { method: 'pointer', key: '' };
+}
+
+/**
+ * Send clicks on a screen's choice buttons to the engine.
+ * @param {'exposure'|'condition'} prefix
+ */
+export function wireChoiceButtons(prefix) {
+  for (const [optionId, btn] of getChoiceButtons(prefix)) {
+    btn.onclick = e => respond(optionId, clickResponse(e));
+  }
+}
+
+function onKeyDown(e) {
+  if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+  const phase = get('phase');
+  if (phase !== 'exposure' && phase !== 'condition') return;
+  // Typing in the experimenter panel is not a response
+  if (e.target.closest?.('input, textarea, select, .experimenter-panel')) return;
+
+  const key = normalizeKey(e.key);
+  const order = get('optionOrder');
+  const position = order.findIndex((_, i) => keysForPosition(i, order.length).map(normalizeKey).includes(key));
+  if (position < 0) return;
+  e.preventDefault();
+  respond(order[position], { method: 'keyboard', key: e.key });
+}
+
+/**
+ * Listen for the response keys for the rest of the page's life.
+ */
+export function initKeyboardResponses() {
+  document.addEventListener('keydown', onKeyDown);
+}
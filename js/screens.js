@@ -1,70 +1,330 @@
 /**
  * Screen flow controller.
- * Manages transitions: intro → exposure → [transition → condition]×4 → end
+ * Manages transitions: intro → exposure → [transition → condition]×N → end
  */
 
 import CONFIG from './config.js';
 import { get, setState } from './state.js';
-import { stopAllTimers } from './timer.js';
+import { stopAllTimers, pauseAllTimers } from './timer.js';
 import {
-  cacheDom, buildEnergyBar, updateHUD, setConditionAnimal,
-  setChoicesEnabled, updateExposureStatus, setTransitionContent,
-  resetConditionVisuals, showGameOver, getDom,
+  cacheDom, buildEnergyBar, updateHUD, setConditionAnimal, setExposureAnimal,
+  updateExposureStatus, setTransitionContent,
+  resetConditionVisuals, showGameOver, showDelayIndicator, getDom,
 } from './ui.js';
 import {
   startDrain, stopDrain, startConditionTimer, stopConditionTimer,
-  handleFishChoice, handleLLChoice, resetForNewPhase,
+  resetForNewPhase, enableChoices, endPhase,
 } from './engine.js';
-import { recordConditionSummary, downloadAllData, getEndSummaryText } from './data.js';
+import {
+  recordConditionSummary, getEndSummaryText,
+  restoreData, recordRecovery, getTrials, linkEarlierVisits, saveResponses,
+} from './data.js';
+import {
+  listProtocols, loadProtocol, restoreProtocol, getActiveProtocol, BUILTIN_PROTOCOL_ID,
+} from './protocol.js';
+import {
+  startSession, setSessionStatus, findInterruptedSession, loadSessionRecords,
+} from './persistence.js';
+import { logEvent } from './events.js';
+import { initExperimenterPanel } from './experimenter.js';
+import { startInstructions } from './instructions.js';
+import { assignChoiceSides, wireChoiceButtons } from './responses.js';
+import {
+  initInterruptions, beginPhaseInterruptions, endPhaseInterruptions, enterFullscreen,
+} from './interruptions.js';
+import { initAttentionChecks, beginAttentionChecks, endAttentionChecks } from './attention.js';
+import { beginPhaseTiming, endPhaseTiming } from './timing.js';
+import { drainScheduleFor } from './drain.js';
+import { startConsent, hasConsentOrDemographics } from './consent.js';
+import { downloadExportBundle, buildSessionDocument } from './export.js';
+import {
+  isUploadConfigured, queueUpload, onUploadStatus, getUploadStatus, waitForUploads,
+} from './upload.js';
+import { readPanelParams, completionUrl } from './panel.js';
+import { t, getLocale, setLocale, isLocaleLocked, DEFAULT_LOCALE } from './i18n.js';
+import { assignGroup } from './assignment.js';
+import { getClock, describeClock } from './clock.js';
+import {
+  isMultiVisit, nextVisit, beginVisit, completeVisit, visitConditionRange, loadEarlierVisits,
+} from './visits.js';
 
 // ===== Screen Management =====
 
 const screens = {};
 
 function initScreens() {
+  screens.recovery = document.getElementById('screen-recovery');
+  screens.consent = document.getElementById('screen-consent');
+  screens.demographics = document.getElementById('screen-demographics');
+  screens.declined = document.getElementById('screen-declined');
   screens.intro = document.getElementById('screen-intro');
+  screens.instructions = document.getElementById('screen-instructions');
+  screens.quiz = document.getElementById('screen-quiz');
   screens.exposure = document.getElementById('screen-exposure');
   screens.transition = document.getElementById('screen-transition');
   screens.condition = document.getElementById('screen-condition');
   screens.end = document.getElementById('screen-end');
 }
 
+// The language can be changed until the game starts
+const LOCALE_SCREENS = ['consent', 'demographics', 'intro'];
+
 function showScreen(name) {
   for (const [key, el] of Object.entries(screens)) {
     el.classList.toggle('active', key === name);
   }
+  document.getElementById('locale-picker')
+    .classList.toggle('hidden', isLocaleLocked() || !LOCALE_SCREENS.includes(name));
+  logEvent('screen', { screen: name });
 }
 
-// ===== Random Group Assignment =====
+// ===== Click Tracking =====
 
-function assignGroup() {
-  const groups = Object.keys(CONFIG.GROUPS);
-  const group = groups[Math.floor(Math.random() * groups.length)];
-  const groupConfig = CONFIG.GROUPS[group];
-  setState({
-    group,
-    rewardAmount: groupConfig.rewardAmount,
-    sequence: groupConfig.sequence,
+/**
+ * Log presses on disabled choice buttons. Disabled buttons never fire
+ * `click`, so listen for `pointerdown` in the capture phase instead.
+ */
+function setupClickTracking() {
+  document.addEventListener('pointerdown', (e) => {
+    const btn = e.target.closest?.('.choice-btn');
+    if (btn && btn.disabled) {
+      logEvent('choice-click-disabled', { option: btn.dataset.option });
+    }
+  }, true);
+}
+
+// ===== Protocol Selection =====
+
+let protocolReady = null;
+let protocolRequest = 0;
+let introShown = false;     // the participant has reached the intro
+let consentTaken = false;   // ...through consent/demographics of the active protocol
+
+/**
+ * Populate the protocol picker and load the initial protocol.
+ * A `?protocol=<id>` URL parameter preselects and locks the choice.
+ */
+async function setupProtocolPicker() {
+  const select = document.getElementById('protocol-select');
+  const fromUrl = new URLSearchParams(window.location.search).get('protocol');
+
+  const addOption = (id, label) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = label;
+    select.appendChild(opt);
+  };
+
+  select.innerHTML = '';
+  addOption(BUILTIN_PROTOCOL_ID, 'Built-in defaults');
+  for (const p of await listProtocols()) {
+    addOption(p.id, p.label || p.id);
+  }
+
+  if (fromUrl) {
+    if (![...select.options].some(o => o.value === fromUrl)) addOption(fromUrl, fromUrl);
+    select.value = fromUrl;
+    select.disabled = true;
+  }
+
+  select.addEventListener('change', () => selectProtocol(select.value));
+  return selectProtocol(select.value);
+}
+
+function selectProtocol(id) {
+  const request = ++protocolRequest;
+  const status = document.getElementById('protocol-status');
+  status.textContent = 'Loading protocol…';
+
+  protocolReady = loadProtocol(id).then(({ protocol, errors }) => {
+    if (request !== protocolRequest) return;
+    status.textContent = `${protocol.id} · ${protocol.hash.slice(0, 19)}`;
+    showProtocolErrors(id, errors);
+    populateGroupPicker();
+    updateVisitStatus();
+    // Switched at the intro to a protocol that asks for consent: ask first
+    if (introShown && hasConsentOrDemographics() && !consentTaken) beginParticipant();
   });
+  return protocolReady;
+}
+
+function showProtocolErrors(id, errors) {
+  const list = document.getElementById('protocol-errors');
+  list.innerHTML = '';
+  list.classList.toggle('hidden', errors.length === 0);
+  if (errors.length === 0) return;
+
+  const header = document.createElement('li');
+  header.textContent = `Protocol "${id}" is invalid — using built-in defaults:`;
+  list.appendChild(header);
+  for (const err of errors) {
+    const li = document.createElement('li');
+    li.textContent = err;
+    list.appendChild(li);
+  }
+}
+
+// ===== Group Assignment Override =====
+
+/**
+ * Fill the experimenter's group override list for the active protocol.
+ * The first entry leaves assignment to the protocol's method.
+ */
+function populateGroupPicker() {
+  const select = document.getElementById('group-select');
+  select.innerHTML = '';
+  const auto = document.createElement('option');
+  auto.value = '';
+  auto.textContent = `Automatic (${CONFIG.ASSIGNMENT.method})`;
+  select.appendChild(auto);
+  for (const [name, group] of Object.entries(CONFIG.GROUPS)) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = `Group ${name} — ${group.rewardAmount} pts, ${group.sequence}`;
+    select.appendChild(opt);
+  }
+}
+
+// ===== Visits =====
+
+/**
+ * Under a multi-visit protocol, show which visit the entered participant ID
+ * is due for (or why it cannot start).
+ */
+function updateVisitStatus() {
+  const status = document.getElementById('visit-status');
+  const participantId = document.getElementById('participant-id').value.trim();
+  status.classList.remove('visit-error');
+  if (!isMultiVisit() || !participantId) {
+    status.textContent = '';
+    return;
+  }
+  const { visitNumber, progress, error } = nextVisit(participantId);
+  if (error) {
+    status.textContent = `Cannot start: ${error}`;
+    status.classList.add('visit-error');
+  } else if (progress) {
+    status.textContent = `Returning participant — visit ${visitNumber} of ` +
+      `${CONFIG.VISITS.conditionsPerVisit.length} (group ${progress.group})`;
+  } else {
+    status.textContent = `New participant — visit 1 of ${CONFIG.VISITS.conditionsPerVisit.length}`;
+  }
+}
+
+/**
+ * Condition ids scheduled for the current visit.
+ */
+function visitConditions() {
+  const { start, end } = visitConditionRange(get('visitNumber'));
+  return CONFIG.GROUPS[get('group')].conditionOrder.slice(start, end);
 }
 
 // ===== Intro Screen =====
 
+/**
+ * Wire the intro form.
+ * @returns {Promise} resolves once the initial protocol has loaded
+ */
 function setupIntro() {
   const input = document.getElementById('participant-id');
   const btn = document.getElementById('btn-start');
 
   input.addEventListener('input', () => {
     btn.disabled = input.value.trim().length === 0;
+    updateVisitStatus();
   });
 
-  btn.addEventListener('click', () => {
-    setState({ participantId: input.value.trim() });
-    assignGroup();
-    startExposure();
+  btn.addEventListener('click', startGame);
+
+  return setupProtocolPicker();
+}
+
+async function startGame() {
+  const input = document.getElementById('participant-id');
+  const btn = document.getElementById('btn-start');
+  btn.disabled = true;
+  await protocolReady;
+  if (hasConsentOrDemographics() && !consentTaken) {
+    // The protocol was switched to one with consent, which is being shown
+    btn.disabled = false;
+    return;
+  }
+  if (CONFIG.INTERRUPTIONS.requestFullscreen) enterFullscreen();
+  const { studyId, panelSessionId, urlParams } = readPanelParams();
+  const participantId = input.value.trim();
+  setState({ participantId, studyId, panelSessionId, urlParams });
+  const manualGroup = document.getElementById('group-select').value || null;
+
+  if (isMultiVisit()) {
+    const { visitNumber, progress, error } = nextVisit(participantId);
+    if (error) {
+      updateVisitStatus();
+      btn.disabled = false;
+      return;
+    }
+    beginVisit(visitNumber, progress);
+    if (!progress) assignGroup(manualGroup);
+  } else {
+    assignGroup(manualGroup);
+  }
+
+  await startSession(getActiveProtocol());
+  saveResponses();
+  logEvent('session-start', {
+    protocolId: get('protocolId'),
+    group: get('group'),
+    visitNumber: get('visitNumber'),
+    clock: describeClock(getClock().mode, getClock().speed),
+    studyId,
+    panelSessionId,
+    locale: get('locale'),
+  });
+  if (get('visitNumber') === 1 || CONFIG.VISITS.exposureEachVisit) {
+    startInstructions({ showScreen, onPassed: startExposure });
+  } else {
+    startConditionSequence();
+  }
+}
+
+/**
+ * Take a new participant through consent and demographics (if the protocol
+ * has them) to the intro. Consent was given for this protocol, so it can no
+ * longer be changed. Picking another protocol with consent at the intro
+ * comes back here (selectProtocol).
+ */
+function beginParticipant() {
+  startConsent({
+    showScreen,
+    onDone: () => {
+      if (hasConsentOrDemographics()) {
+        consentTaken = true;
+        document.getElementById('protocol-select').disabled = true;
+      }
+      introShown = true;
+      showScreen('intro');
+      startFromPanelLink();
+    },
   });
 }
 
+/**
+ * Opened from an online panel link: take the participant ID from the URL,
+ * lock the intro form and start straight away.
+ */
+async function startFromPanelLink() {
+  await protocolReady;
+  const { participantId } = readPanelParams();
+  if (!participantId) return;
+
+  const input = document.getElementById('participant-id');
+  input.value = participantId;
+  input.readOnly = true;
+  document.getElementById('protocol-select').disabled = true;
+  document.getElementById('group-select').disabled = true;
+  updateVisitStatus();
+  startGame();
+}
+
 // ===== Exposure Phase =====
 
 function startExposure() {
@@ -76,47 +336,72 @@ function startExposure() {
     exposureReady: false,
   });
   resetForNewPhase();
+  logEvent('exposure-start');
 
   showScreen('exposure');
 
   // Build energy bar
   const bar = document.getElementById('exposure-energy-bar');
   buildEnergyBar(bar);
+  setExposureAnimal();
   updateHUD('exposure');
   updateExposureStatus();
-  setChoicesEnabled('exposure', true);
+  assignChoiceSides('exposure');
+  enableChoices('exposure');
 
   // Wire choice buttons
-  const fishBtn = document.getElementById('exposure-fish');
-  const llBtn = document.getElementById('exposure-ll');
-  fishBtn.onclick = handleFishChoice;
-  llBtn.onclick = handleLLChoice;
+  wireChoiceButtons('exposure');
 
   // Wire ready button
   const readyBtn = document.getElementById('btn-ready');
   readyBtn.onclick = () => {
-    // Record exposure summary
-    recordConditionSummary();
-    stopAllTimers();
+    logEvent('exposure-ready');
+    finishPhase('ready');
     startConditionSequence();
   };
 
   // Start drain at exposure rate (greatest-positive)
-  startDrain(CONFIG.EXPOSURE_DRAIN_INTERVAL_MS);
+  startDrain(drainScheduleFor('exposure', null));
 
-  // Start exposure timer (5 min max)
+  // Start exposure timer (EXPOSURE_DURATION_MS max)
   startConditionTimer(() => {
     // Time's up — force end of exposure
-    recordConditionSummary();
-    stopAllTimers();
+    finishPhase('timeout');
     startConditionSequence();
   });
+  beginPhaseTiming();
+  beginAttentionChecks();
+  beginPhaseInterruptions();
+  holdIfPaused();
+}
+
+/**
+ * A phase started (Ready or Continue) while the experimenter had paused:
+ * resetting for the phase unpaused the timers, so pause the new ones until
+ * the experimenter resumes.
+ */
+function holdIfPaused() {
+  if (get('experimenterPaused')) pauseAllTimers();
+}
+
+/**
+ * Close out the exposure or a condition: summarize it, stop its timers and
+ * cancel any trial still in flight.
+ * @param {string} endReason - 'timeout' | 'ready' | 'skipped' | 'aborted' | 'invalidated'
+ */
+function finishPhase(endReason) {
+  endAttentionChecks();
+  endPhaseInterruptions();
+  endPhaseTiming();
+  recordConditionSummary(endReason);
+  stopAllTimers();
+  endPhase();
 }
 
 // ===== Condition Sequence =====
 
 function startConditionSequence() {
-  setState({ conditionIndex: -1 });
+  setState({ conditionIndex: visitConditionRange(get('visitNumber')).start - 1 });
   nextCondition();
 }
 
@@ -126,8 +411,8 @@ function nextCondition() {
   const groupConfig = CONFIG.GROUPS[group];
   const conditionOrder = groupConfig.conditionOrder;
 
-  if (idx >= conditionOrder.length) {
-    // All conditions complete
+  if (idx >= visitConditionRange(get('visitNumber')).end) {
+    // All conditions of this visit complete
     endGame();
     return;
   }
@@ -136,7 +421,7 @@ function nextCondition() {
   const conditionId = conditionOrder[idx];
 
   // Show transition screen
-  setTransitionContent(conditionId, idx + 1);
+  setTransitionContent(conditionId, idx + 1, conditionOrder.length);
   showScreen('transition');
   setState({ phase: 'transition' });
 
@@ -155,6 +440,15 @@ function startCondition(conditionId) {
   });
   resetForNewPhase();
   resetConditionVisuals();
+  logEvent('condition-start', { conditionIndex: get('conditionIndex') });
+
+  // The first condition of a later visit may pick up where the last one left off
+  const carried = get('carriedDelayMs');
+  if (carried !== null && cond.llMode !== 'probability' &&
+    get('conditionIndex') === visitConditionRange(get('visitNumber')).start) {
+    setState({ currentDelayMs: carried });
+    logEvent('delay-carry-over', { delayMs: carried });
+  }
 
   showScreen('condition');
 
@@ -165,33 +459,236 @@ function startCondition(conditionId) {
   // Set condition animal
   setConditionAnimal(conditionId);
   updateHUD('condition');
-  setChoicesEnabled('condition', true);
+  assignChoiceSides('condition');
+  enableChoices('condition');
 
   // Wire choice buttons
-  const fishBtn = document.getElementById('condition-fish');
-  const llBtn = document.getElementById('condition-ll');
-  fishBtn.onclick = handleFishChoice;
-  llBtn.onclick = handleLLChoice;
+  wireChoiceButtons('condition');
 
-  // Start drain at condition-specific rate
-  startDrain(cond.drainIntervalMs);
+  // Start drain on the condition's schedule
+  startDrain(drainScheduleFor('condition', conditionId));
 
   // Start condition timer
   startConditionTimer(() => {
     // Condition time expired
-    recordConditionSummary();
-    stopAllTimers();
+    finishPhase('timeout');
     nextCondition();
   });
+  beginPhaseTiming();
+  beginAttentionChecks();
+  beginPhaseInterruptions();
+  holdIfPaused();
+}
+
+// ===== Experimenter Interventions =====
+
+/**
+ * End the current phase early and move on to the next condition.
+ * From the transition screen, the upcoming condition is skipped entirely.
+ */
+function skipCurrentPhase() {
+  const phase = get('phase');
+  if (phase === 'exposure') {
+    finishPhase('skipped');
+    startConditionSequence();
+  } else if (phase === 'condition') {
+    finishPhase('skipped');
+    nextCondition();
+  } else if (phase === 'transition') {
+    nextCondition();
+  }
+}
+
+/**
+ * End the exposure or condition because the participant was away too long
+ * (INTERRUPTIONS.policy 'invalidate') and move on as if it had timed out.
+ */
+function invalidateCurrentPhase() {
+  if (get('phase') === 'exposure') {
+    finishPhase('invalidated');
+    startConditionSequence();
+  } else if (get('phase') === 'condition') {
+    finishPhase('invalidated');
+    nextCondition();
+  }
+}
+
+/**
+ * Stop the session and go straight to the end screen.
+ */
+function abortSession(reason) {
+  const phase = get('phase');
+  if (phase === 'exposure' || phase === 'condition') {
+    finishPhase('aborted');
+  }
+  setState({ abortReason: reason });
+  logEvent('session-abort', { reason });
+  setSessionStatus(get('sessionId'), 'aborted');
+  showEndScreen();
+}
+
+// ===== Session Recovery =====
+
+/**
+ * Offer to recover a session that was interrupted by a crash or reload.
+ * @returns {Promise<boolean>} true if the recovery screen is showing
+ */
+async function checkForInterruptedSession() {
+  const session = await findInterruptedSession();
+  if (!session) return false;
+
+  let records;
+  try {
+    records = await loadSessionRecords(session.sessionId);
+  } catch (err) {
+    console.warn('[recovery] could not load session records:', err);
+    return false;
+  }
+
+  const saved = session.state;
+  const where = saved.phase === 'condition' || saved.phase === 'transition'
+    ? `round ${saved.conditionIndex + 1} (${saved.conditionId || 'not started'})`
+    : saved.phase;
+  const trialCount = records.filter(r => r.kind === 'trial').length;
+  document.getElementById('recovery-details').textContent =
+    `Participant ${saved.participantId} (group ${saved.group}, protocol ${session.protocol.id}) ` +
+    `was interrupted during ${where}. Last saved ${new Date(session.updatedAt).toLocaleString()}; ` +
+    `${trialCount} trial(s) collected.`;
+  showScreen('recovery');
+
+  document.getElementById('btn-recovery-resume').onclick = () => resumeSession(session, records);
+  document.getElementById('btn-recovery-export').onclick = () => exportRecoveredSession(session, records);
+  document.getElementById('btn-recovery-discard').onclick = async () => {
+    await setSessionStatus(session.sessionId, 'abandoned');
+    beginParticipant();
+  };
+  return true;
+}
+
+/**
+ * Restore protocol, data and participant identity from a saved session.
+ */
+function restoreSession(session, records) {
+  const saved = session.state;
+  restoreProtocol(session.protocol);
+  restoreData(records);
+  const totalEnergyGained = getTrials()
+    .filter(t => !t.interrupted)
+    .reduce((sum, t) => sum + t.pointsEarned, 0);
+  setState({
+    sessionId: session.sessionId,
+    recovered: true,
+    participantId: saved.participantId,
+    group: saved.group,
+    rewardAmount: saved.rewardAmount,
+    sequence: saved.sequence,
+    assignmentMethod: saved.assignmentMethod,
+    assignmentSeed: saved.assignmentSeed,
+    assignmentBlock: saved.assignmentBlock,
+    assignmentBlockPosition: saved.assignmentBlockPosition,
+    visitNumber: saved.visitNumber ?? 1,
+    visitCount: saved.visitCount ?? 1,
+    carriedDelayMs: saved.carriedDelayMs ?? null,
+    studyId: saved.studyId ?? '',
+    panelSessionId: saved.panelSessionId ?? '',
+    urlParams: saved.urlParams ?? {},
+    totalEnergyGained,
+  });
+  setLocale(saved.locale ?? DEFAULT_LOCALE);
+}
+
+function recoveryLogEntry(session, action) {
+  const saved = session.state;
+  return {
+    action,
+    interruptedAt: session.updatedAt,
+    phase: saved.phase,
+    conditionIndex: saved.conditionIndex,
+    conditionId: saved.conditionId || '',
+    interruptedTrials: getTrials().filter(t => t.interrupted).length,
+  };
+}
+
+/**
+ * Resume at the start of the interrupted condition (or exposure).
+ */
+async function resumeSession(session, records) {
+  const saved = session.state;
+  if (saved.phase === 'end') {
+    exportRecoveredSession(session, records);
+    return;
+  }
+
+  restoreSession(session, records);
+  await startSession(getActiveProtocol(), session.sessionId);
+  recordRecovery(recoveryLogEntry(session, 'resume'));
+  logEvent('session-resume', { interruptedAt: session.updatedAt });
+
+  if (saved.phase === 'condition' || saved.phase === 'transition') {
+    setState({ conditionIndex: saved.conditionIndex - 1 });
+    nextCondition();
+  } else if (saved.phase === 'intro' || saved.phase === 'instructions') {
+    startInstructions({ showScreen, onPassed: startExposure });
+  } else {
+    startExposure();
+  }
+}
+
+/**
+ * Close out the interrupted session and offer its data for download.
+ */
+async function exportRecoveredSession(session, records) {
+  restoreSession(session, records);
+  recordRecovery(recoveryLogEntry(session, 'export'));
+  await setSessionStatus(session.sessionId, 'exported');
+  showEndScreen();
 }
 
 // ===== End Screen =====
 
 function endGame() {
+  logEvent('session-end');
+  setSessionStatus(get('sessionId'), 'complete');
+  if (isMultiVisit()) completeVisit(visitConditions());
+  const url = completionUrl();
+  if (url) logEvent('completion-redirect', { url });
+  showEndScreen().then(() => {
+    if (url) redirectToCompletion(url);
+  });
+}
+
+/**
+ * Send an online-panel participant back to the panel once the end screen
+ * has been up for a moment and the uploads have gone through.
+ */
+async function redirectToCompletion(url) {
+  const status = document.getElementById('completion-status');
+  const link = document.createElement('a');
+  link.href = url;
+  link.textContent = t('completion.link');
+  status.replaceChildren(`${t('completion.redirecting')} `, link, '.');
+  status.classList.remove('hidden');
+
+  await Promise.all([
+    new Promise(resolve => setTimeout(resolve, CONFIG.PANEL.redirectDelayMs)),
+    isUploadConfigured() ? waitForUploads(CONFIG.PANEL.uploadWaitMs) : null,
+  ]);
+  window.location.assign(url);
+}
+
+async function showEndScreen() {
   setState({ phase: 'end' });
   stopAllTimers();
+  endPhase();
+  showGameOver(false);
+  showDelayIndicator(false);
   showScreen('end');
 
+  if (isMultiVisit()) {
+    const { records, missing } = await loadEarlierVisits();
+    linkEarlierVisits(records, missing);
+  }
+
   // Show summary
   const summaryEl = document.getElementById('end-summary');
   summaryEl.textContent = getEndSummaryText();
@@ -199,7 +696,37 @@ function endGame() {
 
   // Wire download button
   const downloadBtn = document.getElementById('btn-download');
-  downloadBtn.onclick = downloadAllData;
+  downloadBtn.onclick = downloadExportBundle;
+
+  if (isUploadConfigured()) {
+    onUploadStatus(showUploadStatus);
+    await queueUpload('session', buildSessionDocument());
+    showUploadStatus(getUploadStatus());
+  }
+}
+
+/**
+ * Show on the end screen whether the data has reached the upload endpoint.
+ */
+function showUploadStatus({ pending, sent, rejected, lastError, nextRetryAt }) {
+  const el = document.getElementById('upload-status');
+  let text;
+  if (pending === 0) {
+    text = t('upload.complete', { count: sent });
+  } else if (lastError) {
+    const retry = nextRetryAt
+      ? ` ${t('upload.retry', { time: new Date(nextRetryAt).toLocaleTimeString(getLocale()) })}`
+      : '';
+    text = `${t('upload.waiting', { count: pending, error: lastError })}${retry} ${t('upload.backup')}`;
+  } else {
+    text = t('upload.sending', { count: pending });
+  }
+  if (rejected > 0) {
+    text += ` ${t('upload.rejected', { count: rejected })}`;
+  }
+  el.textContent = text;
+  el.classList.toggle('upload-error', Boolean(lastError) || rejected > 0);
+  el.classList.remove('hidden');
 }
 
 // ===== Beforeunload Warning =====
@@ -219,6 +746,13 @@ function setupBeforeunload() {
 export function initScreenFlow() {
   initScreens();
   cacheDom();
-  setupIntro();
+  const introReady = setupIntro();
   setupBeforeunload();
+  setupClickTracking();
+  initExperimenterPanel({ skip: skipCurrentPhase, abort: abortSession });
+  initInterruptions({ invalidate: invalidateCurrentPhase });
+  initAttentionChecks();
+  Promise.all([introReady, checkForInterruptedSession()]).then(([, recovering]) => {
+    if (!recovering) beginParticipant();
+  });
 }
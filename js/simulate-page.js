@@ -0,0 +1,181 @@
+/**
+ * Simulation page (simulate.html) — Entry Point
+ * Picks a protocol and a set of agents, runs them headless and shows
+ * per-condition results with CSV downloads.
+ */
+
+import { BUILTIN_PROTOCOL_ID, listProtocols, loadProtocol } from './protocol.js';
+import { runSimulation, POLICIES } from './simulation.js';
+import { toCSV, downloadFile } from './data.js';
+
+let protocolReady = Promise.resolve();
+let lastResult = null;
+
+// ===== Protocol =====
+
+async function setupProtocolPicker() {
+  const select = document.getElementById('protocol-select');
+  const addOption = (id, label) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = label;
+    select.appendChild(opt);
+  };
+
+  addOption(BUILTIN_PROTOCOL_ID, 'Built-in defaults');
+  for (const p of await listProtocols()) {
+    addOption(p.id, p.label || p.id);
+  }
+
+  const fromUrl = new URLSearchParams(window.location.search).get('protocol');
+  if (fromUrl) {
+    if (![...select.options].some(o => o.value === fromUrl)) addOption(fromUrl, fromUrl);
+    select.value = fromUrl;
+  }
+
+  select.addEventListener('change', () => selectProtocol(select.value));
+  return selectProtocol(select.value);
+}
+
+function selectProtocol(id) {
+  const status = document.getElementById('protocol-status');
+  const list = document.getElementById('protocol-errors');
+  status.textContent = 'Loading protocol…';
+
+  protocolReady = loadProtocol(id).then(({ protocol, errors }) => {
+    status.textContent = `${protocol.id} · ${protocol.hash.slice(0, 19)}`;
+    list.innerHTML = '';
+    list.classList.toggle('hidden', errors.length === 0);
+    for (const err of errors) {
+      const li = document.createElement('li');
+      li.textContent = err;
+      list.appendChild(li);
+    }
+  });
+  return protocolReady;
+}
+
+// ===== Agents =====
+
+function numberInput(id) {
+  return Number(document.getElementById(id).value);
+}
+
+/**
+ * Build the checked agents with their parameters from the form.
+ */
+function selectedAgents() {
+  const params = {
+    'energy-threshold': { threshold: numberInput('param-threshold') },
+    'survival': { marginPoints: numberInput('param-margin') },
+    'probabilistic': { pLL: numberInput('param-pll') },
+  };
+  return [...document.querySelectorAll('input[name="agent"]:checked')].map(input => ({
+    name: input.value,
+    policy: POLICIES[input.value](params[input.value]),
+  }));
+}
+
+// ===== Results =====
+
+function percent(count, total) {
+  return total === 0 ? '—' : `${Math.round((count / total) * 100)}%`;
+}
+
+/**
+ * One table row per agent × condition, averaged over participants.
+ */
+function renderResults({ summaries, analysis }) {
+  const groups = new Map();
+  summaries.forEach((summary, i) => {
+    const key = `${summary.agent}|${summary.conditionId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ summary, analysis: analysis[i] });
+  });
+
+  const tbody = document.querySelector('#sim-results tbody');
+  tbody.innerHTML = '';
+  for (const rows of groups.values()) {
+    const n = rows.length;
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const lastN = rows.map(r => r.analysis.lastNMeanDelayMs).filter(v => v !== null);
+    const lastNP = rows.map(r => r.analysis.lastNMeanProbability).filter(v => v !== null);
+    let indifference = '—';
+    if (lastN.length > 0) indifference = `${(mean(lastN) / 1000).toFixed(1)}s`;
+    else if (lastNP.length > 0) indifference = `p=${mean(lastNP).toFixed(2)}`;
+    const cells = [
+      rows[0].summary.agent,
+      rows[0].summary.conditionId,
+      n,
+      mean(rows.map(r => r.summary.totalTrials)).toFixed(1),
+      mean(rows.map(r => r.analysis.llProportion ?? 0)).toFixed(2),
+      percent(rows.filter(r => r.summary.diedDuringCondition).length, n),
+      indifference,
+      percent(rows.filter(r => r.analysis.converged).length, n),
+    ];
+    const tr = document.createElement('tr');
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+
+  document.getElementById('sim-results').classList.remove('hidden');
+  document.getElementById('sim-downloads').classList.remove('hidden');
+}
+
+// ===== Run =====
+
+async function run() {
+  const button = document.getElementById('btn-simulate');
+  const status = document.getElementById('sim-status');
+  const agents = selectedAgents();
+  if (agents.length === 0) {
+    status.textContent = 'Select at least one agent.';
+    return;
+  }
+
+  button.disabled = true;
+  await protocolReady;
+  const seed = document.getElementById('sim-seed').value.trim() || 'sim';
+  const started = performance.now();
+
+  try {
+    lastResult = await runSimulation({
+      agents,
+      participantsPerAgent: Math.max(1, numberInput('sim-participants')),
+      rtMs: Math.max(0, numberInput('sim-rt')),
+      seed,
+      onProgress: (done, total) => {
+        status.textContent = `Simulating… ${done} / ${total}`;
+      },
+    });
+    const secs = ((performance.now() - started) / 1000).toFixed(1);
+    status.textContent = `${lastResult.summaries.length} condition runs in ${secs}s (seed "${seed}")`;
+    renderResults(lastResult);
+  } catch (err) {
+    console.error(err);
+    status.textContent = `Simulation failed: ${err.message}`;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function download(kind) {
+  if (!lastResult) return;
+  const seed = document.getElementById('sim-seed').value.trim() || 'sim';
+  downloadFile(`gator-game-sim-${kind}-${seed}.csv`, toCSV(lastResult[kind]));
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('btn-simulate').addEventListener('click', run);
+  document.getElementById('btn-sim-trials').addEventListener('click', () => download('trials'));
+  document.getElementById('btn-sim-summaries').addEventListener('click', () => download('summaries'));
+  document.getElementById('btn-sim-analysis').addEventListener('click', () => download('analysis'));
+
+  await setupProtocolPicker();
+  document.getElementById('btn-simulate').disabled = false;
+});
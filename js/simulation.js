@@ -0,0 +1,316 @@
+/**
+ * Headless simulation of participants for piloting and power analysis.
+ *
+ * Drives the real engine (handleChoice, drain,
+ * condition timer, titration, data recording) from a policy function on a
+ * virtual clock, with no DOM. Output rows have the same format as real
+ * sessions (with clockMode 'virtual'), so the same analysis scripts work on
+ * both.
+ *
+ * A policy is called whenever a choice is possible:
+ *   policy(ctx, rng) → 'fish' | 'll' | <option id> | null | { choice, rtMs }
+ * where null means "wait" (it is asked again after `pollMs`). 'fish' and
+ * 'll' stand for the smaller-sooner and larger-later options (in a
+ * condition with its own options, the first one that does not titrate and
+ * the titrated one). `ctx` holds the energy, the current delay (and the
+ * chance of the larger-later reward), rewards, the options and the drain
+ * (mean interval and points per drain; see choiceContext).
+ */
+
+import CONFIG from './config.js';
+import { get, setState, resetState } from './state.js';
+import { stopAllTimers } from './timer.js';
+import {
+  startDrain, startConditionTimer, handleChoice,
+  resetForNewPhase, enableChoices, endPhase, setView, phaseDurationMs,
+} from './engine.js';
+import {
+  recordConditionSummary, resetData, getTrials, getSummaries, getAnalysis,
+} from './data.js';
+import { logEvent, getEvents } from './events.js';
+import { getActiveProtocol } from './protocol.js';
+import { setPersistenceEnabled } from './persistence.js';
+import { setUploadEnabled } from './upload.js';
+import { createVirtualClock, getClock, setClock } from './clock.js';
+import { createRng } from './random.js';
+import { llModeFor } from './titration.js';
+import { drawChoiceOrder } from './responses.js';
+import { phaseOptions, smallerSoonerOption, largerLaterOption } from './options.js';
+import { drainScheduleFor } from './drain.js';
+
+// ===== Policies =====
+
+/**
+ * Built-in policy factories.
+ */
+export const POLICIES = {
+  'always-fish': () => () => 'fish',
+
+  'always-ll': () => () => 'll',
+
+  // Larger-later whenever energy is at or above a fixed threshold
+  'energy-threshold': ({ threshold = 50 } = {}) => ctx =>
+    (ctx.energy >= threshold ? 'll' : 'fish'),
+
+  // Larger-later only if the gator would survive the wait with a margin
+  'survival': ({ marginPoints = 5 } = {}) => (ctx) => {
+    const waitMs = ctx.delayMs + ctx.eatingMs;
+    const drainDuringWait = Math.ceil(waitMs / ctx.drainIntervalMs) * ctx.drainAmount;
+    return ctx.energy - drainDuringWait > marginPoints ? 'll' : 'fish';
+  },
+
+  // Larger-later with a fixed probability on every choice
+  'probabilistic': ({ pLL = 0.5 } = {}) => (ctx, rng) =>
+    (rng() < pLL ? 'll' : 'fish'),
+};
+
+/**
+ * Exposure is run the way participants are instructed: choose each option
+ * until its minimum is met, then press Ready.
+ */
+function exposurePolicy() {
+  return get('exposureFishCount') < CONFIG.EXPOSURE_MIN_FISH ? 'fish' : 'll';
+}
+
+function exposureComplete() {
+  return get('exposureFishCount') >= CONFIG.EXPOSURE_MIN_FISH
+    && get('exposureLLCount') >= CONFIG.EXPOSURE_MIN_LL;
+}
+
+// ===== Headless View =====
+
+/**
+ * Engine view without a DOM: drawing is a no-op, and the eating animation
+ * is just a wait on the active clock.
+ */
+const headlessView = {
+  updateHUD() {},
+  showGameOver() {},
+  updateGameOverTimer() {},
+  showDelayIndicator() {},
+  setChoicesEnabled() {},
+  getDom() { return null; },
+  getChoiceButton() { return null; },
+  updateExposureStatus() {},
+  updateLLLabel() {},
+  interruptAnimation() {},
+  playEatingAnimation(alligatorEl, foodEl, durationMs) {
+    return new Promise(resolve => getClock().setTimeout(resolve, durationMs));
+  },
+  playMissedAnimation(alligatorEl, foodEl, durationMs) {
+    return new Promise(resolve => getClock().setTimeout(resolve, durationMs));
+  },
+};
+
+// ===== Phase Runner =====
+
+const SIMULATED_RESPONSE = Object.freeze({ method: 'simulated', key: '' });
+
+function canChoose() {
+  return !get('choicesDisabled') && !get('isDead') && !get('isAnimating')
+    && !get('isWaitingDelay') && !get('experimenterPaused');
+}
+
+function choiceContext(drain) {
+  const phase = get('phase');
+  return {
+    phase,
+    conditionId: get('conditionId') || 'exposure',
+    energy: get('currentEnergy'),
+    maxEnergy: CONFIG.MAX_ENERGY,
+    delayMs: get('currentDelayMs'),
+    probability: llModeFor(phase, get('conditionId')) === 'probability' ? get('currentProbability') : 1,
+    ssReward: smallerSoonerOption().reward,
+    llReward: largerLaterOption().reward,
+    options: phaseOptions().map(({ id, reward, delayMs, titrates }) => ({ id, reward, delayMs, titrates })),
+    eatingMs: CONFIG.EATING_ANIMATION_MS,
+    drainIntervalMs: drain.intervalMs,
+    drainAmount: drain.amount,
+    elapsedMs: get('conditionElapsedMs'),
+    durationMs: phaseDurationMs(phase),
+    trialNumber: get('trialNumber'),
+  };
+}
+
+function normalizeDecision(decision, defaultRtMs) {
+  if (decision && typeof decision === 'object') {
+    return { choice: decision.choice ?? null, rtMs: decision.rtMs ?? defaultRtMs };
+  }
+  return { choice: decision ?? null, rtMs: defaultRtMs };
+}
+
+/**
+ * Run the exposure or one condition to completion on the virtual clock.
+ */
+async function runPhase(clock, { phase, conditionId, conditionIndex, policy, rng, options }) {
+  setState({ phase, conditionId, conditionIndex });
+  if (phase === 'exposure') {
+    setState({ exposureFishCount: 0, exposureLLCount: 0, exposureReady: false });
+  }
+  resetForNewPhase();
+  logEvent(phase === 'exposure' ? 'exposure-start' : 'condition-start', { conditionIndex });
+
+  const prefix = phase === 'exposure' ? 'exposure' : 'condition';
+  drawChoiceOrder();
+  let done = false;
+  let endReason = 'timeout';
+  const isDone = () => done;
+
+  enableChoices(prefix);
+  const drain = drainScheduleFor(phase, conditionId);
+  startDrain(drain);
+  startConditionTimer(() => { done = true; });
+
+  while (!done) {
+    if (phase === 'exposure' && exposureComplete()) {
+      logEvent('exposure-ready');
+      endReason = 'ready';
+      break;
+    }
+    if (!canChoose()) {
+      await clock.advanceToNext(isDone);
+      continue;
+    }
+
+    const { choice, rtMs } = normalizeDecision(policy(choiceContext(drain), rng), options.rtMs);
+    if (!choice) {
+      await clock.advance(options.pollMs, isDone);
+      continue;
+    }
+    await clock.advance(rtMs, isDone);
+    if (done || !canChoose()) continue;
+    const optionId = choice === 'fish' ? smallerSoonerOption().id : choice === 'll' ? largerLaterOption().id : choice;
+    handleChoice(optionId, SIMULATED_RESPONSE);
+    await clock.flush();
+  }
+
+  recordConditionSummary(endReason);
+  stopAllTimers();
+  endPhase();
+}
+
+// ===== Participants =====
+
+/**
+ * Simulate one participant's full session.
+ * @returns {Promise<{ trials: Object[], summaries: Object[], analysis: Object[], events: Object[] }>}
+ */
+async function simulateParticipant({ participantId, sessionId, group, policy, seed, startEpochMs, options }) {
+  const clock = createVirtualClock({ startEpochMs });
+  setClock(clock);
+  resetState();
+  resetData();
+
+  const protocol = getActiveProtocol();
+  const groupConfig = CONFIG.GROUPS[group];
+  setState({
+    participantId,
+    sessionId,
+    protocolId: protocol.id,
+    protocolHash: protocol.hash,
+    group,
+    rewardAmount: groupConfig.rewardAmount,
+    sequence: groupConfig.sequence,
+    assignmentMethod: 'simulation',
+    assignmentSeed: seed,
+  });
+  logEvent('session-start', { protocolId: protocol.id, group, clock: clock.mode });
+
+  const rng = createRng(`${seed}:${participantId}`);
+
+  await runPhase(clock, {
+    phase: 'exposure',
+    conditionId: null,
+    conditionIndex: -1,
+    policy: exposurePolicy,
+    rng,
+    options,
+  });
+
+  for (const [idx, conditionId] of groupConfig.conditionOrder.entries()) {
+    await runPhase(clock, {
+      phase: 'condition',
+      conditionId,
+      conditionIndex: idx,
+      policy,
+      rng,
+      options,
+    });
+  }
+
+  setState({ phase: 'end' });
+  logEvent('session-end');
+
+  return {
+    trials: getTrials(),
+    summaries: getSummaries(),
+    analysis: getAnalysis(),
+    events: options.includeEvents ? getEvents() : [],
+  };
+}
+
+/**
+ * Simulate many participants under the active protocol.
+ *
+ * Groups are assigned in rotation so each policy is balanced across groups.
+ * Runs are reproducible from the seed.
+ *
+ * @param {Object} options
+ * @param {Array<{ name: string, policy: Function }>} options.agents - policies to simulate
+ * @param {number} [options.participantsPerAgent=10]
+ * @param {string} [options.seed='sim']
+ * @param {number} [options.rtMs=500] - default response time for policies
+ * @param {number} [options.pollMs=250] - re-ask interval when a policy waits
+ * @param {boolean} [options.includeEvents=false] - also return event logs
+ * @param {Function} [options.onProgress] - called with (done, total)
+ * @returns {Promise<{ trials: Object[], summaries: Object[], analysis: Object[], events: Object[] }>}
+ */
+export async function runSimulation(options) {
+  const opts = {
+    participantsPerAgent: 10,
+    seed: 'sim',
+    rtMs: 500,
+    pollMs: 250,
+    includeEvents: false,
+    onProgress: () => {},
+    ...options,
+  };
+  const groups = Object.keys(CONFIG.GROUPS);
+  const total = opts.agents.length * opts.participantsPerAgent;
+  const result = { trials: [], summaries: [], analysis: [], events: [] };
+  const previousClock = getClock();
+  const startEpochMs = Date.now();
+
+  setView(headlessView);
+  setPersistenceEnabled(false);
+  setUploadEnabled(false);
+  try {
+    let done = 0;
+    for (const agent of opts.agents) {
+      for (let i = 0; i < opts.participantsPerAgent; i++) {
+        const n = String(i + 1).padStart(3, '0');
+        const data = await simulateParticipant({
+          participantId: `SIM-${agent.name}-${n}`,
+          sessionId: `sim-${opts.seed}-${agent.name}-${n}`,
+          group: groups[i % groups.length],
+          policy: agent.policy,
+          seed: opts.seed,
+          startEpochMs,
+          options: opts,
+        });
+        for (const key of Object.keys(result)) {
+          result[key].push(...data[key].map(row => ({ agent: agent.name, ...row })));
+        }
+        opts.onProgress(++done, total);
+      }
+    }
+  } finally {
+    setView(null);
+    setPersistenceEnabled(true);
+    setUploadEnabled(true);
+    setClock(previousClock);
+    resetState();
+    resetData();
+  }
+  return result;
+}
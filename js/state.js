@@ -9,9 +9,28 @@ const initialState = () => ({
   group: null,          // 'A', 'B', 'C', or 'D'
   rewardAmount: 0,      // 5 or 10
   sequence: '',         // 'positive-first' or 'negative-first'
+  assignmentMethod: '', // 'block' | 'seeded' | 'random' | 'manual'
+  assignmentSeed: '',
+  assignmentBlock: null,          // block number (block method only)
+  assignmentBlockPosition: null,  // 1-based slot within the block
+
+  // ===== Session =====
+  sessionId: '',        // key of the session in IndexedDB
+  recovered: false,     // true once restored after a crash or reload
+  visitNumber: 1,       // 1-based visit in a multi-visit schedule
+  visitCount: 1,        // visits in the schedule (1 = single sitting)
+  carriedDelayMs: null, // delay carried over from the previous visit
+  studyId: '',          // online panel study ID (from the URL)
+  panelSessionId: '',   // online panel session ID (from the URL)
+  urlParams: {},        // other URL parameters, kept with the data
+  locale: 'en',         // language of the participant-facing text (i18n.js)
+
+  // ===== Protocol =====
+  protocolId: '',       // id of the loaded protocol file
+  protocolHash: '',     // hash of the protocol file contents
 
   // ===== Phase =====
-  phase: 'intro',       // 'intro' | 'exposure' | 'transition' | 'condition' | 'end'
+  phase: 'intro',       // 'intro' | 'instructions' | 'exposure' | 'transition' | 'condition' | 'end'
   conditionIndex: -1,   // 0–3 index into the group's conditionOrder
   conditionId: null,    // e.g. 'greatest-positive'
 
@@ -26,23 +45,48 @@ const initialState = () => ({
 
   // ===== Delay Adjustment =====
   currentDelayMs: 6000,
+  titrationState: null, // per-phase state of the titration rule (titration.js)
+
+  // ===== Probability Adjustment =====
+  currentProbability: 1,  // larger-later probability (llMode 'probability' conditions)
+  llOutcomeCount: 0,      // probabilistic larger-later outcomes this phase
+  llDeliveredCount: 0,    // ... of which the reward was delivered
 
   // ===== Trial State =====
   trialNumber: 0,
+  choiceOnsetTime: null, // clock time when choices were last enabled
   isAnimating: false,
   isWaitingDelay: false,
   isDead: false,
   choicesDisabled: false,
 
+  // ===== Responses =====
+  optionOrder: ['smaller-sooner', 'larger-later'],  // option ids left to right (responses.js)
+  fishSide: 'left',     // side of the screen the fish is on (null if not two options with the fish)
+
+  // ===== Attention Checks =====
+  catchProbe: null,     // catch probe on screen (attention.js): { number, type }
+
   // ===== Exposure Tracking =====
   exposureFishCount: 0,
   exposureLLCount: 0,
   exposureReady: false,
 
-  // ===== Visibility =====
-  tabHidden: false,
-  pausedAt: null,
-  totalPausedMs: 0,
+  // ===== Experimenter =====
+  experimenterPaused: false,
+  abortReason: '',
+
+  // ===== Interruptions =====
+  interruptionPaused: false, // paused because the participant left (interruptions.js)
+  pausedAt: null,            // clock time that pause began
+  phaseInterruptionCount: 0, // times the participant left during this phase
+  phaseInterruptedMs: 0,     // time spent away during this phase
+  phasePausedMs: 0,          // time paused for interruptions during this phase
+
+  // ===== Timing Telemetry =====
+  phaseLateShare: null,             // worst timer's share of late ticks this phase (timing.js)
+  phaseLongFrameShare: null,        // share of long frames this phase
+  phaseTimingWithinTolerance: null, // false if either is over CONFIG.TIMING's limits
 });
 
 let state = initialState();
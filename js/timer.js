@@ -3,40 +3,63 @@
  *
  * Uses setTimeout chains with drift correction rather than setInterval,
  * ensuring accurate long-term timing even when individual ticks drift.
- * Pauses automatically when the browser tab is hidden.
+ * Paused while the participant is away (interruptions.js) or the
+ * experimenter has paused the session. How late each tick and delay fires
+ * is reported to timing.js.
+ * All time reads and scheduling go through the active clock (clock.js);
+ * each timer keeps the clock that was active when it was created.
  */
 
-import { get, setState, subscribe } from './state.js';
+import { getClock } from './clock.js';
+import { noteLateness } from './timing.js';
 
 // ===== Active Timers Registry =====
 const activeTimers = new Map();
+const heldTimers = new Set(); // ids kept paused through resumeAllTimers()
 let timerId = 0;
+let allPaused = false;
 
 /**
  * Create a drift-corrected repeating timer.
  * @param {Function} callback - called each tick
- * @param {number} intervalMs - target interval in ms
- * @param {string} [label] - optional label for debugging
+ * @param {number|Function} interval - target interval in ms, or a function
+ *   called for each interval (before the first tick and after every tick)
+ *   that returns it
+ * @param {string} [label] - label for debugging and timing.csv
  * @returns {{ id: number, stop: Function }}
  */
-export function createTimer(callback, intervalMs, label = '') {
+export function createTimer(callback, interval, label = '') {
+  const clock = getClock();
   const id = ++timerId;
-  let expected = performance.now() + intervalMs;
+  const variable = typeof interval === 'function';
+  let intervalMs = variable ? interval() : interval;
+  let expected = clock.now() + intervalMs;
   let timeoutHandle = null;
   let paused = false;
+  let stopped = false;
   let remainingMs = 0;
 
   function tick() {
-    if (paused) return;
-    const now = performance.now();
+    if (paused || stopped) return;
+    const now = clock.now();
     const drift = now - expected;
+    noteLateness(label, 'tick-lateness', variable ? null : intervalMs, drift);
     callback();
+    if (stopped) return; // stopped from inside the callback
+    if (variable) intervalMs = interval();
     expected = now + intervalMs - Math.min(drift, intervalMs - 1);
-    timeoutHandle = setTimeout(tick, Math.max(0, expected - performance.now()));
+    if (paused) {
+      // Paused from inside the callback: pause() saw this tick's time, so
+      // count the resume down to the next one instead
+      remainingMs = Math.max(0, expected - clock.now());
+      return;
+    }
+    timeoutHandle = clock.setTimeout(tick, Math.max(0, expected - clock.now()));
   }
 
   function stop() {
-    clearTimeout(timeoutHandle);
+    stopped = true;
+    clock.clearTimeout(timeoutHandle);
     timeoutHandle = null;
     activeTimers.delete(id);
   }
@@ -44,22 +67,22 @@ export function createTimer(callback, intervalMs, label = '') {
   function pause() {
     if (paused) return;
     paused = true;
-    clearTimeout(timeoutHandle);
+    clock.clearTimeout(timeoutHandle);
     timeoutHandle = null;
-    remainingMs = Math.max(0, expected - performance.now());
+    remainingMs = Math.max(0, expected - clock.now());
   }
 
   function resume() {
     if (!paused) return;
     paused = false;
-    expected = performance.now() + remainingMs;
-    timeoutHandle = setTimeout(tick, remainingMs);
+    expected = clock.now() + remainingMs;
+    timeoutHandle = clock.setTimeout(tick, remainingMs);
   }
 
   // Start
-  timeoutHandle = setTimeout(tick, intervalMs);
+  timeoutHandle = clock.setTimeout(tick, intervalMs);
 
-  const timer = { id, stop, pause, resume, label };
+  const timer = { id, stop, pause, resume, label, isPaused: () => paused };
   activeTimers.set(id, timer);
   return timer;
 }
@@ -68,26 +91,32 @@ export function createTimer(callback, intervalMs, label = '') {
  * Create a delay that resolves after the specified duration.
  * Returns a Promise + cancel function. Pauses when tab hidden.
  * @param {number} durationMs
+ * @param {string} [label] - label for debugging and timing.csv
  * @returns {{ promise: Promise<boolean>, cancel: Function }}
  */
-export function createDelay(durationMs) {
+export function createDelay(durationMs, label = 'delay') {
+  const clock = getClock();
   let timeoutHandle = null;
   let resolve;
   let paused = false;
   let remainingMs = durationMs;
-  let startTime = performance.now();
+  let startTime = clock.now();
   const id = ++timerId;
 
+  // Completed naturally: note how far past its (unpaused) duration it ran
+  function complete() {
+    activeTimers.delete(id);
+    noteLateness(label, 'delay-lateness', null, clock.now() - startTime - remainingMs);
+    resolve(true);
+  }
+
   const promise = new Promise((res) => {
     resolve = res;
-    timeoutHandle = setTimeout(() => {
-      activeTimers.delete(id);
-      res(true); // completed naturally
-    }, durationMs);
+    timeoutHandle = clock.setTimeout(complete, durationMs);
   });
 
   function cancel() {
-    clearTimeout(timeoutHandle);
+    clock.clearTimeout(timeoutHandle);
     timeoutHandle = null;
     activeTimers.delete(id);
     resolve(false); // cancelled
@@ -96,22 +125,19 @@ export function createDelay(durationMs) {
   function pause() {
     if (paused) return;
     paused = true;
-    clearTimeout(timeoutHandle);
+    clock.clearTimeout(timeoutHandle);
     timeoutHandle = null;
-    remainingMs = Math.max(0, remainingMs - (performance.now() - startTime));
+    remainingMs = Math.max(0, remainingMs - (clock.now() - startTime));
   }
 
   function resume() {
     if (!paused) return;
     paused = false;
-    startTime = performance.now();
-    timeoutHandle = setTimeout(() => {
-      activeTimers.delete(id);
-      resolve(true);
-    }, remainingMs);
+    startTime = clock.now();
+    timeoutHandle = clock.setTimeout(complete, remainingMs);
   }
 
-  const timer = { id, stop: cancel, pause, resume, label: 'delay' };
+  const timer = { id, stop: cancel, pause, resume, label, isPaused: () => paused };
   activeTimers.set(id, timer);
 
   return { promise, cancel };
@@ -126,7 +152,7 @@ export function createDelay(durationMs) {
  * @returns {{ stop: Function }}
  */
 export function createCountdown(durationMs, onTick, onComplete) {
-  const startTime = performance.now();
+  const startTime = getClock().now();
   let elapsed = 0;
 
   const timer = createTimer(() => {
@@ -143,6 +169,14 @@ export function createCountdown(durationMs, onTick, onComplete) {
   return timer;
 }
 
+/**
+ * List the active timers (for the experimenter panel).
+ * @returns {Array<{ id: number, label: string, paused: boolean }>}
+ */
+export function getActiveTimers() {
+  return [...activeTimers.values()].map(t => ({ id: t.id, label: t.label, paused: t.isPaused() }));
+}
+
 /**
  * Stop all active timers. Used when changing phases or ending the game.
  */
@@ -151,44 +185,43 @@ export function stopAllTimers() {
     timer.stop();
   }
   activeTimers.clear();
+  heldTimers.clear();
+  allPaused = false;
 }
 
 /**
- * Pause all active timers (e.g. when tab is hidden).
+ * Pause all active timers (e.g. when the participant leaves the game).
  */
 export function pauseAllTimers() {
+  allPaused = true;
   for (const [id, timer] of activeTimers) {
     timer.pause();
   }
 }
 
 /**
- * Resume all active timers (e.g. when tab becomes visible).
+ * Resume all active timers (e.g. when the participant is back).
  */
 export function resumeAllTimers() {
+  allPaused = false;
   for (const [id, timer] of activeTimers) {
-    timer.resume();
+    if (!heldTimers.has(id)) timer.resume();
   }
 }
 
 /**
- * Initialize tab visibility handling.
- * Pauses all timers when tab is hidden, resumes when visible.
+ * Keep one timer paused, even through resumeAllTimers(), until it is
+ * released (e.g. the drain while a catch probe is on screen).
  */
-export function initVisibilityHandler() {
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-      setState({ tabHidden: true, pausedAt: Date.now() });
-      pauseAllTimers();
-    } else {
-      const pausedAt = get('pausedAt');
-      const pauseDuration = pausedAt ? Date.now() - pausedAt : 0;
-      setState({
-        tabHidden: false,
-        pausedAt: null,
-        totalPausedMs: get('totalPausedMs') + pauseDuration,
-      });
-      resumeAllTimers();
-    }
-  });
+export function holdTimer(timer) {
+  heldTimers.add(timer.id);
+  timer.pause();
+}
+
+/**
+ * Let a held timer run again, unless all timers are paused.
+ */
+export function releaseTimer(timer) {
+  heldTimers.delete(timer.id);
+  if (!allPaused) timer.resume();
 }
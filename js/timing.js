@@ -0,0 +1,144 @@
+/**
+ * Timing telemetry: how closely the timers and the screen kept time during
+ * the exposure and each condition (CONFIG.TIMING).
+ *
+ * timer.js reports how late every tick and every delay ran. While a phase
+ * is running those samples are kept per timer label, and the time between
+ * screen frames is measured with requestAnimationFrame. When the phase ends
+ * each timer (and the frames) becomes a row of timing.csv, and the phase is
+ * checked against the protocol's tolerance for the summary.
+ *
+ * Lateness is in clock time, so it runs fast on a scaled clock and is 0 on
+ * the virtual one; frame times are always real milliseconds.
+ */
+
+import CONFIG from './config.js';
+import { get, setState } from './state.js';
+import { logEvent } from './events.js';
+import { recordTiming } from './data.js';
+
+let collecting = false;
+const samples = new Map();  // timer label -> { measure, targetMs, values }
+let frames = [];            // ms between consecutive frames
+let frameHandle = null;
+let lastFrameAt = null;
+
+/**
+ * Note how late a timer fired. Ignored outside the exposure and conditions.
+ * @param {string} label - the timer's label ('drain', 'delay', ...)
+ * @param {string} measure - 'tick-lateness' | 'delay-lateness'
+ * @param {number|null} targetMs - the timer's interval (null for delays and variable intervals)
+ * @param {number} lateMs - how long after its due time it fired
+ */
+export function noteLateness(label, measure, targetMs, lateMs) {
+  if (!collecting) return;
+  const source = label || 'unlabeled';
+  if (!samples.has(source)) samples.set(source, { measure, targetMs, values: [] });
+  samples.get(source).values.push(lateMs);
+}
+
+// ===== Frames =====
+
+function onFrame(time) {
+  // Frames stop while the tab is hidden; don't count the gap as one frame
+  if (document.hidden || get('interruptionPaused') || get('experimenterPaused')) {
+    lastFrameAt = null;
+  } else {
+    if (lastFrameAt !== null) frames.push(time - lastFrameAt);
+    lastFrameAt = time;
+  }
+  frameHandle = requestAnimationFrame(onFrame);
+}
+
+function startFrames() {
+  frames = [];
+  lastFrameAt = null;
+  if (CONFIG.TIMING.trackFrames && typeof requestAnimationFrame === 'function') {
+    frameHandle = requestAnimationFrame(onFrame);
+  }
+}
+
+function stopFrames() {
+  if (frameHandle !== null) cancelAnimationFrame(frameHandle);
+  frameHandle = null;
+}
+
+// ===== Statistics =====
+
+/**
+ * Nearest-rank percentile of an ascending list.
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Mean, percentiles, maximum and the number above `thresholdMs`.
+ * @param {number[]} values - at least one
+ * @param {number} thresholdMs
+ */
+function describeSamples(values, thresholdMs) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const overThresholdCount = sorted.filter(v => v > thresholdMs).length;
+  return {
+    samples: sorted.length,
+    meanMs: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    p50Ms: percentile(sorted, 50),
+    p95Ms: percentile(sorted, 95),
+    p99Ms: percentile(sorted, 99),
+    maxMs: sorted[sorted.length - 1],
+    thresholdMs,
+    overThresholdCount,
+    overThresholdShare: overThresholdCount / sorted.length,
+  };
+}
+
+// ===== Phases =====
+
+/**
+ * Start collecting for an exposure or condition whose timers have just
+ * started (before their first tick).
+ */
+export function beginPhaseTiming() {
+  samples.clear();
+  collecting = true;
+  setState({ phaseLateShare: null, phaseLongFrameShare: null, phaseTimingWithinTolerance: null });
+  startFrames();
+}
+
+/**
+ * Record the running phase's timing rows before it is summarized, and
+ * flag it if it was outside the protocol's tolerance.
+ */
+export function endPhaseTiming() {
+  if (!collecting) return;
+  collecting = false;
+  stopFrames();
+  const { lateThresholdMs, maxLateShare, longFrameMs, maxLongFrameShare } = CONFIG.TIMING;
+
+  let lateShare = null;
+  for (const [source, { measure, targetMs, values }] of samples) {
+    const stats = describeSamples(values, lateThresholdMs);
+    recordTiming({ source, measure, targetMs, ...stats, withinTolerance: stats.overThresholdShare <= maxLateShare });
+    lateShare = Math.max(lateShare ?? 0, stats.overThresholdShare);
+  }
+  let longFrameShare = null;
+  if (frames.length > 0) {
+    const stats = describeSamples(frames, longFrameMs);
+    recordTiming({
+      source: 'frames', measure: 'frame-interval', targetMs: null, ...stats,
+      withinTolerance: stats.overThresholdShare <= maxLongFrameShare,
+    });
+    longFrameShare = stats.overThresholdShare;
+  }
+  samples.clear();
+  frames = [];
+
+  const withinTolerance = (lateShare ?? 0) <= maxLateShare && (longFrameShare ?? 0) <= maxLongFrameShare;
+  setState({
+    phaseLateShare: lateShare,
+    phaseLongFrameShare: longFrameShare,
+    phaseTimingWithinTolerance: withinTolerance,
+  });
+  if (!withinTolerance) logEvent('timing-out-of-tolerance', { lateShare, longFrameShare });
+}
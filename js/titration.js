@@ -0,0 +1,172 @@
+/**
+ * Titration procedures for the larger-later delay.
+ *
+ * Each choice asks for an adjustment in one direction:
+ * - smaller-sooner chosen → 'increase' the delay
+ * - larger-later chosen   → 'decrease' the delay
+ * The protocol's CONFIG.TITRATION.rule decides whether and by how much the
+ * delay actually moves. Results are clamped to [minDelayMs, maxDelayMs].
+ *
+ * In probability conditions the same directions apply to the odds against
+ * the larger-later reward: 'increase' makes it less likely
+ * (CONFIG.PROBABILITY).
+ */
+
+import CONFIG from './config.js';
+
+/**
+ * Adjustment rules. Each receives the current delay, the requested
+ * direction, the titration settings, the per-phase titration state (a copy
+ * the rule may update) and whether applying the adjustment would reverse
+ * the previous one. Returns the new (unclamped) delay, or null to leave the
+ * delay unchanged.
+ */
+const RULES = {
+  // ±stepMs on every choice (the original procedure)
+  'fixed-step': (delay, dir, settings) =>
+    dir === 'increase' ? delay + settings.stepMs : delay - settings.stepMs,
+
+  // ±(proportion × current delay)
+  'proportional': (delay, dir, settings) => {
+    const step = delay * settings.proportion;
+    return dir === 'increase' ? delay + step : delay - step;
+  },
+
+  // × factor to increase, ÷ factor to decrease
+  'multiplicative': (delay, dir, settings) =>
+    dir === 'increase' ? delay * settings.factor : delay / settings.factor,
+
+  // ±current step, which shrinks by shrinkFactor at each reversal
+  'shrinking-step': (delay, dir, settings, tstate, reversal) => {
+    if (reversal) {
+      tstate.stepMs = Math.max(settings.minStepMs, tstate.stepMs * settings.shrinkFactor);
+    }
+    return dir === 'increase' ? delay + tstate.stepMs : delay - tstate.stepMs;
+  },
+
+  // ±stepMs only after choicesPerAdjustment consecutive same-direction choices
+  'after-n': (delay, dir, settings, tstate) => {
+    if (tstate.streakCount < settings.choicesPerAdjustment) return null;
+    return dir === 'increase' ? delay + settings.stepMs : delay - settings.stepMs;
+  },
+
+  // No adjustment: the delay stays at its initial value
+  'fixed': () => null,
+};
+
+export const TITRATION_RULES = Object.keys(RULES);
+
+// What the larger-later option risks: a titrated delay, or a titrated
+// probability of getting the reward at all (CONFIG.PROBABILITY)
+export const LL_MODES = ['delay', 'probability'];
+
+/**
+ * The larger-later mode of a phase (the exposure always uses a delay).
+ * @param {string} phase
+ * @param {string|null} conditionId
+ */
+export function llModeFor(phase, conditionId) {
+  if (phase === 'exposure') return 'delay';
+  return CONFIG.CONDITIONS[conditionId]?.llMode || 'delay';
+}
+
+/**
+ * Probability rules: same arguments as RULES, in probability units.
+ */
+const PROBABILITY_RULES = {
+  // ∓step on every choice
+  'fixed-step': (p, dir, settings) =>
+    dir === 'increase' ? p - settings.step : p + settings.step,
+
+  // No adjustment: the probability stays at its initial value
+  'fixed': () => null,
+};
+
+export const PROBABILITY_TITRATION_RULES = Object.keys(PROBABILITY_RULES);
+
+/**
+ * Fresh titration state for a new exposure or condition phase.
+ */
+export function createTitrationState(settings = CONFIG.TITRATION) {
+  return {
+    lastDirection: null,    // direction of the last applied adjustment
+    reversals: 0,
+    stepMs: settings.stepMs,
+    streakDirection: null,  // direction requested by the current run of choices
+    streakCount: 0,
+  };
+}
+
+function clampDelay(delayMs, settings) {
+  const max = settings.maxDelayMs ?? Infinity;
+  return Math.round(Math.min(max, Math.max(settings.minDelayMs, delayMs)));
+}
+
+/**
+ * Track the run of same-direction choices and whether `direction` reverses
+ * the last applied adjustment.
+ */
+function beginAdjustment(tstate, direction) {
+  const state = { ...tstate };
+  state.streakCount = state.streakDirection === direction ? state.streakCount + 1 : 1;
+  state.streakDirection = direction;
+  const reversal = state.lastDirection !== null && state.lastDirection !== direction;
+  return { state, reversal };
+}
+
+function applyAdjustment(state, direction, reversal) {
+  if (reversal) state.reversals += 1;
+  state.lastDirection = direction;
+  state.streakCount = 0;
+}
+
+/**
+ * Apply the configured rule to one choice.
+ * @param {number} delayMs - delay before adjustment
+ * @param {'increase'|'decrease'} direction
+ * @param {Object} tstate - state from createTitrationState (not mutated)
+ * @param {Object} [settings] - CONFIG.TITRATION
+ * @returns {{ rule: string, delayMs: number, adjusted: boolean, reversal: boolean, state: Object }}
+ */
+export function titrate(delayMs, direction, tstate, settings = CONFIG.TITRATION) {
+  const { state, reversal } = beginAdjustment(tstate, direction);
+  const proposed = RULES[settings.rule](delayMs, direction, settings, state, reversal);
+  if (proposed === null) {
+    return { rule: settings.rule, delayMs, adjusted: false, reversal: false, state };
+  }
+  applyAdjustment(state, direction, reversal);
+
+  return {
+    rule: settings.rule,
+    delayMs: clampDelay(proposed, settings),
+    adjusted: true,
+    reversal,
+    state,
+  };
+}
+
+/**
+ * Apply CONFIG.PROBABILITY's rule to one choice in a probability condition.
+ * @param {number} probability - larger-later probability before adjustment
+ * @param {'increase'|'decrease'} direction - as for the delay
+ * @param {Object} tstate - state from createTitrationState (not mutated)
+ * @param {Object} [settings] - CONFIG.PROBABILITY
+ * @returns {{ rule: string, probability: number, adjusted: boolean, reversal: boolean, state: Object }}
+ */
+export function titrateProbability(probability, direction, tstate, settings = CONFIG.PROBABILITY) {
+  const { state, reversal } = beginAdjustment(tstate, direction);
+  const proposed = PROBABILITY_RULES[settings.rule](probability, direction, settings, state, reversal);
+  if (proposed === null) {
+    return { rule: settings.rule, probability, adjusted: false, reversal: false, state };
+  }
+  applyAdjustment(state, direction, reversal);
+
+  return {
+    rule: settings.rule,
+    // Rounded so repeated steps do not drift (0.1 + 0.2 ≠ 0.3)
+    probability: Math.round(Math.min(settings.max, Math.max(settings.min, proposed)) * 1e6) / 1e6,
+    adjusted: true,
+    reversal,
+    state,
+  };
+}
@@ -1,10 +1,22 @@
 /**
  * UI rendering: energy bar, HUD updates, animal rendering.
  * Subscribes to state changes for reactive updates.
+ * Changes a participant cannot see are read out through two ARIA live
+ * regions (CONFIG.DISPLAY.announce): #live-status for energy, days left and
+ * the food countdown, and #live-alert for the alligator's death.
  */
 
 import CONFIG from './config.js';
 import { get, subscribe } from './state.js';
+import { t, formatNumber, animalName, getLocale, localize } from './i18n.js';
+import { phaseOptions } from './options.js';
+
+export const PALETTES = ['standard', 'high-contrast'];
+
+// Energy is read out when it rises (food) or drops into a lower band
+const ENERGY_ANNOUNCE_BAND = 10;
+// The food countdown is read out when it starts and every this many seconds
+const DELAY_ANNOUNCE_EVERY_S = 5;
 
 // ===== DOM References =====
 const dom = {};
@@ -16,8 +28,7 @@ export function cacheDom() {
   dom.exposureTotalEnergy = document.getElementById('exposure-total-energy');
   dom.exposureEnergyBar = document.getElementById('exposure-energy-bar');
   dom.exposureAlligator = document.getElementById('exposure-alligator');
-  dom.exposureFish = document.getElementById('exposure-fish');
-  dom.exposureLL = document.getElementById('exposure-ll');
+  dom.exposureChoices = document.getElementById('exposure-choices');
   dom.exposureRequirement = document.getElementById('exposure-requirement');
   dom.btnReady = document.getElementById('btn-ready');
 
@@ -27,10 +38,7 @@ export function cacheDom() {
   dom.conditionTotalEnergy = document.getElementById('condition-total-energy');
   dom.conditionEnergyBar = document.getElementById('condition-energy-bar');
   dom.conditionAlligator = document.getElementById('condition-alligator');
-  dom.conditionFish = document.getElementById('condition-fish');
-  dom.conditionLL = document.getElementById('condition-ll');
-  dom.conditionLLEmoji = document.getElementById('condition-ll-emoji');
-  dom.conditionLLLabel = document.getElementById('condition-ll-label');
+  dom.conditionChoices = document.getElementById('condition-choices');
   dom.gameOverOverlay = document.getElementById('game-over-overlay');
   dom.gameOverTimer = document.getElementById('game-over-timer');
   dom.delayIndicator = document.getElementById('delay-indicator');
@@ -43,6 +51,56 @@ export function cacheDom() {
 
   // End screen
   dom.endSummary = document.getElementById('end-summary');
+
+  // Screen-reader announcements
+  dom.liveStatus = document.getElementById('live-status');
+  dom.liveAlert = document.getElementById('live-alert');
+}
+
+// ===== Announcements =====
+
+let announcing = true;
+let announceTimer = null;
+const announced = { energy: null, daysLeft: null, delaySeconds: null };
+
+/**
+ * Turn screen-reader announcements off (e.g. while replaying a session).
+ */
+export function setAnnouncementsEnabled(enabled) {
+  announcing = enabled;
+}
+
+/**
+ * Read a message out through a live region. The region is cleared first so
+ * the same message twice in a row is still announced.
+ * @param {string} text
+ * @param {boolean} [urgent] - interrupt (#live-alert) rather than wait
+ */
+export function announce(text, urgent = false) {
+  if (!announcing || !CONFIG.DISPLAY.announce) return;
+  const region = urgent ? dom.liveAlert : dom.liveStatus;
+  if (!region) return;
+  region.textContent = '';
+  clearTimeout(announceTimer);
+  announceTimer = setTimeout(() => { region.textContent = text; }, 50);
+}
+
+/**
+ * Collect what changed on the HUD since it was last read out.
+ */
+function hudAnnouncement(energy, daysLeft) {
+  const parts = [];
+  const last = announced.energy;
+  if (last === null || energy > last ||
+      Math.floor(energy / ENERGY_ANNOUNCE_BAND) < Math.floor(last / ENERGY_ANNOUNCE_BAND)) {
+    parts.push(t('live.energy', { energy, max: CONFIG.MAX_ENERGY }));
+  }
+  announced.energy = energy;
+  if (daysLeft !== announced.daysLeft) {
+    parts.push(t('live.daysLeft', { count: daysLeft }));
+    announced.daysLeft = daysLeft;
+  }
+  return parts.join('. ');
 }
 
 /**
@@ -51,6 +109,14 @@ export function cacheDom() {
  */
 export function buildEnergyBar(container) {
   container.innerHTML = '';
+  container.classList.toggle('high-contrast', CONFIG.DISPLAY.palette === 'high-contrast');
+  container.setAttribute('role', 'meter');
+  container.setAttribute('aria-label', t('energyBar.label'));
+  container.setAttribute('aria-valuemin', 0);
+  container.setAttribute('aria-valuemax', 100);
+  // A new bar starts a new phase: read everything out again
+  announced.energy = null;
+  announced.daysLeft = null;
   const colors = ['red', 'orange', 'yellow', 'green'];
   for (let i = 0; i < 100; i++) {
     const sq = document.createElement('div');
@@ -69,6 +135,7 @@ export function buildEnergyBar(container) {
 export function updateEnergyBar(container, energy) {
   const squares = container.children;
   const filledCount = Math.max(0, Math.min(100, Math.round(energy)));
+  container.setAttribute('aria-valuenow', filledCount);
   for (let i = 0; i < 100; i++) {
     if (i < filledCount) {
       squares[i].classList.remove('depleted');
@@ -87,22 +154,111 @@ export function updateHUD(prefix) {
   const totalEl = dom[`${prefix}TotalEnergy`];
   const barEl = dom[`${prefix}EnergyBar`];
 
-  if (daysEl) daysEl.textContent = get('daysLeft');
-  if (energyEl) energyEl.textContent = Math.max(0, Math.round(get('currentEnergy')));
-  if (totalEl) totalEl.textContent = Math.round(get('totalEnergyGained'));
+  if (daysEl) daysEl.textContent = formatNumber(get('daysLeft'));
+  if (energyEl) energyEl.textContent = formatNumber(Math.max(0, Math.round(get('currentEnergy'))));
+  if (totalEl) totalEl.textContent = formatNumber(Math.round(get('totalEnergyGained')));
   if (barEl) updateEnergyBar(barEl, get('currentEnergy'));
+
+  const message = hudAnnouncement(Math.max(0, Math.round(get('currentEnergy'))), get('daysLeft'));
+  if (message) announce(message);
+}
+
+// ===== Choice Buttons =====
+
+const choiceButtons = { exposure: new Map(), condition: new Map() };  // option id -> button
+const shownOptions = { exposure: [], condition: [] };
+
+/**
+ * The text on an option's button. The built-in options are described from
+ * their animal and reward; the titrated option of a probability condition
+ * also shows the current chance of getting it.
+ */
+function optionLabel(prefix, option) {
+  const chance = prefix === 'condition' && option.titrates &&
+    CONFIG.CONDITIONS[get('conditionId')]?.llMode === 'probability';
+  const percent = chance ? formatNumber(get('currentProbability'), { style: 'percent' }) : null;
+  if (option.label !== null) {
+    const label = localize(option.label);
+    return chance ? `${label} (${percent})` : label;
+  }
+  const params = { animal: animalName(option.animal), reward: option.reward };
+  if (!option.titrates) return t('choice.now', params);
+  if (prefix === 'exposure') return t('choice.delayed', params);
+  return chance
+    ? `${option.emoji} ${t('choice.chance', { ...params, percent })}`
+    : `${option.emoji} ${t('choice.delayed', params)}`;
 }
 
 /**
- * Configure the condition screen's larger-later button with the right animal.
+ * Replace a screen's choice buttons with one per option, in the order
+ * given (setChoiceOrder places them).
+ * @param {'exposure'|'condition'} prefix
+ * @param {Object[]} options - see phaseOptions (options.js)
+ */
+function buildChoices(prefix, options) {
+  const container = dom[`${prefix}Choices`];
+  container.innerHTML = '';
+  choiceButtons[prefix].clear();
+  shownOptions[prefix] = options;
+  for (const option of options) {
+    const btn = document.createElement('button');
+    btn.className = 'animal-btn choice-btn';
+    btn.dataset.option = option.id;
+    const emoji = document.createElement('span');
+    emoji.className = option.animal ? `animal ${option.animal}` : 'animal';
+    emoji.textContent = option.emoji;
+    const label = document.createElement('span');
+    label.className = 'choice-label';
+    label.textContent = optionLabel(prefix, option);
+    const hint = document.createElement('kbd');
+    hint.className = 'key-hint hidden';
+    btn.append(emoji, label, hint);
+    container.appendChild(btn);
+    choiceButtons[prefix].set(option.id, btn);
+  }
+}
+
+/**
+ * Build the exposure screen's choice buttons from the active protocol.
+ */
+export function setExposureAnimal() {
+  buildChoices('exposure', phaseOptions('exposure', null));
+}
+
+/**
+ * Build the condition screen's choice buttons: the fish and the
+ * condition's animal, or the condition's own options.
  */
 export function setConditionAnimal(conditionId) {
-  const cond = CONFIG.CONDITIONS[conditionId];
-  if (!cond) return;
-  dom.conditionLLEmoji.textContent = cond.emoji;
-  dom.conditionLLEmoji.className = `animal ${cond.animal}`;
-  const reward = get('rewardAmount');
-  dom.conditionLLLabel.textContent = `${cond.emoji} ${cond.animal.charAt(0).toUpperCase() + cond.animal.slice(1)} (+${reward}, delayed)`;
+  if (!CONFIG.CONDITIONS[conditionId]) return;
+  buildChoices('condition', phaseOptions('condition', conditionId));
+}
+
+/**
+ * Relabel the condition's titrated option (its chance of coming changes
+ * in a probability condition).
+ */
+export function updateLLLabel() {
+  const option = shownOptions.condition.find(o => o.titrates);
+  const btn = option && choiceButtons.condition.get(option.id);
+  if (btn) btn.querySelector('.choice-label').textContent = optionLabel('condition', option);
+}
+
+/**
+ * A screen's button for an option (null if it is not shown).
+ * @param {'exposure'|'condition'} prefix
+ * @param {string} optionId
+ */
+export function getChoiceButton(prefix, optionId) {
+  return choiceButtons[prefix].get(optionId) ?? null;
+}
+
+/**
+ * All of a screen's choice buttons, keyed by option id.
+ * @returns {Map<string, HTMLButtonElement>}
+ */
+export function getChoiceButtons(prefix) {
+  return choiceButtons[prefix];
 }
 
 /**
@@ -113,6 +269,7 @@ export function showGameOver(visible) {
   if (visible) {
     const prefix = get('phase') === 'exposure' ? 'exposure' : 'condition';
     dom[`${prefix}Alligator`].classList.add('dead');
+    announce(`${t('gameOver.title')} ${t('gameOver.wait')}`, true);
   }
 }
 
@@ -120,7 +277,7 @@ export function showGameOver(visible) {
  * Update game-over timer display.
  */
 export function updateGameOverTimer(secondsLeft) {
-  dom.gameOverTimer.textContent = `${secondsLeft}s remaining`;
+  dom.gameOverTimer.textContent = t('gameOver.timer', { count: secondsLeft });
 }
 
 /**
@@ -128,8 +285,15 @@ export function updateGameOverTimer(secondsLeft) {
  */
 export function showDelayIndicator(visible, seconds = 0) {
   dom.delayIndicator.classList.toggle('hidden', !visible);
-  if (visible) {
-    dom.delayCountdown.textContent = `${Math.ceil(seconds)}s`;
+  if (!visible) {
+    announced.delaySeconds = null;
+    return;
+  }
+  const whole = Math.ceil(seconds);
+  dom.delayCountdown.textContent = t('delay.seconds', { seconds: whole });
+  if (announced.delaySeconds === null || (whole !== announced.delaySeconds && whole % DELAY_ANNOUNCE_EVERY_S === 0)) {
+    announce(t('live.delay', { count: whole }));
+    announced.delaySeconds = whole;
   }
 }
 
@@ -137,10 +301,70 @@ export function showDelayIndicator(visible, seconds = 0) {
  * Enable/disable choice buttons.
  */
 export function setChoicesEnabled(prefix, enabled) {
-  const fishBtn = dom[`${prefix}Fish`];
-  const llBtn = dom[`${prefix}LL`];
-  if (fishBtn) fishBtn.disabled = !enabled;
-  if (llBtn) llBtn.disabled = !enabled;
+  for (const btn of choiceButtons[prefix].values()) btn.disabled = !enabled;
+}
+
+// ===== Choice Positions & Keys =====
+
+/**
+ * How a response key is shown on its button.
+ */
+function keyLabel(key) {
+  const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', ' ': t('key.space') };
+  return names[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+}
+
+/**
+ * The keys that choose the option in a position (0 = leftmost): the left
+ * or right keys when there are two options, one of positionKeys when there
+ * are more.
+ * @param {number} position
+ * @param {number} count - options on the screen
+ * @returns {string[]}
+ */
+export function keysForPosition(position, count) {
+  const { leftKeys, rightKeys, positionKeys } = CONFIG.RESPONSE;
+  if (count === 2) return position === 0 ? leftKeys : rightKeys;
+  return position < positionKeys.length ? [positionKeys[position]] : [];
+}
+
+/**
+ * Place a screen's choice buttons left to right and label each with its
+ * response key.
+ * @param {'exposure'|'condition'} prefix
+ * @param {string[]} order - option ids, leftmost first
+ */
+export function setChoiceOrder(prefix, order) {
+  const { method, showKeyHints } = CONFIG.RESPONSE;
+  order.forEach((id, position) => {
+    const btn = choiceButtons[prefix].get(id);
+    if (!btn) return;
+    // Reorder the buttons themselves, so the tab order matches the layout
+    dom[`${prefix}Choices`].appendChild(btn);
+    const keys = keysForPosition(position, order.length);
+    const hint = btn.querySelector('.key-hint');
+    const usesKeys = method !== 'pointer' && keys.length > 0;
+    hint.textContent = usesKeys ? keyLabel(keys[0]) : '';
+    hint.classList.toggle('hidden', !usesKeys || !showKeyHints);
+    if (usesKeys) btn.setAttribute('aria-keyshortcuts', keys.join(' '));
+    else btn.removeAttribute('aria-keyshortcuts');
+  });
+}
+
+/**
+ * Show a catch probe's object in an option's place (attention.js), or put
+ * the option back with null.
+ * @param {'exposure'|'condition'} prefix
+ * @param {string} optionId
+ * @param {{ emoji: string, label: string }|null} object
+ */
+export function setCatchObject(prefix, optionId, object) {
+  const option = shownOptions[prefix].find(o => o.id === optionId);
+  const btn = choiceButtons[prefix].get(optionId);
+  if (!option || !btn) return;
+  btn.querySelector('.animal').textContent = object ? object.emoji : option.emoji;
+  btn.querySelector('.choice-label').textContent = object ? object.label : optionLabel(prefix, option);
+  if (object) announce(object.label);
 }
 
 /**
@@ -152,9 +376,16 @@ export function updateExposureStatus() {
   const fishDone = fishCount >= CONFIG.EXPOSURE_MIN_FISH;
   const llDone = llCount >= CONFIG.EXPOSURE_MIN_LL;
 
-  dom.exposureRequirement.textContent =
-    `Fish: ${fishCount}/${CONFIG.EXPOSURE_MIN_FISH} ${fishDone ? '✓' : ''} | ` +
-    `Chicken: ${llCount}/${CONFIG.EXPOSURE_MIN_LL} ${llDone ? '✓' : ''}`;
+  dom.exposureRequirement.textContent = t('exposure.progress', {
+    fish: animalName('fish'),
+    fishCount,
+    fishMin: CONFIG.EXPOSURE_MIN_FISH,
+    fishDone: fishDone ? '✓' : '',
+    animal: animalName(CONFIG.EXPOSURE_ANIMAL),
+    llCount,
+    llMin: CONFIG.EXPOSURE_MIN_LL,
+    llDone: llDone ? '✓' : '',
+  });
 
   dom.btnReady.disabled = !(fishDone && llDone);
 }
@@ -162,10 +393,11 @@ export function updateExposureStatus() {
 /**
  * Set transition screen content.
  */
-export function setTransitionContent(conditionId, conditionNumber) {
+export function setTransitionContent(conditionId, conditionNumber, conditionCount) {
   const cond = CONFIG.CONDITIONS[conditionId];
-  dom.transitionTitle.textContent = `Round ${conditionNumber} of 4`;
-  dom.transitionMessage.textContent = `A new food source has appeared: ${cond.animal}!`;
+  dom.transitionTitle.textContent = t('transition.title', { number: conditionNumber, count: conditionCount });
+  dom.transitionMessage.textContent =
+    t('transition.message', { animal: animalName(cond.animal).toLocaleLowerCase(getLocale()) });
   dom.transitionAnimalPreview.textContent = cond.emoji;
 }
 
@@ -176,7 +408,7 @@ export function resetConditionVisuals() {
   dom.conditionAlligator.classList.remove('dead', 'eating');
   showGameOver(false);
   showDelayIndicator(false);
-  dom.conditionLL.classList.remove('waiting');
+  for (const btn of choiceButtons.condition.values()) btn.classList.remove('waiting');
 }
 
 /**
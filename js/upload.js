@@ -0,0 +1,243 @@
+/**
+ * Automatic upload to a collection endpoint (CONFIG.UPLOAD).
+ *
+ * Each trial is POSTed as it is recorded and the session bundle when the
+ * end screen is reached. Uploads go through a queue in IndexedDB, so if the
+ * endpoint is unreachable they wait — across reloads — and are retried with
+ * a growing delay. The local download stays available as a fallback.
+ *
+ * Every upload is one JSON object:
+ *   { uploadId, kind, sessionId, participantId, protocolId, queuedAt, data }
+ * uploadId is unique, so a receiver can ignore a retry it already stored.
+ */
+
+import CONFIG from './config.js';
+import { get } from './state.js';
+import { getClock } from './clock.js';
+import { addUpload, loadUploads, removeUpload } from './persistence.js';
+
+let enabled = true;
+let flushing = false;
+let flushAgain = false;
+let retryTimer = null;
+let retryDelayMs = null;
+let onlineListener = null;
+
+// Uploads that could not be saved to IndexedDB
+const memoryQueue = [];
+
+const status = { pending: 0, sent: 0, rejected: 0, lastError: null, nextRetryAt: null };
+const listeners = new Set();
+
+/**
+ * Turn uploading on or off (simulated sessions must not be uploaded).
+ */
+export function setUploadEnabled(value) {
+  enabled = value;
+}
+
+/**
+ * Whether the active protocol has an upload endpoint.
+ */
+export function isUploadConfigured() {
+  return Boolean(CONFIG.UPLOAD.endpoint);
+}
+
+// ===== Status =====
+
+/**
+ * Current upload status (counts are for this page load).
+ * @returns {{ pending: number, sent: number, rejected: number,
+ *   lastError: string|null, nextRetryAt: number|null }}
+ */
+export function getUploadStatus() {
+  return { ...status };
+}
+
+/**
+ * Subscribe to upload status changes.
+ * @returns {Function} unsubscribe
+ */
+export function onUploadStatus(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Wait until every queued upload has been sent.
+ * @param {number} timeoutMs - give up after this long
+ * @returns {Promise<boolean>} false if uploads were still pending
+ */
+export function waitForUploads(timeoutMs) {
+  if (status.pending === 0) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(false);
+    }, timeoutMs);
+    const unsubscribe = onUploadStatus(({ pending }) => {
+      if (pending > 0) return;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(true);
+    });
+  });
+}
+
+function updateStatus(patch) {
+  Object.assign(status, patch);
+  const snapshot = getUploadStatus();
+  for (const fn of listeners) fn(snapshot);
+}
+
+// ===== Queue =====
+
+function createUploadId(kind) {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${get('sessionId')}-${kind}-${Date.now().toString(36)}-${rand}`;
+}
+
+async function pendingUploads() {
+  let stored = [];
+  try {
+    stored = await loadUploads();
+  } catch (err) {
+    console.warn('[upload] could not read the queue:', err);
+  }
+  return [...stored, ...memoryQueue];
+}
+
+async function dequeue(upload) {
+  if (upload.key == null) {
+    memoryQueue.splice(memoryQueue.indexOf(upload), 1);
+    return;
+  }
+  try {
+    await removeUpload(upload.key);
+  } catch (err) {
+    console.warn('[upload] could not remove a sent upload from the queue:', err);
+  }
+}
+
+/**
+ * Queue data for upload and try to send it straight away. Does nothing
+ * unless the protocol has an upload endpoint.
+ * @param {string} kind - 'trial' or 'session'
+ * @param {Object} data
+ */
+export async function queueUpload(kind, data) {
+  if (!enabled || !isUploadConfigured()) return;
+  const upload = {
+    endpoint: CONFIG.UPLOAD.endpoint,
+    timeoutMs: CONFIG.UPLOAD.timeoutMs,
+    body: {
+      uploadId: createUploadId(kind),
+      kind,
+      sessionId: get('sessionId'),
+      participantId: get('participantId'),
+      protocolId: get('protocolId'),
+      queuedAt: getClock().date().toISOString(),
+      data,
+    },
+  };
+  try {
+    await addUpload(upload);
+  } catch (err) {
+    console.warn('[upload] could not save to the queue; keeping it in memory:', err);
+    memoryQueue.push(upload);
+  }
+  updateStatus({ pending: status.pending + 1 });
+  flushUploads();
+}
+
+// ===== Sending =====
+
+/**
+ * POST one upload. Resolves to 'sent', 'rejected' (the endpoint refused it
+ * and a retry would not help) or throws if it should be retried.
+ */
+async function send(upload) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), upload.timeoutMs);
+  try {
+    const res = await fetch(upload.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(upload.body),
+      signal: controller.signal,
+    });
+    if (res.ok) return 'sent';
+    if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) {
+      console.warn(`[upload] ${upload.body.uploadId} rejected: HTTP ${res.status}`);
+      return 'rejected';
+    }
+    throw new Error(`HTTP ${res.status}`);
+  } catch (err) {
+    throw new Error(err.name === 'AbortError' ? 'request timed out' : err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryDelayMs = retryDelayMs === null
+    ? CONFIG.UPLOAD.retryDelayMs
+    : Math.min(retryDelayMs * 2, CONFIG.UPLOAD.maxRetryDelayMs);
+  // Retries run in real time whatever clock the session uses
+  retryTimer = setTimeout(flushUploads, retryDelayMs);
+  updateStatus({ nextRetryAt: Date.now() + retryDelayMs });
+}
+
+/**
+ * Send queued uploads in order, stopping at the first failure and retrying
+ * later. Only one flush runs at a time.
+ */
+export async function flushUploads() {
+  if (!enabled) return;
+  if (flushing) {
+    flushAgain = true;
+    return;
+  }
+  flushing = true;
+  flushAgain = false;
+  clearTimeout(retryTimer);
+  try {
+    const queue = await pendingUploads();
+    updateStatus({ pending: queue.length, nextRetryAt: null });
+    for (const upload of queue) {
+      let result;
+      try {
+        result = await send(upload);
+      } catch (err) {
+        updateStatus({ lastError: err.message });
+        scheduleRetry();
+        return;
+      }
+      await dequeue(upload);
+      retryDelayMs = null;
+      updateStatus({
+        pending: status.pending - 1,
+        sent: status.sent + (result === 'sent' ? 1 : 0),
+        rejected: status.rejected + (result === 'rejected' ? 1 : 0),
+        lastError: null,
+      });
+    }
+  } finally {
+    flushing = false;
+  }
+  // Anything queued while this flush was running
+  if (flushAgain) flushUploads();
+}
+
+/**
+ * Resume sending uploads left over from earlier sessions, and retry as
+ * soon as the browser comes back online.
+ */
+export function initUploads() {
+  if (!onlineListener) {
+    onlineListener = () => flushUploads();
+    window.addEventListener('online', onlineListener);
+  }
+  flushUploads();
+}
@@ -0,0 +1,161 @@
+/**
+ * Multi-visit schedules (CONFIG.VISITS).
+ *
+ * When conditionsPerVisit is set, each group's conditionOrder is split over
+ * several visits. The participant's progress — group and assignment, the
+ * visits and conditions completed, and the delay to carry over — is kept in
+ * localStorage on the lab machine under the protocol and participant ID.
+ * Entering the same ID again resumes at the next scheduled visit, and each
+ * visit's session is linked so all visits export as one dataset.
+ */
+
+import CONFIG from './config.js';
+import { get, setState } from './state.js';
+import { getClock } from './clock.js';
+import { loadSessionRecords } from './persistence.js';
+import { llModeFor } from './titration.js';
+
+const STORAGE_PREFIX = 'gator-game:visits:';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function storageKey(participantId) {
+  return `${STORAGE_PREFIX}${get('protocolId') || 'unknown'}:${participantId}`;
+}
+
+/**
+ * True when the active protocol spreads conditions over several visits.
+ */
+export function isMultiVisit() {
+  return Array.isArray(CONFIG.VISITS.conditionsPerVisit);
+}
+
+/**
+ * Range of conditionOrder indices run at a visit: [start, end).
+ * @param {number} visitNumber - 1-based
+ */
+export function visitConditionRange(visitNumber) {
+  const perVisit = CONFIG.VISITS.conditionsPerVisit;
+  const total = CONFIG.GROUPS[get('group')]?.conditionOrder.length ?? 0;
+  if (!perVisit) return { start: 0, end: total };
+  const start = perVisit.slice(0, visitNumber - 1).reduce((sum, n) => sum + n, 0);
+  return { start, end: Math.min(total, start + perVisit[visitNumber - 1]) };
+}
+
+/**
+ * Read a participant's saved progress, or null for a new participant.
+ */
+export function readProgress(participantId) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(participantId)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out which visit a participant ID is due for.
+ * @returns {{ visitNumber: number, progress: Object|null, error: string|null }}
+ */
+export function nextVisit(participantId) {
+  const visitCount = CONFIG.VISITS.conditionsPerVisit.length;
+  const progress = readProgress(participantId);
+  if (!progress) return { visitNumber: 1, progress: null, error: null };
+
+  const visitNumber = progress.visits.length + 1;
+  if (progress.protocolHash !== get('protocolHash')) {
+    return { visitNumber, progress, error: 'this participant started under a different version of the protocol' };
+  }
+  if (visitNumber > visitCount) {
+    return { visitNumber, progress, error: `all ${visitCount} visits are already complete` };
+  }
+  const last = progress.visits[progress.visits.length - 1];
+  const earliest = Date.parse(last.completedAt) + CONFIG.VISITS.minHoursBetween * HOUR_MS;
+  if (getClock().date().getTime() < earliest) {
+    return { visitNumber, progress, error: `the next visit is not due until ${new Date(earliest).toLocaleString()}` };
+  }
+  return { visitNumber, progress, error: null };
+}
+
+/**
+ * Put the visit into state. Returning participants keep the group and
+ * assignment from their first visit.
+ * @param {number} visitNumber
+ * @param {Object|null} progress - from nextVisit()
+ */
+export function beginVisit(visitNumber, progress) {
+  setState({
+    visitNumber,
+    visitCount: CONFIG.VISITS.conditionsPerVisit.length,
+    carriedDelayMs: CONFIG.VISITS.carryOverDelay ? progress?.carriedDelayMs ?? null : null,
+  });
+  if (!progress) return;
+
+  const groupConfig = CONFIG.GROUPS[progress.group];
+  setState({
+    group: progress.group,
+    rewardAmount: groupConfig.rewardAmount,
+    sequence: groupConfig.sequence,
+    assignmentMethod: progress.assignment.method,
+    assignmentSeed: progress.assignment.seed,
+    assignmentBlock: progress.assignment.block,
+    assignmentBlockPosition: progress.assignment.blockPosition,
+  });
+}
+
+/**
+ * Save the finished visit to the participant's progress.
+ * @param {string[]} completedConditions - condition ids run at this visit
+ */
+export function completeVisit(completedConditions) {
+  const participantId = get('participantId');
+  const progress = readProgress(participantId) ?? {
+    participantId,
+    protocolId: get('protocolId'),
+    protocolHash: get('protocolHash'),
+    group: get('group'),
+    assignment: {
+      method: get('assignmentMethod'),
+      seed: get('assignmentSeed'),
+      block: get('assignmentBlock'),
+      blockPosition: get('assignmentBlockPosition'),
+    },
+    visits: [],
+    completedConditions: [],
+    carriedDelayMs: null,
+  };
+  if (progress.visits.some(v => v.sessionId === get('sessionId'))) return;
+
+  progress.visits.push({
+    visitNumber: get('visitNumber'),
+    sessionId: get('sessionId'),
+    completedAt: getClock().date().toISOString(),
+    conditions: completedConditions,
+  });
+  progress.completedConditions.push(...completedConditions);
+  // Only a titrated delay carries over (not a probability condition's fixed one)
+  progress.carriedDelayMs = llModeFor(get('phase'), get('conditionId')) === 'delay' ? get('currentDelayMs') : null;
+  localStorage.setItem(storageKey(participantId), JSON.stringify(progress));
+}
+
+/**
+ * Load the persisted records of the participant's earlier visits.
+ * @returns {Promise<{ records: Object[][], missing: number[] }>} records
+ *   per earlier visit, and the visit numbers whose data is not on this machine
+ */
+export async function loadEarlierVisits() {
+  const progress = readProgress(get('participantId'));
+  const earlier = (progress?.visits ?? []).filter(v => v.sessionId !== get('sessionId'));
+  const records = [];
+  const missing = [];
+  for (const visit of earlier) {
+    try {
+      const list = await loadSessionRecords(visit.sessionId);
+      if (list.length > 0) records.push(list);
+      else missing.push(visit.visitNumber);
+    } catch {
+      missing.push(visit.visitNumber);
+    }
+  }
+  return { records, missing };
+}
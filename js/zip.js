@@ -0,0 +1,111 @@
+/**
+ * Minimal zip archive writer.
+ *
+ * Builds an uncompressed ("stored") zip in memory so an export can be a
+ * single download without a third-party library. Text is encoded as UTF-8
+ * and file names are flagged as UTF-8.
+ */
+
+const encoder = new TextEncoder();
+
+// ===== CRC-32 =====
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ===== Archive =====
+
+/**
+ * MS-DOS date and time fields for a Date (local time, 2-second resolution).
+ */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip archive.
+ * @param {Array<{ name: string, content: string|Uint8Array }>} files
+ * @param {Date} [date] - modification time stamped on every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);   // local file header signature
+    local.setUint16(4, 20, true);           // version needed (2.0)
+    local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+    local.setUint16(8, 0, true);            // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // compressed size
+    local.setUint32(22, data.length, true); // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);           // extra field length
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // central directory signature
+    central.setUint16(4, 20, true);         // version made by
+    central.setUint16(6, 20, true);         // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // extra length, comment length, disk number, internal and external
+    // attributes are all zero
+    central.setUint32(42, offset, true);    // local header offset
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);       // end of central directory
+  end.setUint16(8, files.length, true);     // entries on this disk
+  end.setUint16(10, files.length, true);    // total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);          // central directory offset
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
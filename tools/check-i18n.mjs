@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Translation check for the Gator Game (see js/i18n.js).
+ *
+ *   node tools/check-i18n.mjs
+ *
+ * Reports, and exits with status 1 if there are any:
+ *   - messages missing from (or extra in) a catalog compared with en.js,
+ *     or plural messages whose shape differs
+ *   - keys used in index.html (data-i18n) or in js/ (t('…')) that en.js
+ *     does not define
+ *   - localized text in the built-in config or a protocol file that lacks
+ *     one of the locales
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CATALOGS, LOCALES, DEFAULT_LOCALE, findTranslationProblems } from '../js/i18n.js';
+import { DEFAULT_CONFIG } from '../js/config.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const problems = [...findTranslationProblems()];
+
+// ===== Keys used in the markup and code =====
+
+function usedKeys() {
+  const used = new Map();
+  const add = (key, where) => {
+    if (!used.has(key)) used.set(key, where);
+  };
+  const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+  for (const [, key] of html.matchAll(/data-i18n(?:-placeholder)?="([^"]+)"/g)) add(key, 'index.html');
+  const jsDir = path.join(root, 'js');
+  for (const file of fs.readdirSync(jsDir).filter(f => f.endsWith('.js'))) {
+    const source = fs.readFileSync(path.join(jsDir, file), 'utf8');
+    for (const [, key] of source.matchAll(/\bt\(\s*'([\w.]+)'/g)) add(key, `js/${file}`);
+  }
+  return used;
+}
+
+for (const [key, where] of usedKeys()) {
+  if (!(key in CATALOGS[DEFAULT_LOCALE])) problems.push(`${where}: uses "${key}", which ${DEFAULT_LOCALE}.js does not define`);
+}
+
+// ===== Localized protocol text =====
+
+/**
+ * Walk a config tree and report { <locale>: text } maps missing a locale.
+ */
+function checkLocalized(value, where) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => checkLocalized(item, `${where}[${i}]`));
+  } else if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length > 0 && keys.every(k => LOCALES.includes(k))) {
+      const missing = LOCALES.filter(code => !value[code]);
+      if (missing.length > 0) problems.push(`${where}: no ${missing.join(', ')} text`);
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) checkLocalized(child, `${where}.${key}`);
+  }
+}
+
+checkLocalized(DEFAULT_CONFIG, 'js/config.js');
+const protocolDir = path.join(root, 'protocols');
+for (const file of fs.readdirSync(protocolDir).filter(f => f.endsWith('.json') && f !== 'index.json')) {
+  try {
+    const protocol = JSON.parse(fs.readFileSync(path.join(protocolDir, file), 'utf8'));
+    checkLocalized(protocol.config ?? {}, `protocols/${file} config`);
+  } catch (err) {
+    problems.push(`protocols/${file}: ${err.message}`);
+  }
+}
+
+// ===== Report =====
+
+if (problems.length > 0) {
+  console.error(`${problems.length} translation problem(s):`);
+  for (const problem of problems) console.error(`  ${problem}`);
+  process.exit(1);
+}
+console.log(`Translations complete: ${LOCALES.join(', ')} (${Object.keys(CATALOGS[DEFAULT_LOCALE]).length} messages each)`);
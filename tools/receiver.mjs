@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Reference upload receiver for the Gator Game (see js/upload.js).
+ *
+ * A dependency-free HTTP server to run on a lab laptop:
+ *
+ *   node tools/receiver.mjs [--port 8787] [--dir ./uploads]
+ *
+ * then set the protocol's UPLOAD.endpoint to http://<laptop>:8787/upload.
+ * Uploads are stored under <dir>/<participantId>/<sessionId>/:
+ *   trials.jsonl   one uploaded trial row per line
+ *   session.json   the final session bundle (same as session.json in the zip)
+ * Retried uploads that were already stored are acknowledged and skipped.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+function parseArgs(argv) {
+  const args = { port: 8787, dir: './uploads' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--port') args.port = Number(value);
+    else if (flag === '--dir') args.dir = value;
+    else {
+      console.error(`Unknown option ${flag}\nUsage: node tools/receiver.mjs [--port 8787] [--dir ./uploads]`);
+      process.exit(1);
+    }
+  }
+  return args;
+}
+
+const { port, dir } = parseArgs(process.argv.slice(2));
+const root = path.resolve(dir);
+const receivedLog = path.join(root, 'received-ids.txt');
+
+fs.mkdirSync(root, { recursive: true });
+const received = new Set(
+  fs.existsSync(receivedLog) ? fs.readFileSync(receivedLog, 'utf8').split('\n').filter(Boolean) : [],
+);
+
+// Keep IDs usable as directory names ('.' and '..' are not: null)
+function safeName(value) {
+  const name = String(value || 'unknown').replace(/[^\w.-]+/g, '_');
+  return name === '.' || name === '..' ? null : name;
+}
+
+// Upload IDs go one per line into received-ids.txt
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Directory an upload is stored in, or null if its IDs would put it
+ * anywhere but inside <dir>.
+ */
+function sessionDirFor(upload) {
+  const participant = safeName(upload.participantId);
+  const session = safeName(upload.sessionId);
+  if (!participant || !session) return null;
+  const sessionDir = path.resolve(root, participant, session);
+  return sessionDir.startsWith(root + path.sep) ? sessionDir : null;
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write one upload to disk.
+ */
+function store(upload, sessionDir, kindName) {
+  fs.mkdirSync(sessionDir, { recursive: true });
+  if (upload.kind === 'session') {
+    fs.writeFileSync(path.join(sessionDir, 'session.json'), JSON.stringify(upload.data, null, 2));
+  } else {
+    fs.appendFileSync(path.join(sessionDir, `${kindName}s.jsonl`), `${JSON.stringify(upload.data)}\n`);
+  }
+  fs.appendFileSync(receivedLog, `${upload.uploadId}\n`);
+  received.add(upload.uploadId);
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    reply(res, 204, {});
+    return;
+  }
+  if (req.method !== 'POST') {
+    reply(res, 405, { error: 'POST uploads to this address' });
+    return;
+  }
+
+  let upload;
+  try {
+    upload = JSON.parse(await readBody(req));
+  } catch (err) {
+    reply(res, err.status || 400, { error: err.status ? err.message : 'body is not valid JSON' });
+    return;
+  }
+  if (!upload || typeof upload.uploadId !== 'string' || typeof upload.kind !== 'string' || !upload.sessionId) {
+    reply(res, 400, { error: 'expected { uploadId, kind, sessionId, participantId, data }' });
+    return;
+  }
+  if (upload.uploadId === '' || CONTROL_CHARS.test(upload.uploadId)) {
+    reply(res, 400, { error: 'uploadId must be non-empty, without control characters' });
+    return;
+  }
+  const sessionDir = sessionDirFor(upload);
+  if (!sessionDir) {
+    reply(res, 400, { error: 'participantId and sessionId must be usable as directory names' });
+    return;
+  }
+  const kindName = safeName(upload.kind);
+  if (!kindName) {
+    reply(res, 400, { error: 'kind must be usable as a file name' });
+    return;
+  }
+
+  if (received.has(upload.uploadId)) {
+    reply(res, 200, { ok: true, duplicate: true });
+    return;
+  }
+  try {
+    store(upload, sessionDir, kindName);
+  } catch (err) {
+    console.error(`Could not store ${upload.uploadId}:`, err);
+    reply(res, 500, { error: 'could not store the upload' });
+    return;
+  }
+  console.log(`${new Date().toISOString()}  ${upload.participantId}  ${upload.sessionId}  ${upload.kind}`);
+  reply(res, 200, { ok: true });
+});
+
+server.listen(port, () => {
+  console.log(`Gator Game receiver listening on http://localhost:${port}/upload`);
+  console.log(`Saving uploads to ${root}`);
+});